@@ -1,6 +1,11 @@
 import { GameLoop } from './GameLoop.js';
 import { AudioService } from './audio/AudioService.js';
+import { TrackLibrary, TrackNotFoundError, isLibraryTrackId } from './audio/TrackLibrary.js';
+import { SoundEffects } from './audio/SoundEffects.js';
+import { computeStemMix } from './audio/stemMix.js';
+import { getProceduralSeed, isProceduralTrackId } from './audio/ProceduralSoundtrack.js';
 import { ModeController } from './modes/ModeController.js';
+import { TargetOverlayRenderer } from './modes/TargetOverlayRenderer.js';
 import { GeometryController } from './geometry/GeometryController.js';
 import { SpawnSystem } from './spawn/SpawnSystem.js';
 import { CollisionSystem } from './collision/CollisionSystem.js';
@@ -8,78 +13,779 @@ import { InputMapping } from './input/InputMapping.js';
 import { EffectsManager } from './effects/EffectsManager.js';
 import { PerformanceController } from './performance/PerformanceController.js';
 import { LevelManager } from './state/LevelManager.js';
+import { ProfileManager } from './state/ProfileManager.js';
+import { GameStateMachine } from './state/GameStateMachine.js';
+import { DEFAULT_TIER, DIFFICULTY_TIERS, resolveChart } from './state/difficultyTiers.js';
 import { DEFAULT_LEVELS } from './state/defaultLevels.js';
+import { evaluateGoals, resolveGoals } from './state/levelGoals.js';
 import { HudController } from './ui/HudController.js';
+import { JudgmentSystem } from './judgment/JudgmentSystem.js';
+import { CalibrationRoutine } from './calibration/CalibrationRoutine.js';
+import { ReplayRecorder } from './replay/ReplayRecorder.js';
+import { ReplayPlayer } from './replay/ReplayPlayer.js';
+import { HeadlessModeController } from './headless/HeadlessModeController.js';
+import { SyntheticBeatSource } from './headless/SyntheticBeatSource.js';
+import { RunManager } from './run/RunManager.js';
+import { RelicManager } from './relics/RelicManager.js';
+import { DraftScreen } from './ui/DraftScreen.js';
+import { ResultsScreen } from './ui/ResultsScreen.js';
+import { ResultsTracker } from './results/ResultsTracker.js';
+import { SeededRandom } from './utils/SeededRandom.js';
+import { BossEncounter } from './boss/BossEncounter.js';
+import { GestureSystem } from './gesture/GestureSystem.js';
+import { getApproachRing, getGesture } from './spawn/targetTypes.js';
+
+const COMBO_MULTIPLIER = 0.1;
+const MISS_HEALTH_LOSS = 0.1;
+const SLOW_MO_DURATION = 1.5;
+const SLOW_MO_TIME_SCALE = 0.75;
+// Beats counted in before the music starts or resumes
+const COUNT_IN_BEATS = 4;
+// Playback rates practice mode can slow a section to
+const PRACTICE_MIN_RATE = 0.5;
+const PRACTICE_MAX_RATE = 1;
 
 export class LatticePulseGame {
-    constructor({ container, hudElement }) {
+    constructor({ container, hudElement, headless = false, audioService = null, levels = DEFAULT_LEVELS, storage }) {
         this.container = container;
+        this.headless = headless;
         this.hud = new HudController(hudElement);
-        this.audioService = new AudioService();
+        // Gameplay only advances while playing; the loop keeps rendering in every other state
+        this.state = new GameStateMachine();
+        this.state.on('change', ({ to }) => this.hud.setGameState(to));
+        this.countdown = null;
+        this.audioService = audioService || new AudioService();
+        this.trackLibrary = headless ? null : new TrackLibrary({ audioService: this.audioService });
+        this.sfx = new SoundEffects({ audioService: this.audioService });
         this.geometryController = new GeometryController();
-        this.modeController = new ModeController({ container, geometryController: this.geometryController });
+        const ModeControllerClass = headless ? HeadlessModeController : ModeController;
+        this.modeController = new ModeControllerClass({ container, geometryController: this.geometryController });
         this.spawnSystem = new SpawnSystem({ geometryController: this.geometryController, audioService: this.audioService });
         this.collisionSystem = new CollisionSystem({ gridResolution: 48 });
+        this.judgmentSystem = new JudgmentSystem({ audioService: this.audioService });
+        this.gestureSystem = new GestureSystem({ spawnSystem: this.spawnSystem, collisionSystem: this.collisionSystem });
+        this.targetOverlay = headless ? null : new TargetOverlayRenderer({ container, collisionSystem: this.collisionSystem });
         this.effectsManager = new EffectsManager({ modeController: this.modeController });
         this.performanceController = new PerformanceController({ modeController: this.modeController });
-        this.levelManager = new LevelManager();
-        this.levelManager.setLevels(DEFAULT_LEVELS);
+        this.profile = new ProfileManager(headless ? { storage: null } : { storage });
+        this.levelManager = new LevelManager({ profile: this.profile });
+        this.levelManager.setLevels(levels);
+        this.applyCalibration(this.levelManager.getCalibration());
+        this.calibration = null;
+        this.relics = new RelicManager();
+        this.draftScreen = new DraftScreen(headless ? null : container);
+        this.pendingDraft = null;
+        this.results = new ResultsTracker();
+        this.resultsScreen = new ResultsScreen(headless ? null : container);
+        this.lastResults = null;
+        // Every attempt is recorded so the results screen can offer to replay it
+        this.lastReplay = null;
+        this.watchingReplay = false;
+        this.trackEnded = false;
+        // Why the current level's track failed to load; the level won't start until it loads
+        this.trackError = null;
+        this.musicMixKey = null;
+        this.audioService.onEnded(() => {
+            this.trackEnded = true;
+        });
+        // The section being looped in practice mode (see startPractice), and the rate
+        // the whole game runs at so targets keep time with the slowed music
+        this.practice = null;
+        this.playbackRate = 1;
+        this.audioService.onLoop(() => this.restartPracticeLoop());
+        this.spawnSystem.setSpawnModifier((spawn, beat) => this.relics.apply('spawn', spawn, { beat }));
         this.score = 0;
         this.combo = 0;
         this.health = 1.0;
+        // Seconds of play in the current attempt, for the survive goal
+        this.levelTime = 0;
         this.slowMoTimer = 0;
         this.timeScale = 1.0;
         this.currentLevel = null;
+        this.run = null;
+        this.boss = null;
         this.lastPulseCaptureIds = new Set();
+        this.pulseJudgment = null;
+        this.stepIndex = 0;
+        this.inputQueue = [];
+        this.replayRecorder = null;
+        this.replayPlayer = null;
+        // Live state a replay overwrites, put back when it stops
+        this.replayReturn = null;
+        // Input is queued and applied at the start of the next fixed step so replays line up exactly
         this.inputMapping = new InputMapping({
             element: container,
-            onParameterDelta: deltas => this.modeController.applyParameterDelta(deltas),
-            onPulse: pulse => this.handlePulse(pulse),
-            onLongPress: () => this.handleLongPress()
+            onParameterDelta: deltas => this.queueInput('parameterDelta', deltas),
+            onPulse: pulse => this.queueInput('pulse', pulse),
+            onLongPress: () => this.queueInput('longPress'),
+            onPointer: pointer => this.queuePointer(pointer),
+            onPinch: pinch => {
+                if (this.gestureSystem.hasActiveTargets()) {
+                    this.queueInput('pinch', pinch);
+                }
+            },
+            modifyPulse: pulse => this.relics.apply('pulse', pulse)
         });
         this.gameLoop = new GameLoop({
             update: dt => this.update(dt),
             render: () => this.render()
         });
         this.setupSpawnEvents();
-        window.audioEnabled = true;
-        window.interactivityEnabled = true;
-        window.audioReactive = { bass: 0, mid: 0, high: 0, energy: 0 };
+        if (!headless) {
+            window.addEventListener('pagehide', () => this.profile.flush());
+            document.addEventListener('visibilitychange', () => {
+                if (document.hidden) {
+                    this.pause();
+                }
+            });
+            // Escape or P pauses and resumes; ignored while the loop is stopped (drafts, the editor)
+            window.addEventListener('keydown', event => {
+                if ((event.code !== 'Escape' && event.code !== 'KeyP') || event.repeat || !this.gameLoop.running) return;
+                event.preventDefault();
+                this.togglePause();
+            });
+            window.audioEnabled = true;
+            window.interactivityEnabled = true;
+            window.audioReactive = { bass: 0, mid: 0, high: 0, energy: 0 };
+        }
+    }
+
+    async start({ countIn = true } = {}) {
+        await this.prepare();
+        await this.loadLevelTrack();
+        this.gameLoop.start();
+        this.retry({ countIn });
     }
 
-    async start() {
+    // Everything start() does short of running the rAF loop; headless callers step update() themselves
+    async prepare() {
         this.modeController.initialize();
         await this.audioService.init();
         this.spawnSystem.initialize();
+        this.applyProfileSettings();
         this.currentLevel = this.levelManager.getCurrentLevel();
         this.applyLevel(this.currentLevel);
         this.hud.setLevel(this.currentLevel?.name || '');
         this.hud.setMode(this.currentLevel?.system || 'faceted');
         this.hud.setGeometry(this.geometryController.getGeometryName());
-        this.gameLoop.start();
     }
 
-    nextLevel() {
-        if (this.currentLevel) {
+    // Accepts 'procedural[:seed]', a library track id, a URL or a File; defaults to the current level's track
+    async loadTrack(source = this.currentLevel?.track) {
+        if (!source) {
+            throw new Error('No track to load');
+        }
+        // A level's own track is analysed against the tempo grid its author declared
+        const level = this.currentLevel;
+        const analysisOptions = level && source === level.track
+            ? { bpmHint: level.bpm, offset: level.offset ?? null }
+            : {};
+        if (isProceduralTrackId(source)) {
+            await this.audioService.generateTrack({
+                seed: getProceduralSeed(source) ?? level?.seed ?? 1,
+                bpm: level?.bpm
+            });
+        } else if (isLibraryTrackId(source)) {
+            await this.loadLibraryTrack(source, analysisOptions);
+        } else if (typeof source === 'string') {
+            await this.audioService.loadTrack(source, analysisOptions);
+        } else {
+            await this.audioService.loadFile(source, analysisOptions);
+        }
+        const beatMap = this.audioService.getBeatMap();
+        this.hud.setBpm(beatMap?.bpm || this.currentLevel?.bpm || 120);
+        return beatMap;
+    }
+
+    async loadLibraryTrack(trackId, analysisOptions = {}) {
+        if (!this.trackLibrary) {
+            throw new TrackNotFoundError(trackId);
+        }
+        const entry = await this.trackLibrary.resolve(trackId);
+        const buffer = await this.trackLibrary.loadBuffer(entry);
+        // The cached beat map was analysed freely, so an authored grid means analysing again
+        const beatMap = analysisOptions.offset != null ? null : entry.beatMap;
+        this.audioService.useBuffer(buffer, beatMap, analysisOptions);
+        return entry;
+    }
+
+    // Loads every stem group (library ids or URLs) and plays them together as the track
+    async loadStems(stems) {
+        const level = this.currentLevel;
+        const analysisOptions = level?.stems === stems ? { bpmHint: level.bpm, offset: level.offset ?? null } : {};
+        const groups = Object.keys(stems);
+        const buffers = await Promise.all(groups.map(group => this.loadTrackBuffer(stems[group])));
+        const decoded = Object.fromEntries(groups.map((group, index) => [group, buffers[index]]));
+        this.audioService.useStems(decoded, null, analysisOptions);
+        this.musicMixKey = null;
+        const beatMap = this.audioService.getBeatMap();
+        this.hud.setBpm(beatMap?.bpm || level?.bpm || 120);
+        return beatMap;
+    }
+
+    async loadTrackBuffer(source) {
+        if (!isLibraryTrackId(source)) {
+            return this.audioService.fetchBuffer(source);
+        }
+        if (!this.trackLibrary) {
+            throw new TrackNotFoundError(source);
+        }
+        return this.trackLibrary.loadBuffer(await this.trackLibrary.resolve(source));
+    }
+
+    // A track that can't be loaded is shown on the HUD and holds the game in 'loading';
+    // retry() refuses to start the level silently until a later call succeeds
+    async loadLevelTrack() {
+        const level = this.currentLevel;
+        this.setTrackError(null);
+        if (!level?.track && !level?.stems) return null;
+        try {
+            return await (level.stems ? this.loadStems(level.stems) : this.loadTrack(level.track));
+        } catch (error) {
+            console.warn('Level track failed to load:', error);
+            this.setTrackError(error);
+            return null;
+        }
+    }
+
+    setTrackError(error) {
+        this.trackError = error;
+        this.hud.setError(error ? error.message : null);
+        if (error) {
+            this.audioService.stop();
+            this.countdown = null;
+            this.hud.setCountdown(null);
+            this.state.transition('loading');
+        }
+    }
+
+    // Swaps in a sample kit (see sfxKits.js); sounds it lacks stay synthesized
+    async loadSfxKit(kit) {
+        await this.audioService.init();
+        return this.sfx.loadKit(kit);
+    }
+
+    // Imports a local audio file into the track library, e.g. under a level's track id
+    async importTrack(file, metadata = {}) {
+        if (!this.trackLibrary) return null;
+        return this.trackLibrary.importFile(file, metadata);
+    }
+
+    applyProfileSettings() {
+        const settings = this.profile.getSettings();
+        this.audioService.setVolume?.(settings.musicVolume);
+        this.audioService.setSfxVolume?.(settings.sfxVolume);
+        this.levelManager.selectTier(settings.tier, this.levelManager.getCurrentLevel()?.id);
+    }
+
+    // Switches to another save slot and picks up its calibration, settings and progress
+    selectSaveSlot(slot) {
+        this.profile.selectSlot(slot);
+        this.applyCalibration(this.levelManager.getCalibration());
+        this.applyProfileSettings();
+        this.applyLevel(this.currentLevel);
+    }
+
+    applyCalibration({ audioOffset = 0, inputOffset = 0 } = {}) {
+        this.audioService.setLatency({ output: audioOffset, input: inputOffset });
+    }
+
+    startCalibration() {
+        if (this.calibration) return this.calibration;
+        this.audioService.pause();
+        this.resetRun();
+        const calibration = new CalibrationRoutine({ audioService: this.audioService });
+        calibration.on('phase', phase => {
+            this.hud.showToast(phase === 'audio' ? 'Tap with the click' : 'Tap with the flash', 2400);
+        });
+        calibration.on('beat', ({ phase }) => {
+            if (phase === 'visual') {
+                this.effectsManager.trigger('perfect');
+            }
+        });
+        calibration.on('complete', result => {
+            this.levelManager.setCalibration(result);
+            this.applyCalibration(result);
+            this.calibration = null;
+            this.resetRun();
+            const audioMs = Math.round(result.audioOffset * 1000);
+            const inputMs = Math.round(result.inputOffset * 1000);
+            this.hud.showToast(`Calibrated: audio ${audioMs}ms · input ${inputMs}ms`, 2400);
+        });
+        this.calibration = calibration;
+        calibration.start();
+        return calibration;
+    }
+
+    cancelCalibration() {
+        if (!this.calibration) return;
+        this.calibration.cancel();
+        this.calibration = null;
+        this.resetRun();
+    }
+
+    startRun(seed = Date.now()) {
+        this.clearPractice();
+        this.run = new RunManager({ seed });
+        this.relics.clear();
+        this.hud.showToast(`Run ${this.run.seed}`);
+        return this.run;
+    }
+
+    enterRunNode(nodeId) {
+        if (!this.run) return null;
+        const node = this.run.chooseNode(nodeId);
+        if (node.level) {
+            this.currentLevel = node.level;
+            // loadLevelTrack() reports its own failures; this catches anything retry() throws
+            this.loadLevelTrack()
+                .then(() => this.retry())
+                .catch(error => this.setTrackError(error));
+        } else {
+            this.health = this.run.health;
+            this.hud.setShieldMeter(this.health);
+            if (node.type === 'shop') {
+                this.offerRelicDraft(this.getDraftRandom());
+            } else {
+                this.hud.showToast('Lattice Restored');
+            }
+        }
+        return node;
+    }
+
+    completeRunNode() {
+        if (!this.run) return null;
+        const node = this.run.completeNode({ score: this.score, health: this.health });
+        if (node && this.run.status === 'active') {
+            this.offerRelicDraft(this.getDraftRandom());
+        }
+        return node;
+    }
+
+    getDraftRandom() {
+        if (!this.run) return this.levelManager.random;
+        return new SeededRandom(this.run.seed + this.run.visited.length * 7919);
+    }
+
+    offerRelicDraft(rng = this.getDraftRandom()) {
+        const choices = this.relics.draft(rng);
+        if (!choices.length) return null;
+        this.pendingDraft = { choices, resumeAudio: this.audioService.isPlaying, resumeLoop: this.gameLoop.running };
+        this.gameLoop.stop();
+        this.audioService.pause();
+        this.draftScreen.show(choices, id => this.chooseRelic(id));
+        return choices;
+    }
+
+    chooseRelic(id) {
+        if (!this.pendingDraft) return false;
+        const { choices, resumeAudio, resumeLoop } = this.pendingDraft;
+        const choice = choices.find(candidate => candidate.id === id);
+        const added = choice ? this.relics.add(choice.id) : false;
+        if (added) {
+            this.profile.unlock('relics', choice.id);
+            this.hud.showToast(choice.name);
+        }
+        this.pendingDraft = null;
+        this.draftScreen.hide();
+        if (resumeAudio) {
+            this.audioService.play();
+        }
+        if (resumeLoop) {
+            this.gameLoop.start();
+        }
+        return added;
+    }
+
+    endRun() {
+        if (!this.run) return null;
+        const summary = this.run.status === 'active' ? this.run.fail({ score: this.score }) : this.run.getSummary();
+        this.run = null;
+        // Relics belong to the run; normal play never has any
+        this.relics.clear();
+        return summary;
+    }
+
+    // Restarts the current level from the top: the track, the spawn RNG and the beat
+    // counter all go back to zero, then the count-in runs unless `countIn` is false
+    retry({ countIn = true } = {}) {
+        if (this.trackError) return false;
+        if (this.practice) {
+            return this.startPractice({ ...this.practice, countIn });
+        }
+        this.stopReplay();
+        this.resultsScreen.hide();
+        this.audioService.stop();
+        this.trackEnded = false;
+        this.countdown = null;
+        this.inputQueue = [];
+        this.slowMoTimer = 0;
+        this.timeScale = 1.0;
+        this.applyLevel(this.currentLevel);
+        this.spawnSystem.reset();
+        this.startRecording();
+        if (countIn) {
+            this.beginCountdown();
+        } else {
+            this.beginPlaying();
+        }
+        return true;
+    }
+
+    // Loops beats [startBeat, endBeat) of the current level at `rate` (0.5–1, pitch
+    // preserved). Every pass restarts from the spawn, beat counter and RNG state the
+    // level had at the loop start, and practice scores never count toward bests.
+    startPractice({ startBeat, endBeat, rate = 1, countIn = true } = {}) {
+        if (this.run || !this.currentLevel || this.trackError) return false;
+        if (!Number.isInteger(startBeat) || !Number.isInteger(endBeat) || startBeat < 0 || endBeat <= startBeat) {
+            return false;
+        }
+        const beats = this.audioService.getBeatMap()?.beats;
+        if (beats?.length && startBeat >= beats.length) return false;
+
+        this.stopReplay();
+        this.resultsScreen.hide();
+        this.stopRecording();
+        this.audioService.stop();
+        this.trackEnded = false;
+        this.countdown = null;
+        this.inputQueue = [];
+        this.slowMoTimer = 0;
+        this.timeScale = 1.0;
+        this.practice = { startBeat, endBeat, rate: this.clampPracticeRate(rate), iteration: 0 };
+        this.applyLevel(this.currentLevel);
+        this.spawnSystem.reset();
+        // Play the skipped beats off the clock so the RNG and cues reach the loop start
+        for (let beat = 0; beat < startBeat; beat++) {
+            this.applyVisualCues(beat);
+            this.spawnSystem.skipBeat();
+        }
+        // Mapped beats spawn ahead of time, so the loop opens early enough to telegraph the first
+        const lead = beats?.length ? this.spawnSystem.getScheduleLead() : 0;
+        const practice = this.practice;
+        practice.start = Math.max(0, this.getBeatTime(startBeat) - lead);
+        practice.end = this.getBeatTime(endBeat);
+        practice.snapshot = {
+            state: this.captureReplayState(),
+            nextBeatIndex: startBeat,
+            mode: this.geometryController.mode,
+            geometryIndex: this.geometryController.geometryIndex
+        };
+        this.playbackRate = practice.rate;
+        this.spawnSystem.setBeatLimit(beats?.length ? endBeat : Infinity);
+        this.audioService.setLoop({ start: practice.start, end: practice.end, rate: practice.rate });
+        this.restartPracticeLoop({ seek: true });
+        if (countIn) {
+            this.beginCountdown();
+        } else {
+            this.beginPlaying();
+        }
+        return practice;
+    }
+
+    // Rewinds to the loop start snapshot so every pass spawns the same targets; `seek`
+    // moves the track there too, for restarts that don't come from the loop wrapping
+    restartPracticeLoop({ seek = false } = {}) {
+        const practice = this.practice;
+        if (!practice?.snapshot) return false;
+        if (!seek) {
+            practice.iteration += 1;
+            this.hud.showToast(`Loop ${practice.iteration} — ${Math.round(this.results.getAccuracy() * 100)}%`);
+        }
+        const { snapshot } = practice;
+        this.resetRun();
+        this.restoreReplayState(snapshot.state);
+        this.spawnSystem.nextBeatIndex = snapshot.nextBeatIndex;
+        this.spawnSystem.lastScheduleTime = practice.start;
+        this.modeController.setMode(snapshot.mode);
+        this.modeController.setGeometry(snapshot.geometryIndex);
+        this.hud.setMode(snapshot.mode);
+        this.hud.setGeometry(this.geometryController.getGeometryName());
+        this.inputQueue = [];
+        if (seek) {
+            this.audioService.seek(practice.start);
+        }
+        return true;
+    }
+
+    // Changes the practice loop's rate in place, without restarting it
+    setPracticeRate(rate) {
+        const practice = this.practice;
+        if (!practice) return false;
+        practice.rate = this.clampPracticeRate(rate);
+        this.playbackRate = practice.rate;
+        this.audioService.setLoop({ start: practice.start, end: practice.end, rate: practice.rate });
+        return true;
+    }
+
+    clampPracticeRate(rate) {
+        if (typeof rate !== 'number' || Number.isNaN(rate)) return PRACTICE_MAX_RATE;
+        return Math.max(PRACTICE_MIN_RATE, Math.min(PRACTICE_MAX_RATE, rate));
+    }
+
+    // Leaves practice mode and restarts the level normally
+    stopPractice({ countIn = true } = {}) {
+        if (!this.practice) return false;
+        this.clearPractice();
+        return this.retry({ countIn });
+    }
+
+    clearPractice() {
+        if (!this.practice) return;
+        this.practice = null;
+        this.playbackRate = 1;
+        this.audioService.setLoop(null);
+        this.spawnSystem.setBeatLimit();
+    }
+
+    // Track time of a beat: from the beat map when there is one, else the level's tempo grid
+    getBeatTime(index) {
+        const beatMap = this.audioService.getBeatMap();
+        const interval = 60 / (beatMap?.bpm || this.audioService.bpm || this.currentLevel?.bpm || 120);
+        const beats = beatMap?.beats;
+        if (!beats?.length) {
+            return (this.currentLevel?.offset || 0) + index * interval;
+        }
+        if (index < beats.length) return beats[index].time;
+        return beats[beats.length - 1].time + (index - beats.length + 1) * interval;
+    }
+
+    // Freezes gameplay and the track together; returns false when there is nothing to pause
+    pause() {
+        if (!this.state.is('playing', 'countdown')) return false;
+        this.audioService.pause();
+        this.countdown = null;
+        this.hud.setCountdown(null);
+        this.inputQueue = [];
+        this.profile.flush();
+        return this.state.transition('paused');
+    }
+
+    togglePause() {
+        return this.state.is('paused') ? this.resume() : this.pause();
+    }
+
+    // Picks the track up where it was paused, after a count-in unless `countIn` is false
+    resume({ countIn = true } = {}) {
+        if (!this.state.is('paused')) return false;
+        if (countIn) {
+            this.beginCountdown();
+        } else {
+            this.beginPlaying();
+        }
+        return true;
+    }
+
+    beginCountdown() {
+        const bpm = this.audioService.getBeatMap()?.bpm || this.currentLevel?.bpm || 120;
+        this.countdown = { interval: 60 / bpm / this.playbackRate, remaining: COUNT_IN_BEATS, timer: 0 };
+        this.state.transition('countdown', { beats: COUNT_IN_BEATS });
+        this.countIn();
+    }
+
+    countIn() {
+        const { remaining } = this.countdown;
+        this.audioService.playClick(undefined, remaining === COUNT_IN_BEATS);
+        this.hud.setCountdown(remaining);
+    }
+
+    updateCountdown(dt) {
+        const countdown = this.countdown;
+        countdown.timer += dt;
+        if (countdown.timer < countdown.interval) return;
+        countdown.timer -= countdown.interval;
+        countdown.remaining -= 1;
+        if (countdown.remaining > 0) {
+            this.countIn();
+            return;
+        }
+        this.beginPlaying();
+    }
+
+    beginPlaying() {
+        this.countdown = null;
+        this.hud.setCountdown(null);
+        this.audioService.play();
+        this.state.transition('playing');
+    }
+
+    // The track or declared duration ran out, the survive time was reached, or a no-miss
+    // level saw its first miss. Inside a run a cleared level moves on to the next node.
+    completeLevel() {
+        // A replay (a boss defeated in one, say) just ends; the run it came from is left alone
+        if (this.replayPlayer) return this.finishLevel();
+        const goals = this.evaluateLevelGoals();
+        const cleared = goals.every(goal => goal.met);
+        if (this.run) {
+            if (cleared) {
+                this.audioService.pause();
+                this.state.transition('cleared');
+                this.hud.showToast('Node Cleared');
+                this.completeRunNode();
+                return null;
+            }
+            const summary = this.endRun();
+            this.hud.showToast(`Run Over — Floor ${summary.floor + 1}`, 2400);
+            return this.finishLevel({ cleared, record: false, goals });
+        }
+        this.hud.showToast(cleared ? 'Level Cleared' : 'Goal Missed', 2400);
+        return this.finishLevel({ cleared, goals });
+    }
+
+    evaluateLevelGoals() {
+        return evaluateGoals(this.currentLevel?.goals, {
+            health: this.health,
+            score: this.score,
+            misses: this.judgmentSystem.getCounts().miss,
+            time: this.levelTime
+        });
+    }
+
+    checkLevelEnd() {
+        const level = this.currentLevel;
+        if (!level || this.replayPlayer || this.calibration || !this.state.is('playing')) return;
+        const time = this.audioService.getPlaybackTime();
+        // Practice never ends the level: a collapse restarts the loop, as does reaching
+        // its end when there is no track to loop (the metronome fallback)
+        if (this.practice) {
+            if (this.health <= 0) {
+                this.hud.showToast('Grid Collapsed');
+                this.restartPracticeLoop({ seek: true });
+            } else if (!this.audioService.loop && time >= this.practice.end) {
+                this.restartPracticeLoop({ seek: true });
+            }
+            return;
+        }
+        const goals = resolveGoals(level.goals);
+        const ended = this.trackEnded
+            || (level.duration && time >= level.duration)
+            || (goals.survive && this.levelTime >= goals.survive)
+            || (goals.noMiss && this.judgmentSystem.getCounts().miss > 0);
+        if (ended) {
+            this.completeLevel();
+        }
+    }
+
+    // Ends the attempt, records the score (unless `record` is false) and shows the results
+    finishLevel({ cleared = false, record = true, goals = this.evaluateLevelGoals() } = {}) {
+        if (this.replayPlayer) {
+            this.finishReplay();
+            return this.lastResults;
+        }
+        const level = this.currentLevel;
+        const tier = this.levelManager.getCurrentTier();
+        const previousBest = level ? this.levelManager.getTierProgress(level.id, tier).best : 0;
+        if (level && record && !this.practice) {
+            this.levelManager.recordScore(level.id, this.score, { tier, cleared });
+        }
+        this.lastReplay = this.stopRecording();
+        this.audioService.pause();
+        this.lastResults = {
+            ...this.results.getSummary({ score: this.score, cleared, windowMs: this.judgmentSystem.windowMs }),
+            levelId: level?.id || null,
+            levelName: level?.name || '',
+            tier,
+            tierName: DIFFICULTY_TIERS[tier]?.name || tier,
+            goals,
+            best: { previous: previousBest, isNew: this.score > previousBest }
+        };
+        this.showResults(this.lastResults);
+        return this.lastResults;
+    }
+
+    showResults(results) {
+        this.state.transition(results.cleared ? 'cleared' : 'failed');
+        this.state.transition('results', { results });
+        const next = this.levelManager.levels[this.levelManager.currentIndex + 1];
+        const canAdvance = results.cleared && next && this.levelManager.isLevelUnlocked(next.id);
+        this.resultsScreen.show(results, {
+            onRetry: () => this.retry(),
+            onNext: canAdvance ? () => this.playNextLevel() : null,
+            onReplay: this.lastReplay ? () => this.watchReplay(this.lastReplay) : null
+        });
+    }
+
+    async playNextLevel() {
+        this.nextLevel({ record: false });
+        try {
+            await this.loadLevelTrack();
+            this.retry();
+        } catch (error) {
+            this.setTrackError(error);
+        }
+    }
+
+    // Plays a recorded attempt back on screen, returning to its results when it ends
+    watchReplay(replay) {
+        this.resultsScreen.hide();
+        this.audioService.stop();
+        const player = this.startReplay(replay);
+        this.watchingReplay = true;
+        return player;
+    }
+
+    finishReplay() {
+        const watched = this.watchingReplay;
+        const result = this.stopReplay();
+        if (watched && this.lastResults) {
+            this.showResults(this.lastResults);
+        }
+        return result;
+    }
+
+    nextLevel({ record = true } = {}) {
+        if (this.currentLevel && record && !this.practice) {
             this.levelManager.recordScore(this.currentLevel.id, this.score);
         }
+        this.clearPractice();
         this.currentLevel = this.levelManager.advanceLevel();
         this.applyLevel(this.currentLevel);
         this.hud.setLevel(this.currentLevel?.name || '');
         this.hud.setMode(this.currentLevel?.system || 'faceted');
         this.hud.setGeometry(this.geometryController.getGeometryName());
+        if (this.run) {
+            this.offerRelicDraft();
+        }
+    }
+
+    // Music and SFX volumes (0–1) are saved with the profile's settings
+    setVolumes({ musicVolume, sfxVolume } = {}) {
+        const patch = {};
+        if (typeof musicVolume === 'number') patch.musicVolume = Math.max(0, Math.min(1, musicVolume));
+        if (typeof sfxVolume === 'number') patch.sfxVolume = Math.max(0, Math.min(1, sfxVolume));
+        this.profile.updateSettings(patch);
+        this.applyProfileSettings();
+        return this.profile.getSettings();
+    }
+
+    // Switches the difficulty tier and restarts the level on that tier's chart
+    setTier(tier) {
+        if (!this.levelManager.selectTier(tier, this.currentLevel?.id)) return false;
+        this.profile.updateSettings({ tier });
+        this.applyLevel(this.currentLevel);
+        return true;
     }
 
     applyLevel(level) {
         if (!level) return;
+        const chart = resolveChart(level, this.levelManager.getCurrentTier());
+        this.unlockVisuals(level.system, level.geometryIndex);
         this.geometryController.setSeed(level.seed || 1);
-        this.spawnSystem.configure({ difficulty: level.difficulty?.speed || 1, spawn: level.spawn });
+        this.spawnSystem.configure({
+            difficulty: (level.difficulty?.speed || 1) * chart.densityScale,
+            spawn: chart.spawn,
+            telegraph: chart.telegraph,
+            lifespanScale: chart.lifespanScale,
+            types: chart.types,
+            timeline: chart.timeline || null
+        });
+        this.judgmentSystem.setWindow(chart.windowMs);
         this.levelManager.applyLevelSettings(level, {
             modeController: this.modeController,
             geometryController: this.geometryController,
             audioService: this.audioService
         });
-        this.hud.setBpm(level.bpm || 120);
+        this.hud.setBpm(this.audioService.getBeatMap()?.bpm || level.bpm || 120);
         this.hud.setMode(level.system || 'faceted');
         this.hud.setGeometry(this.geometryController.getGeometryName());
         this.hud.setLevel(level.name || '');
@@ -87,76 +793,400 @@ export class LatticePulseGame {
     }
 
     setupSpawnEvents() {
+        this.spawnSystem.on('beat', () => this.applyVisualCues(this.spawnSystem.beatCount));
+
         this.spawnSystem.on('resolve', target => {
-            const gain = 120 + Math.round(target.age * 40);
-            this.combo = Math.min(this.combo + 1, 99);
-            const multiplier = 1 + this.combo * 0.1;
-            const delta = Math.round(gain * multiplier);
+            const tier = target.judgment?.tier || 'good';
+            const outcome = this.relics.apply('resolve', {
+                gain: this.judgmentSystem.getScore(tier),
+                comboStep: 1,
+                comboMultiplier: COMBO_MULTIPLIER,
+                healthGain: 0
+            }, { target, tier, combo: this.combo });
+            this.combo = Math.min(this.combo + outcome.comboStep, 99);
+            this.recordJudgment(tier, { target, offsetMs: target.judgment?.offsetMs });
+            const multiplier = 1 + this.combo * outcome.comboMultiplier;
+            const delta = Math.round(outcome.gain * multiplier);
             this.score += delta;
+            if (outcome.healthGain > 0) {
+                this.health = Math.min(1, this.health + outcome.healthGain);
+                this.hud.setShieldMeter(this.health);
+            }
             this.effectsManager.trigger(this.combo > 5 ? 'combo' : 'pulse');
-            if (target.type === 'orb') {
+            if (tier === 'perfect') {
                 this.effectsManager.trigger('perfect');
             }
+            this.hud.setJudgment(tier);
             this.hud.setScore(this.score);
             this.hud.setCombo(this.combo);
+            this.targetOverlay?.addBurst(target, tier, this.combo);
+            this.boss?.damage(this.boss.getDamageForHit(target, tier));
         });
 
-        this.spawnSystem.on('miss', () => {
-            this.combo = 0;
-            this.health = Math.max(0, this.health - 0.1);
+        this.spawnSystem.on('miss', target => {
+            const outcome = this.relics.apply('miss', {
+                healthLoss: target.damage ?? MISS_HEALTH_LOSS,
+                combo: 0
+            }, { target, combo: this.combo });
+            this.recordJudgment('miss', { target });
+            this.combo = outcome.combo;
+            this.health = Math.max(0, this.health - outcome.healthLoss);
             this.effectsManager.trigger('miss');
+            this.targetOverlay?.addBurst(target, 'miss');
             this.hud.setCombo(this.combo);
             this.hud.setShieldMeter(this.health);
-            if (this.health <= 0) {
-                if (this.currentLevel) {
-                    this.levelManager.recordScore(this.currentLevel.id, this.score);
-                }
-                this.hud.showToast('Grid Collapsed — Retry!');
-                this.resetRun();
+            // In practice, checkLevelEnd() restarts the loop instead. Later misses in the
+            // same step find the attempt already over and must not finish it again.
+            if (this.health <= 0 && !this.practice && this.state.is('playing')) {
+                // A run's score is kept by the run, not the level's bests
+                const summary = this.run ? this.endRun() : null;
+                this.finishLevel({ cleared: false, record: !summary });
+                this.hud.showToast(summary ? `Run Over — Floor ${summary.floor + 1}` : 'Grid Collapsed', 2400);
             }
         });
     }
 
     resetRun() {
-        this.score = 0;
+        // Inside a roguelike run, score and health carry over from the previous node
+        this.score = this.run ? this.run.score : 0;
         this.combo = 0;
-        this.health = 1.0;
+        this.health = this.run ? this.run.health : 1.0;
+        this.levelTime = 0;
         this.spawnSystem.activeTargets = [];
+        this.inputMapping.resetPulse();
         this.lastPulseCaptureIds.clear();
+        this.pulseJudgment = null;
+        this.judgmentSystem.reset();
+        this.results.reset();
+        this.gestureSystem.reset();
+        this.targetOverlay?.clear();
+        this.relics.startLevel();
+        this.setupBoss(this.currentLevel);
+        this.hud.setScore(this.score);
+        this.hud.setCombo(this.combo);
+        this.hud.setShieldMeter(this.health);
+    }
+
+    applyVisualCues(beatIndex) {
+        const cues = this.currentLevel?.cues;
+        if (!cues?.length) return;
+        cues.filter(cue => cue.beat === beatIndex).forEach(cue => {
+            if (cue.system) {
+                this.modeController.setMode(cue.system);
+                this.hud.setMode(cue.system);
+            }
+            if (typeof cue.geometryIndex === 'number') {
+                this.modeController.setGeometry(cue.geometryIndex);
+                this.hud.setGeometry(this.geometryController.getGeometryName());
+            }
+            this.unlockVisuals(cue.system, cue.geometryIndex);
+            if (cue.palette || cue.parameters) {
+                this.modeController.updateParameters({ ...cue.palette, ...cue.parameters });
+            }
+        });
+    }
+
+    // Systems and geometries count as unlocked once the player has played through them
+    unlockVisuals(system, geometryIndex) {
+        if (this.replayPlayer || this.practice) return;
+        if (system) {
+            this.profile.unlock('systems', system);
+        }
+        if (typeof geometryIndex === 'number') {
+            this.profile.unlock('geometries', geometryIndex);
+        }
+    }
+
+    // Lifetime stats only count live play, never replays
+    recordJudgment(tier, details = {}) {
+        this.judgmentSystem.record(tier);
+        this.results.record(tier, { ...details, combo: this.combo });
+        // Replays verified off the clock have no music to play along with
+        if (this.audioService.isPlaying) {
+            this.sfx.playJudgment(tier, details.target);
+        }
+        if (!this.replayPlayer) {
+            this.profile.recordJudgment(tier, this.combo);
+        }
+    }
+
+    setupBoss(level) {
+        this.boss = level?.boss ? new BossEncounter(level.boss) : null;
+        this.spawnSystem.setBoss(this.boss);
+        if (!this.boss) {
+            this.hud.setBossHealth(null);
+            return;
+        }
+        this.boss.on('damage', ({ fraction }) => this.hud.setBossHealth(fraction));
+        this.boss.on('phase', ({ phase }) => {
+            this.applyBossPhase(phase);
+            this.effectsManager.trigger('bossPhase');
+            this.hud.showToast(phase.name);
+        });
+        this.boss.on('defeated', () => this.handleBossDefeated());
+        this.applyBossPhase(this.boss.getPhase());
+        this.hud.setBossHealth(1, this.boss.name);
+    }
+
+    // Each boss phase swaps the spawn pattern, geometry and visualization system
+    applyBossPhase(phase) {
+        if (phase.system) {
+            this.modeController.setMode(phase.system);
+            this.hud.setMode(phase.system);
+        }
+        if (typeof phase.geometryIndex === 'number') {
+            this.modeController.setGeometry(phase.geometryIndex);
+            this.hud.setGeometry(this.geometryController.getGeometryName());
+        }
+        if (phase.spawn) {
+            this.spawnSystem.configure({ spawn: phase.spawn });
+        }
+    }
+
+    handleBossDefeated() {
+        const boss = this.boss;
+        this.spawnSystem.setBoss(null);
+        this.spawnSystem.activeTargets = this.spawnSystem.activeTargets.filter(target => !target.attack);
+        this.hud.setBossHealth(null);
+        this.hud.showToast(`${boss.name} Shattered`, 2000);
+        // Ends the level as a cleared track would: in a run that completes the node
+        this.completeLevel();
+    }
+
+    queueInput(type, payload = null) {
+        // Live input is ignored while a replay drives the game, and while gameplay is frozen
+        if (this.replayPlayer || !this.isSimulating()) return;
+        this.inputQueue.push({ type, payload });
+    }
+
+    // Moves only matter while a gesture target is on screen; skipping the rest keeps replays small
+    queuePointer(pointer) {
+        if (pointer.phase === 'move' && !this.gestureSystem.hasActiveTargets()) return;
+        this.queueInput('pointer', pointer);
+    }
+
+    needsJudgment({ type, payload }) {
+        if (this.calibration) return false;
+        return type === 'pulse' || type === 'pinch' || (type === 'pointer' && payload.phase === 'down');
+    }
+
+    processInputs() {
+        const inputs = this.replayPlayer ? this.replayPlayer.takeInputs() : this.inputQueue.splice(0);
+        inputs.forEach(input => {
+            this.replayRecorder?.recordInput(input);
+            if (this.needsJudgment(input)) {
+                // Replayed inputs are judged again from their time, never taken on trust
+                input.payload = { ...input.payload, judgment: this.judgmentSystem.judgePulse(input.payload, this.replayPlayer?.clock) };
+            }
+            this.applyInput(input);
+        });
+    }
+
+    applyInput({ type, payload }) {
+        switch (type) {
+            case 'pulse':
+                this.inputMapping.activatePulse(payload);
+                this.handlePulse(payload);
+                break;
+            case 'longPress':
+                this.handleLongPress();
+                break;
+            case 'pointer':
+                this.gestureSystem.handlePointer(payload);
+                break;
+            case 'pinch':
+                this.gestureSystem.handlePinch(payload);
+                break;
+            case 'parameterDelta':
+                this.modeController.applyParameterDelta(payload);
+                break;
+            default:
+                break;
+        }
+    }
+
+    captureReplayState() {
+        return {
+            rngState: this.geometryController.random.state,
+            beatCount: this.spawnSystem.beatCount,
+            onsetBands: [...this.spawnSystem.onsetBands],
+            score: this.score,
+            combo: this.combo,
+            health: this.health,
+            slowMoTimer: this.slowMoTimer,
+            timeScale: this.timeScale,
+            relics: this.relics.serialize(),
+            boss: this.boss?.serialize() || null
+        };
+    }
+
+    restoreReplayState(state) {
+        this.geometryController.random.state = state.rngState;
+        this.spawnSystem.beatCount = state.beatCount;
+        this.spawnSystem.onsetBands = new Set(state.onsetBands);
+        this.score = state.score;
+        this.combo = state.combo;
+        this.health = state.health;
+        this.slowMoTimer = state.slowMoTimer;
+        this.timeScale = state.timeScale;
+        this.relics.restore(state.relics);
+        if (this.boss && state.boss) {
+            this.boss.restore(state.boss);
+            this.applyBossPhase(this.boss.getPhase());
+            this.hud.setBossHealth(this.boss.getHealthFraction(), this.boss.name);
+        }
         this.hud.setScore(this.score);
         this.hud.setCombo(this.combo);
         this.hud.setShieldMeter(this.health);
     }
 
+    startRecording() {
+        this.stopRecording();
+        this.resetRun();
+        this.inputQueue = [];
+        this.replayRecorder = new ReplayRecorder({ game: this });
+        this.replayRecorder.start();
+        return this.replayRecorder;
+    }
+
+    stopRecording() {
+        if (!this.replayRecorder) return null;
+        const replay = this.replayRecorder.stop();
+        this.replayRecorder = null;
+        return replay;
+    }
+
+    startReplay(replay) {
+        this.clearPractice();
+        this.stopRecording();
+        this.stopReplay();
+        this.replayReturn = { relics: this.relics.serialize(), tier: this.levelManager.getCurrentTier() };
+        const level = replay.level || this.levelManager.selectLevel(replay.levelId);
+        if (!level || level.id !== replay.levelId) {
+            throw new Error(`Replay level not found: ${replay.levelId}`);
+        }
+        this.currentLevel = level;
+        // Replays play back on the tier they were recorded on, locked or not, until stopReplay()
+        this.levelManager.currentTier = replay.tier || DEFAULT_TIER;
+        this.applyLevel(level);
+        this.restoreReplayState(replay.initialState);
+        this.inputQueue = [];
+        this.spawnSystem.setAutoBeats(false);
+        this.countdown = null;
+        this.state.transition('playing');
+        this.replayPlayer = new ReplayPlayer({ game: this, replay });
+        this.replayPlayer.start();
+        return this.replayPlayer;
+    }
+
+    stopReplay() {
+        if (!this.replayPlayer) return null;
+        const result = this.replayPlayer.finish();
+        this.replayPlayer = null;
+        this.watchingReplay = false;
+        this.spawnSystem.setAutoBeats(true);
+        if (this.replayReturn) {
+            this.relics.restore(this.replayReturn.relics);
+            this.levelManager.currentTier = this.replayReturn.tier;
+            this.replayReturn = null;
+        }
+        return result;
+    }
+
+    // Runs a whole replay synchronously at its fixed step, e.g. to verify a submitted
+    // score. It plays on a separate headless game, so this one's attempt is untouched.
+    verifyReplay(replay) {
+        const verifier = new LatticePulseGame({
+            container: null,
+            hudElement: null,
+            headless: true,
+            audioService: new SyntheticBeatSource(),
+            levels: this.levelManager.levels
+        });
+        const player = verifier.startReplay(replay);
+        while (player.playing) {
+            verifier.update(replay.fixedStep);
+        }
+        return player.result;
+    }
+
     handlePulse(pulse) {
+        if (this.calibration) {
+            this.calibration.recordTap(pulse.time);
+            return;
+        }
         this.lastPulseCaptureIds.clear();
-        this.effectsManager.trigger('pulse');
+        this.pulseJudgment = pulse.judgment || this.judgmentSystem.judgePulse(pulse);
+        if (this.pulseJudgment.tier === 'miss') {
+            // Off-beat pulses break the combo and can't capture anything
+            const outcome = this.relics.apply('miss', { healthLoss: 0, combo: 0 }, { pulse, combo: this.combo });
+            this.recordJudgment('miss');
+            this.combo = outcome.combo;
+            this.effectsManager.trigger('miss');
+            this.hud.setJudgment('miss');
+            this.hud.setCombo(this.combo);
+        } else {
+            this.effectsManager.trigger('pulse');
+        }
         this.hud.setPulseMeter(1);
     }
 
     handleLongPress() {
-        this.slowMoTimer = 1.5;
-        this.timeScale = 0.75;
+        // Holding or sliding a gesture target is not a request for Phase Drift
+        if (this.gestureSystem.isEngaged()) return;
+        const slowMo = this.relics.apply('slowMo', { duration: SLOW_MO_DURATION, timeScale: SLOW_MO_TIME_SCALE });
+        this.slowMoTimer = slowMo.duration;
+        this.timeScale = slowMo.timeScale;
         this.hud.showToast('Phase Drift');
     }
 
+    isSimulating() {
+        return this.state.is('playing') || Boolean(this.calibration);
+    }
+
     update(dt) {
-        const scaledDt = dt * this.timeScale;
+        if (this.countdown) {
+            this.updateCountdown(dt);
+        }
+        if (!this.isSimulating()) {
+            this.performanceController.update();
+            this.hud.setFps(this.performanceController.getAverageFps());
+            return;
+        }
+        this.processInputs();
+        const scaledDt = dt * this.timeScale * this.playbackRate;
         this.audioService.update(scaledDt);
-        const bands = this.audioService.getBandLevels();
-        window.audioReactive = {
-            bass: bands.bass,
-            mid: bands.mid,
-            high: bands.high,
-            energy: bands.energy
-        };
+        if (!this.headless) {
+            const bands = this.audioService.getBandLevels();
+            window.audioReactive = {
+                bass: bands.bass,
+                mid: bands.mid,
+                high: bands.high,
+                energy: bands.energy
+            };
+        }
 
-        this.spawnSystem.update(scaledDt);
-        const targets = this.spawnSystem.getTargets();
-        this.collisionSystem.rebuild(targets);
-        this.resolveCollisions();
+        if (!this.calibration) {
+            this.replayPlayer?.takeEvents().forEach(({ type, event }) => {
+                if (type === 'onset') {
+                    this.spawnSystem.handleOnset(event);
+                } else {
+                    this.spawnSystem.handleBeat(event);
+                }
+            });
+            this.spawnSystem.update(scaledDt);
+            // Telegraphed targets are shown but can't be hit until they are ready
+            this.collisionSystem.rebuild(this.spawnSystem.getHittableTargets());
+            this.resolveCollisions();
+            this.gestureSystem.update(scaledDt);
+        }
 
         this.effectsManager.update(scaledDt);
+        this.targetOverlay?.update(scaledDt);
+        if (this.audioService.isPlaying && !this.replayPlayer && !this.calibration) {
+            this.profile.addPlaytime(dt);
+        }
+        this.profile.update(dt);
         this.inputMapping.update(scaledDt);
         this.performanceController.update();
 
@@ -166,6 +1196,7 @@ export class LatticePulseGame {
                 this.timeScale = 1.0;
             }
         }
+        this.updateMusicMix();
 
         const pulseState = this.inputMapping.getPulseState();
         if (pulseState.active) {
@@ -175,19 +1206,37 @@ export class LatticePulseGame {
         }
 
         this.hud.setFps(this.performanceController.getAverageFps());
+
+        this.levelTime += dt;
+        this.stepIndex += 1;
+        if (this.replayPlayer?.isFinished()) {
+            this.finishReplay();
+        }
+        this.checkLevelEnd();
+    }
+
+    // Stems build up with combo, strip back and muffle at low health, and the drift
+    // layer comes in during Phase Drift; the mix is only pushed when it changes
+    updateMusicMix() {
+        const mix = computeStemMix({ combo: this.combo, health: this.health, drifting: this.slowMoTimer > 0 });
+        const key = JSON.stringify(mix);
+        if (key === this.musicMixKey) return;
+        this.musicMixKey = key;
+        this.audioService.setStemMix?.(mix);
     }
 
     resolveCollisions() {
         const pulseState = this.inputMapping.getPulseState();
-        if (!pulseState.active) return;
+        if (!pulseState.active || this.pulseJudgment?.tier === 'miss') return;
         const hits = this.collisionSystem.queryCircle({
             x: pulseState.x,
             y: pulseState.y,
             radius: pulseState.radius
         });
         hits.forEach(target => {
-            if (this.lastPulseCaptureIds.has(target.id)) return;
-            const resolved = this.spawnSystem.resolveTarget(target.id);
+            // Gesture targets ignore taps; GestureSystem resolves them
+            if (this.lastPulseCaptureIds.has(target.id) || getGesture(target)) return;
+            const resolved = this.spawnSystem.resolveTarget(target.id, this.pulseJudgment);
             if (resolved) {
                 this.lastPulseCaptureIds.add(target.id);
             }
@@ -195,7 +1244,16 @@ export class LatticePulseGame {
     }
 
     render() {
+        const targets = this.spawnSystem.getTargets();
+        const rings = targets.map(getApproachRing).filter(Boolean);
+        this.modeController.updateApproach(rings);
         this.modeController.render(this.inputMapping.getInteraction());
+        this.targetOverlay?.render({
+            targets,
+            rings,
+            pulse: this.inputMapping.getPulseState(),
+            params: this.modeController.getParameters()
+        });
         this.performanceController.recordFrame();
     }
 }
@@ -1,4 +1,11 @@
+import { BeatMapAnalyzer } from './BeatMapAnalyzer.js';
+import { OnsetDetector } from './OnsetDetector.js';
+import { composeSoundtrack, renderSoundtrack } from './ProceduralSoundtrack.js';
+
 const DEFAULT_BPM = 120;
+const STEM_FADE = 0.6;
+// Stretched loop segment sets kept per track, so switching between a few practice rates is instant
+const LOOP_CACHE_SIZE = 4;
 
 export class AudioService {
     constructor() {
@@ -12,14 +19,29 @@ export class AudioService {
         this.fftSize = 2048;
         this.frequencyData = null;
         this.timeDomainData = null;
-        this.listeners = { beat: new Set(), analyser: new Set() };
+        this.listeners = { beat: new Set(), onset: new Set(), analyser: new Set(), beatmap: new Set(), ended: new Set(), loop: new Set() };
+        this.beatMapAnalyzer = new BeatMapAnalyzer();
+        this.beatMap = null;
         this.lastBeatTime = 0;
         this.bpm = DEFAULT_BPM;
         this.metronomePhase = 0;
-        this.beatThreshold = 1.4;
+        this.onsetDetector = new OnsetDetector();
         this.energyHistory = [];
         this.historySize = 43; // ~0.7 seconds at 60fps
         this.metronomeEnabled = true;
+        this.metronomeClick = false;
+        this.latency = { output: 0, input: 0 };
+        this.pendingEvents = [];
+        this.generated = null;
+        this.stems = null;
+        this.stemSources = [];
+        this.stemMix = null;
+        this.loop = null;
+        this.loopIteration = 0;
+        this.loopSegments = new Map();
+        this.stretchJobs = new Map();
+        this.stretchWorker = null;
+        this.nextStretchJob = 0;
     }
 
     async init() {
@@ -32,8 +54,17 @@ export class AudioService {
         this.timeDomainData = new Float32Array(this.analyser.fftSize);
         this.gainNode = this.context.createGain();
         this.gainNode.gain.value = 0.8;
-        this.analyser.connect(this.gainNode);
+        // After the analyser, so closing it on low health doesn't change beat detection
+        this.musicFilter = this.context.createBiquadFilter();
+        this.musicFilter.type = 'lowpass';
+        this.musicFilter.frequency.value = 20000;
+        this.analyser.connect(this.musicFilter);
+        this.musicFilter.connect(this.gainNode);
         this.gainNode.connect(this.context.destination);
+        // Sound effects bypass the analyser so they never register as beats
+        this.sfxGain = this.context.createGain();
+        this.sfxGain.gain.value = 0.8;
+        this.sfxGain.connect(this.context.destination);
     }
 
     // Alias for compatibility with main game
@@ -41,18 +72,114 @@ export class AudioService {
         return await this.init();
     }
 
-    async loadTrack(url) {
+    async decodeAudio(arrayBuffer) {
         await this.init();
-        this.stop();
+        return this.context.decodeAudioData(arrayBuffer);
+    }
+
+    async fetchBuffer(url) {
         const response = await fetch(url);
-        const arrayBuffer = await response.arrayBuffer();
-        this.trackBuffer = await this.context.decodeAudioData(arrayBuffer);
+        if (!response.ok) {
+            throw new Error(`Track request failed (${response.status}): ${url}`);
+        }
+        return this.decodeAudio(await response.arrayBuffer());
+    }
+
+    async loadTrack(url, analysisOptions = {}) {
+        await this.init();
+        this.stop();
+        this.trackBuffer = await this.fetchBuffer(url);
         this.resetState();
+        this.analyzeTrack(analysisOptions);
     }
 
-    useBuffer(buffer) {
+    // Plays an already decoded buffer; a cached beat map skips analysis
+    useBuffer(buffer, beatMap = null, analysisOptions = {}) {
+        this.stop();
         this.trackBuffer = buffer;
         this.resetState();
+        if (beatMap) {
+            this.setBeatMap(beatMap);
+        } else {
+            this.analyzeTrack(analysisOptions);
+        }
+    }
+
+    // Synthesizes a song for the seed and BPM and plays it like a loaded track; its
+    // beat map comes from the composition. The last song is kept for retries.
+    async generateTrack({ seed = 1, bpm = DEFAULT_BPM } = {}) {
+        await this.init();
+        const key = `${seed}:${bpm}`;
+        if (this.generated?.key !== key) {
+            const song = composeSoundtrack({ seed, bpm });
+            const buffer = await renderSoundtrack(song, { sampleRate: this.context.sampleRate });
+            this.generated = { key, song, buffer };
+        }
+        this.useBuffer(this.generated.buffer, this.generated.song.beatMap);
+        return this.generated.song;
+    }
+
+    // Plays decoded stems ({ drums, bass, ... } buffers) in sync as one track. The
+    // longest stem sets the track's length; beats come from the drums when present.
+    useStems(stems, beatMap = null, analysisOptions = {}) {
+        this.stop();
+        const entries = Object.entries(stems).filter(([, buffer]) => buffer);
+        if (!entries.length) {
+            throw new Error('No stems to play');
+        }
+        this.resetState();
+        this.stems = entries.map(([group, buffer]) => {
+            const gain = this.context.createGain();
+            gain.gain.value = this.stemMix?.gains[group] ?? (group === 'drift' ? 0 : 1);
+            gain.connect(this.analyser);
+            return { group, buffer, gain };
+        });
+        this.trackBuffer = this.stems.reduce((longest, stem) =>
+            stem.buffer.duration > longest.duration ? stem.buffer : longest, this.stems[0].buffer);
+        if (beatMap) {
+            this.setBeatMap(beatMap);
+        } else {
+            this.analyzeTrack(analysisOptions, stems.drums || this.trackBuffer);
+        }
+    }
+
+    // Fades each stem group toward its gain and sweeps the music low-pass; the
+    // low-pass applies to single-file tracks too
+    setStemMix(mix, fadeTime = STEM_FADE) {
+        this.stemMix = mix;
+        if (!this.context) return;
+        const now = this.context.currentTime;
+        this.stems?.forEach(stem => {
+            stem.gain.gain.setTargetAtTime(mix.gains[stem.group] ?? 1, now, fadeTime / 3);
+        });
+        this.musicFilter.frequency.setTargetAtTime(mix.lowpass, now, fadeTime / 3);
+    }
+
+    getStemGroups() {
+        return this.stems ? this.stems.map(stem => stem.group) : [];
+    }
+
+    analyzeTrack(options = {}, buffer = this.trackBuffer) {
+        if (!buffer) return null;
+        try {
+            this.setBeatMap(this.beatMapAnalyzer.analyze(buffer, options));
+        } catch (error) {
+            console.warn('Beat map analysis failed:', error);
+            this.setBeatMap(null);
+        }
+        return this.beatMap;
+    }
+
+    setBeatMap(beatMap) {
+        this.beatMap = beatMap;
+        if (beatMap?.bpm) {
+            this.bpm = beatMap.bpm;
+        }
+        this.listeners.beatmap.forEach(cb => cb(beatMap));
+    }
+
+    getBeatMap() {
+        return this.beatMap;
     }
 
     async initializeMicrophone() {
@@ -78,14 +205,14 @@ export class AudioService {
         }
     }
 
-    async loadFile(file) {
+    async loadFile(file, analysisOptions = {}) {
         await this.init();
         this.stop();
 
         try {
-            const arrayBuffer = await file.arrayBuffer();
-            this.trackBuffer = await this.context.decodeAudioData(arrayBuffer);
+            this.trackBuffer = await this.decodeAudio(await file.arrayBuffer());
             this.resetState();
+            this.analyzeTrack(analysisOptions);
             console.log('Audio file loaded successfully');
         } catch (error) {
             console.error('Failed to load audio file:', error);
@@ -100,6 +227,14 @@ export class AudioService {
         this.metronomePhase = 0;
         this.lastBeatTime = 0;
         this.energyHistory = [];
+        this.pendingEvents = [];
+        this.onsetDetector.reset();
+        this.stems?.forEach(stem => stem.gain.disconnect());
+        this.stems = null;
+        this.loop = null;
+        this.loopSegments.clear();
+        // Stretches still running are for the old track; their results are dropped
+        this.stretchJobs.clear();
     }
 
     play() {
@@ -109,23 +244,69 @@ export class AudioService {
 
         if (this.isPlaying) return;
 
-        this.source = this.context.createBufferSource();
-        this.source.buffer = this.trackBuffer;
-        this.source.connect(this.analyser);
-        const offset = this.pauseTime || 0;
-        this.source.start(0, offset);
-        this.startTime = this.context.currentTime - offset;
+        // A loop plays its stretched segments instead, offset in segment (stretched) time.
+        // Until they are ready it loops the track itself at `rate`, in time but off pitch.
+        const loop = this.loop;
+        const offset = loop ? this.getLoopOffset(this.pauseTime) : this.pauseTime || 0;
+        const when = this.context.currentTime;
+        const createSource = (buffer, destination) => {
+            const source = this.context.createBufferSource();
+            if (loop?.segments) {
+                source.buffer = loop.segments.get(buffer);
+                source.loop = true;
+                source.start(when, Math.min(offset, source.buffer.duration));
+            } else if (loop) {
+                source.buffer = buffer;
+                source.loop = true;
+                source.loopStart = loop.start;
+                source.loopEnd = loop.end;
+                source.playbackRate.value = loop.rate;
+                source.start(when, loop.start + offset * loop.rate);
+            } else {
+                source.buffer = buffer;
+                source.start(when, Math.min(offset, buffer.duration));
+            }
+            source.connect(destination);
+            return source;
+        };
+        const main = this.stems?.find(stem => stem.buffer === this.trackBuffer);
+        this.source = createSource(this.trackBuffer, main ? main.gain : this.analyser);
+        // The other stems start on the same context time, so they stay sample-aligned
+        this.stemSources = (this.stems || [])
+            .filter(stem => stem !== main)
+            .map(stem => createSource(stem.buffer, stem.gain));
+        this.startTime = when - offset;
+        this.loopIteration = 0;
         this.isPlaying = true;
-        this.source.onended = () => {
+        const source = this.source;
+        source.onended = () => {
+            // Sources stopped by pause() or seek() have already been replaced
+            if (this.source !== source) return;
             this.isPlaying = false;
             this.pauseTime = 0;
+            this.listeners.ended.forEach(cb => cb());
         };
     }
 
     pause() {
         if (!this.isPlaying) return;
-        this.pauseTime = this.context.currentTime - this.startTime;
+        this.pauseTime = this.toTrackTime(this.context.currentTime);
+        this.stopSource();
+        this.isPlaying = false;
+        // Beats still waiting on output latency were never heard
+        this.pendingEvents = [];
+    }
+
+    seek(time) {
+        const resume = this.isPlaying;
         this.stopSource();
+        this.isPlaying = false;
+        const duration = this.trackBuffer?.duration ?? Infinity;
+        this.pauseTime = Math.max(0, Math.min(time, duration));
+        this.pendingEvents = [];
+        if (resume) {
+            this.play();
+        }
     }
 
     stop() {
@@ -133,9 +314,19 @@ export class AudioService {
         this.pauseTime = 0;
         this.stopSource();
         this.isPlaying = false;
+        this.pendingEvents = [];
     }
 
     stopSource() {
+        this.stemSources.forEach(source => {
+            try {
+                source.stop(0);
+            } catch (e) {
+                console.warn('Audio stop error:', e);
+            }
+            source.disconnect();
+        });
+        this.stemSources = [];
         if (this.source) {
             try {
                 this.source.stop(0);
@@ -147,12 +338,194 @@ export class AudioService {
         }
     }
 
+    getPlaybackTime() {
+        if (!this.context) return 0;
+        if (this.isPlaying && this.source) {
+            return this.toTrackTime(this.context.currentTime - this.latency.output);
+        }
+        return this.pauseTime;
+    }
+
+    // Position in the track heard at a context time, wrapping inside a loop
+    toTrackTime(contextTime) {
+        const elapsed = contextTime - this.startTime;
+        if (!this.loop) return elapsed;
+        const { start, end, rate } = this.loop;
+        const length = end - start;
+        return start + (((elapsed * rate) % length) + length) % length;
+    }
+
+    getLoopOffset(trackTime) {
+        const { start, end, rate } = this.loop;
+        const position = Math.max(start, Math.min(trackTime || 0, end));
+        return (position >= end ? 0 : position - start) / rate;
+    }
+
+    // Loops [start, end) of the track (seconds) at `rate`, time-stretched so the pitch
+    // holds, until called with null. Every stem gets a segment of the same length. The
+    // stretch runs in a worker; the segments are swapped in once it finishes.
+    setLoop(loop) {
+        const resume = this.isPlaying;
+        const position = resume ? this.toTrackTime(this.context.currentTime) : this.pauseTime;
+        this.stopSource();
+        this.isPlaying = false;
+        this.pendingEvents = [];
+        if (!loop || !this.trackBuffer) {
+            this.loop = null;
+        } else {
+            const start = Math.max(0, loop.start);
+            const end = Math.min(loop.end, this.trackBuffer.duration);
+            const rate = loop.rate || 1;
+            this.loop = { start, end, rate, segments: this.getLoopSegments({ start, end, rate }) };
+            if (!this.loop.segments && rate !== 1) {
+                this.requestLoopSegments(this.loop);
+            }
+        }
+        this.pauseTime = position;
+        if (resume) {
+            this.play();
+        }
+        return this.loop;
+    }
+
+    getLoopKey({ start, end, rate }) {
+        return `${start}:${end}:${rate}`;
+    }
+
+    // The stretch is costly (every stem), so recent results are reused; null until stretched
+    getLoopSegments(loop) {
+        const key = this.getLoopKey(loop);
+        const cached = this.loopSegments.get(key);
+        if (!cached) return null;
+        this.loopSegments.delete(key);
+        this.loopSegments.set(key, cached);
+        return cached;
+    }
+
+    // Sends the loop's slice of every stem to the stretch worker, once per loop
+    requestLoopSegments({ start, end, rate }) {
+        const key = this.getLoopKey({ start, end, rate });
+        if (this.stretchJobs.has(key)) return;
+        const worker = this.getStretchWorker();
+        if (!worker) return;
+        const buffers = [...new Set([this.trackBuffer, ...(this.stems || []).map(stem => stem.buffer)])];
+        const sampleRate = this.trackBuffer.sampleRate;
+        const from = Math.round(start * sampleRate);
+        const to = Math.round(end * sampleRate);
+        const slices = buffers.map(buffer => {
+            const channels = [];
+            for (let c = 0; c < buffer.numberOfChannels; c++) {
+                channels.push(buffer.getChannelData(c).slice(Math.min(buffer.length, from), Math.min(buffer.length, to)));
+            }
+            return channels;
+        });
+        const id = this.nextStretchJob++;
+        this.stretchJobs.set(key, { id, loop: { start, end, rate }, buffers });
+        worker.postMessage(
+            { id, rate, sampleRate, buffers: slices },
+            slices.flatMap(channels => channels.map(data => data.buffer))
+        );
+    }
+
+    // A module worker where the browser has them; without one loops play off pitch
+    getStretchWorker() {
+        if (this.stretchWorker) return this.stretchWorker;
+        if (typeof Worker === 'undefined') return null;
+        try {
+            this.stretchWorker = new Worker(new URL('./timeStretchWorker.js', import.meta.url), { type: 'module' });
+        } catch (error) {
+            console.warn('Time-stretch worker unavailable:', error);
+            return null;
+        }
+        this.stretchWorker.onmessage = ({ data }) => this.handleStretchResult(data);
+        return this.stretchWorker;
+    }
+
+    handleStretchResult({ id, buffers: stretched, error }) {
+        const entry = [...this.stretchJobs.entries()].find(([, job]) => job.id === id);
+        if (!entry) return;
+        const [key, { loop, buffers }] = entry;
+        this.stretchJobs.delete(key);
+        if (error) {
+            console.warn('Loop time-stretch failed:', error);
+            return;
+        }
+        const { start, end, rate } = loop;
+        const length = Math.max(1, Math.ceil(Math.round((end - start) * this.trackBuffer.sampleRate) / rate));
+        const segments = new Map();
+        buffers.forEach((buffer, index) => {
+            const segment = this.context.createBuffer(stretched[index].length, length, buffer.sampleRate);
+            stretched[index].forEach((data, c) => segment.getChannelData(c).set(data.subarray(0, length)));
+            segments.set(buffer, segment);
+        });
+        this.loopSegments.set(key, segments);
+        if (this.loopSegments.size > LOOP_CACHE_SIZE) {
+            this.loopSegments.delete(this.loopSegments.keys().next().value);
+        }
+        if (this.loop && !this.loop.segments && this.getLoopKey(this.loop) === key) {
+            this.swapLoopSegments(segments);
+        }
+    }
+
+    // Restarts the sources on the stretched segments from the position being heard
+    swapLoopSegments(segments) {
+        this.loop.segments = segments;
+        if (!this.isPlaying) return;
+        const position = this.toTrackTime(this.context.currentTime);
+        this.stopSource();
+        this.isPlaying = false;
+        this.pauseTime = position;
+        this.play();
+    }
+
+    // Maps onto the scheduling clock; output latency is handled by the calibrated offsets
+    getContextTime(performanceTime = performance.now()) {
+        if (!this.context) return null;
+        return this.context.currentTime - (performance.now() - performanceTime) / 1000;
+    }
+
+    getNearestBeatTime(contextTime) {
+        if (!this.context) return null;
+        const beats = this.beatMap?.beats;
+        if (beats?.length && this.isPlaying && this.source) {
+            const songTime = this.toTrackTime(contextTime);
+            let low = 0;
+            let high = beats.length - 1;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (beats[mid].time < songTime) {
+                    low = mid + 1;
+                } else {
+                    high = mid;
+                }
+            }
+            const after = beats[low];
+            const before = beats[Math.max(0, low - 1)];
+            const nearest = Math.abs(before.time - songTime) <= Math.abs(after.time - songTime) ? before : after;
+            // Track seconds pass `rate` times slower than context seconds in a slowed loop
+            return contextTime + (nearest.time - songTime) / (this.loop?.rate || 1);
+        }
+
+        if (!this.lastBeatTime) return null;
+        const nextBeatTime = this.lastBeatTime + 60 / this.bpm;
+        return Math.abs(contextTime - this.lastBeatTime) <= Math.abs(nextBeatTime - contextTime)
+            ? this.lastBeatTime
+            : nextBeatTime;
+    }
+
+    // Music volume; sound effects have their own bus
     setVolume(value) {
         if (this.gainNode) {
             this.gainNode.gain.value = value;
         }
     }
 
+    setSfxVolume(value) {
+        if (this.sfxGain) {
+            this.sfxGain.gain.value = value;
+        }
+    }
+
     setBpm(bpm) {
         this.bpm = bpm || DEFAULT_BPM;
     }
@@ -161,16 +534,66 @@ export class AudioService {
         this.metronomeEnabled = enabled;
     }
 
+    setMetronomeClick(enabled) {
+        this.metronomeClick = enabled;
+    }
+
+    setLatency({ output = 0, input = 0 } = {}) {
+        this.latency = { output, input };
+        this.pendingEvents = [];
+    }
+
+    getLatency() {
+        return { ...this.latency };
+    }
+
+    playClick(time = this.context?.currentTime, accent = false) {
+        if (!this.context) return;
+        const oscillator = this.context.createOscillator();
+        const envelope = this.context.createGain();
+        oscillator.frequency.value = accent ? 1760 : 1320;
+        envelope.gain.setValueAtTime(0.6, time);
+        envelope.gain.exponentialRampToValueAtTime(0.001, time + 0.04);
+        oscillator.connect(envelope);
+        envelope.connect(this.sfxGain);
+        oscillator.start(time);
+        oscillator.stop(time + 0.05);
+    }
+
     onBeat(callback) {
         this.listeners.beat.add(callback);
         return () => this.listeners.beat.delete(callback);
     }
 
+    // Every drum hit the onset detector finds, tagged with its band. Beats are rate-limited
+    // to keep the beat count on tempo; onsets aren't, so hats between kicks still come through.
+    onOnset(callback) {
+        this.listeners.onset.add(callback);
+        return () => this.listeners.onset.delete(callback);
+    }
+
+    onBeatMap(callback) {
+        this.listeners.beatmap.add(callback);
+        return () => this.listeners.beatmap.delete(callback);
+    }
+
     onAnalyser(callback) {
         this.listeners.analyser.add(callback);
         return () => this.listeners.analyser.delete(callback);
     }
 
+    // Fires when the track plays through to its end, not when it is paused or stopped
+    onEnded(callback) {
+        this.listeners.ended.add(callback);
+        return () => this.listeners.ended.delete(callback);
+    }
+
+    // Fires each time a loop set with setLoop() wraps back to its start
+    onLoop(callback) {
+        this.listeners.loop.add(callback);
+        return () => this.listeners.loop.delete(callback);
+    }
+
     update(dt) {
         if (!this.analyser) return;
 
@@ -184,21 +607,43 @@ export class AudioService {
         }
 
         const meanEnergy = this.energyHistory.reduce((a, b) => a + b, 0) / (this.energyHistory.length || 1);
-        const threshold = meanEnergy * this.beatThreshold;
 
         const currentTime = this.context ? this.context.currentTime : 0;
+        this.updateLoop(currentTime);
+        this.flushPendingEvents(currentTime);
         const timeSinceLastBeat = currentTime - this.lastBeatTime;
-        const beatInterval = 60 / this.bpm;
-
-        const beatDetected = energy > threshold && timeSinceLastBeat > beatInterval * 0.5;
-
-        if (beatDetected) {
+        const beatInterval = 60 / this.bpm / (this.loop?.rate || 1);
+
+        const onsets = this.onsetDetector.process(this.frequencyData, {
+            sampleRate: this.context.sampleRate,
+            fftSize: this.fftSize,
+            time: currentTime
+        });
+
+        // One beat per frame however many bands fired, and at most two per beat interval,
+        // so fast hats can't outrun the beat counter; `band` is the strongest of `bands`.
+        // The onsets themselves are all reported, `withBeat` marking those a beat stands for.
+        const beatFrame = onsets.length > 0 && timeSinceLastBeat > beatInterval * 0.5;
+        if (beatFrame) {
+            const strongest = onsets.reduce((best, onset) => (onset.strength > best.strength ? onset : best));
             this.lastBeatTime = currentTime;
-            this.emitBeat({ energy, time: currentTime, source: 'audio' });
+            this.queueBeat({
+                energy,
+                time: currentTime,
+                source: 'audio',
+                band: strongest.band,
+                strength: strongest.strength,
+                confidence: strongest.confidence,
+                bands: onsets.map(({ band, strength, confidence }) => ({ band, strength, confidence }))
+            });
         } else if (this.metronomeEnabled && timeSinceLastBeat > beatInterval) {
             this.lastBeatTime = currentTime;
-            this.emitBeat({ energy: meanEnergy, time: currentTime, source: 'metronome' });
+            if (this.metronomeClick) {
+                this.playClick(currentTime);
+            }
+            this.queueBeat({ energy: meanEnergy, time: currentTime, source: 'metronome' });
         }
+        onsets.forEach(onset => this.queueOnset({ ...onset, energy, source: 'audio', withBeat: beatFrame }));
 
         this.listeners.analyser.forEach(cb => cb({
             frequencyData: this.frequencyData,
@@ -208,6 +653,18 @@ export class AudioService {
         }));
     }
 
+    // Reported before this frame's beats, so listeners can rewind state ahead of them
+    updateLoop(currentTime) {
+        if (!this.loop || !this.isPlaying) return;
+        const { start, end, rate } = this.loop;
+        const elapsed = (currentTime - this.latency.output - this.startTime) * rate;
+        const iteration = Math.max(0, Math.floor(elapsed / (end - start)));
+        if (iteration > this.loopIteration) {
+            this.loopIteration = iteration;
+            this.listeners.loop.forEach(cb => cb(iteration));
+        }
+    }
+
     computeEnergy(frequencyData) {
         let sum = 0;
         const len = frequencyData.length;
@@ -220,8 +677,33 @@ export class AudioService {
         return sum / len;
     }
 
-    emitBeat(event) {
-        this.listeners.beat.forEach(cb => cb(event));
+    queueBeat(event) {
+        this.queueEvent('beat', event);
+    }
+
+    queueOnset(event) {
+        this.queueEvent('onset', event);
+    }
+
+    // Beats and onsets are delivered when they are heard, not when the analyser sees them.
+    // Pulses are still judged against the detection time, kept as `detectedTime`.
+    queueEvent(type, event) {
+        if (this.latency.output <= 0) {
+            this.listeners[type].forEach(cb => cb(event));
+            return;
+        }
+        this.pendingEvents.push({
+            type,
+            event: { ...event, time: event.time + this.latency.output, detectedTime: event.time }
+        });
+    }
+
+    // One queue for both, so a beat and the onsets of its frame keep their order
+    flushPendingEvents(currentTime) {
+        while (this.pendingEvents.length && this.pendingEvents[0].event.time <= currentTime) {
+            const { type, event } = this.pendingEvents.shift();
+            this.listeners[type].forEach(cb => cb(event));
+        }
     }
 
     getBandLevels() {
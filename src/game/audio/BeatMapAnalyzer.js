@@ -0,0 +1,312 @@
+const BEAT_MAP_VERSION = 1;
+const ANALYSIS_SAMPLE_RATE = 22050;
+const FRAME_SIZE = 1024;
+const HOP_SIZE = 256;
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+const TEMPO_PRIOR_BPM = 120;
+
+export class BeatMapAnalyzer {
+    constructor({
+        beatsPerBar = 4,
+        minBpm = MIN_BPM,
+        maxBpm = MAX_BPM,
+        onsetSensitivity = 1.5,
+        minOnsetInterval = 0.05
+    } = {}) {
+        this.beatsPerBar = beatsPerBar;
+        this.minBpm = minBpm;
+        this.maxBpm = maxBpm;
+        this.onsetSensitivity = onsetSensitivity;
+        this.minOnsetInterval = minOnsetInterval;
+        this.window = this.createHannWindow(FRAME_SIZE);
+    }
+
+    // Passing both bpmHint and offset (an authored grid from level data) skips tempo estimation
+    analyze(buffer, { bpmHint = null, offset: gridOffset = null } = {}) {
+        const { samples, sampleRate } = this.mixdown(buffer);
+        const envelope = this.computeOnsetEnvelope(samples);
+        const frameRate = sampleRate / HOP_SIZE;
+        const duration = buffer.duration ?? samples.length / sampleRate;
+        const latency = FRAME_SIZE / 2 / sampleRate;
+
+        const onsets = this.pickOnsets(envelope, frameRate, latency);
+        const { period, offset } = bpmHint && gridOffset != null
+            ? { period: 60 / bpmHint, offset: gridOffset }
+            : this.estimateGrid(envelope, frameRate, bpmHint, latency, onsets);
+        const bpm = 60 / period;
+
+        const beats = [];
+        for (let time = offset, index = 0; time < duration; time += period, index++) {
+            beats.push({
+                time: round(time),
+                index,
+                strength: round(this.sampleEnvelope(envelope, (time - latency) * frameRate))
+            });
+        }
+        const barPhase = this.estimateBarPhase(beats);
+        beats.forEach(beat => {
+            const shifted = beat.index - barPhase;
+            beat.bar = Math.floor(shifted / this.beatsPerBar);
+            beat.beatInBar = ((shifted % this.beatsPerBar) + this.beatsPerBar) % this.beatsPerBar;
+            beat.downbeat = beat.beatInBar === 0;
+        });
+
+        return {
+            version: BEAT_MAP_VERSION,
+            duration: round(duration),
+            bpm: Math.round(bpm * 100) / 100,
+            offset: round(offset),
+            beatsPerBar: this.beatsPerBar,
+            beats,
+            onsets
+        };
+    }
+
+    estimateGrid(envelope, frameRate, bpmHint, latency, onsets) {
+        const periodFrames = this.estimatePeriod(envelope, frameRate, bpmHint);
+        const phaseFrames = this.estimatePhase(envelope, periodFrames);
+        return this.refineGrid(periodFrames / frameRate, phaseFrames / frameRate + latency, onsets);
+    }
+
+    mixdown(buffer) {
+        const channels = buffer.numberOfChannels || 1;
+        const length = buffer.length;
+        const factor = Math.max(1, Math.floor(buffer.sampleRate / ANALYSIS_SAMPLE_RATE));
+        const samples = new Float32Array(Math.floor(length / factor));
+        for (let c = 0; c < channels; c++) {
+            const data = buffer.getChannelData(c);
+            for (let i = 0; i < samples.length; i++) {
+                let sum = 0;
+                const start = i * factor;
+                for (let j = 0; j < factor; j++) {
+                    sum += data[start + j];
+                }
+                samples[i] += sum / (factor * channels);
+            }
+        }
+        return { samples, sampleRate: buffer.sampleRate / factor };
+    }
+
+    computeOnsetEnvelope(samples) {
+        const frameCount = Math.max(0, Math.floor((samples.length - FRAME_SIZE) / HOP_SIZE) + 1);
+        const envelope = new Float32Array(frameCount);
+        const bins = FRAME_SIZE / 2;
+        const real = new Float32Array(FRAME_SIZE);
+        const imag = new Float32Array(FRAME_SIZE);
+        let previous = new Float32Array(bins);
+        let current = new Float32Array(bins);
+
+        for (let frame = 0; frame < frameCount; frame++) {
+            const start = frame * HOP_SIZE;
+            for (let i = 0; i < FRAME_SIZE; i++) {
+                real[i] = samples[start + i] * this.window[i];
+                imag[i] = 0;
+            }
+            fft(real, imag);
+
+            let flux = 0;
+            for (let k = 0; k < bins; k++) {
+                // Log compression keeps quiet passages from being swamped by loud ones
+                current[k] = Math.log1p(100 * Math.hypot(real[k], imag[k]));
+                const rise = current[k] - previous[k];
+                if (rise > 0) flux += rise;
+            }
+            envelope[frame] = frame === 0 ? 0 : flux;
+            [previous, current] = [current, previous];
+        }
+
+        let max = 0;
+        for (let i = 0; i < frameCount; i++) {
+            if (envelope[i] > max) max = envelope[i];
+        }
+        if (max > 0) {
+            for (let i = 0; i < frameCount; i++) {
+                envelope[i] /= max;
+            }
+        }
+        return envelope;
+    }
+
+    pickOnsets(envelope, frameRate, latency = 0) {
+        const onsets = [];
+        const radius = Math.max(1, Math.round(frameRate * 0.1));
+        const minGap = Math.round(this.minOnsetInterval * frameRate);
+        let lastFrame = -Infinity;
+
+        for (let i = 1; i < envelope.length - 1; i++) {
+            const value = envelope[i];
+            if (value < envelope[i - 1] || value < envelope[i + 1]) continue;
+
+            let sum = 0;
+            let count = 0;
+            for (let j = Math.max(0, i - radius); j <= Math.min(envelope.length - 1, i + radius); j++) {
+                sum += envelope[j];
+                count++;
+            }
+            const threshold = (sum / count) * this.onsetSensitivity + 0.02;
+            if (value <= threshold || i - lastFrame < minGap) continue;
+
+            onsets.push({ time: round(i / frameRate + latency), strength: round(value) });
+            lastFrame = i;
+        }
+        return onsets;
+    }
+
+    estimatePeriod(envelope, frameRate, bpmHint) {
+        const minBpm = bpmHint ? bpmHint * 0.95 : this.minBpm;
+        const maxBpm = bpmHint ? bpmHint * 1.05 : this.maxBpm;
+        const prior = bpmHint || TEMPO_PRIOR_BPM;
+        const minLag = Math.max(1, Math.floor((60 * frameRate) / maxBpm));
+        const maxLag = Math.min(envelope.length - 1, Math.ceil((60 * frameRate) / minBpm));
+        const scores = new Float32Array(maxLag + 2);
+
+        let bestLag = minLag;
+        let bestScore = -Infinity;
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            let sum = 0;
+            for (let i = lag; i < envelope.length; i++) {
+                sum += envelope[i] * envelope[i - lag];
+            }
+            // Log-gaussian tempo prior resolves octave ambiguity toward common tempos
+            const octaves = Math.log2((60 * frameRate) / lag / prior);
+            scores[lag] = (sum / (envelope.length - lag)) * Math.exp(-0.5 * octaves * octaves);
+            if (scores[lag] > bestScore) {
+                bestScore = scores[lag];
+                bestLag = lag;
+            }
+        }
+
+        if (bestLag > minLag && bestLag < maxLag) {
+            const left = scores[bestLag - 1];
+            const right = scores[bestLag + 1];
+            const denominator = left - 2 * bestScore + right;
+            if (denominator !== 0) {
+                return bestLag + (0.5 * (left - right)) / denominator;
+            }
+        }
+        return bestLag;
+    }
+
+    estimatePhase(envelope, periodFrames) {
+        let bestPhase = 0;
+        let bestScore = -Infinity;
+        const steps = Math.max(1, Math.ceil(periodFrames));
+        for (let phase = 0; phase < steps; phase++) {
+            let score = 0;
+            for (let position = phase; position < envelope.length; position += periodFrames) {
+                score += this.sampleEnvelope(envelope, position);
+            }
+            if (score > bestScore) {
+                bestScore = score;
+                bestPhase = phase;
+            }
+        }
+        return bestPhase;
+    }
+
+    refineGrid(period, offset, onsets, iterations = 2) {
+        // Least-squares fit of the grid to the onsets nearest each beat, so
+        // small tempo errors don't accumulate into drift over a long track
+        let grid = { period, offset };
+        for (let pass = 0; pass < iterations; pass++) {
+            const tolerance = grid.period * 0.15;
+            let count = 0;
+            let sumK = 0;
+            let sumT = 0;
+            let sumKK = 0;
+            let sumKT = 0;
+            onsets.forEach(onset => {
+                const k = Math.round((onset.time - grid.offset) / grid.period);
+                if (k < 0) return;
+                const expected = grid.offset + k * grid.period;
+                if (Math.abs(onset.time - expected) > tolerance) return;
+                count++;
+                sumK += k;
+                sumT += onset.time;
+                sumKK += k * k;
+                sumKT += k * onset.time;
+            });
+            const denominator = count * sumKK - sumK * sumK;
+            if (count < 4 || denominator === 0) break;
+            const fittedPeriod = (count * sumKT - sumK * sumT) / denominator;
+            if (Math.abs(fittedPeriod - grid.period) > grid.period * 0.05) break;
+            grid = { period: fittedPeriod, offset: (sumT - fittedPeriod * sumK) / count };
+        }
+        while (grid.offset - grid.period >= 0) {
+            grid.offset -= grid.period;
+        }
+        while (grid.offset < 0) {
+            grid.offset += grid.period;
+        }
+        return grid;
+    }
+
+    estimateBarPhase(beats) {
+        const totals = new Array(this.beatsPerBar).fill(0);
+        beats.forEach(beat => {
+            totals[beat.index % this.beatsPerBar] += beat.strength;
+        });
+        return totals.indexOf(Math.max(...totals));
+    }
+
+    sampleEnvelope(envelope, position) {
+        const index = Math.floor(position);
+        if (index < 0 || index >= envelope.length) return 0;
+        const next = Math.min(envelope.length - 1, index + 1);
+        const fraction = position - index;
+        return envelope[index] * (1 - fraction) + envelope[next] * fraction;
+    }
+
+    createHannWindow(size) {
+        const window = new Float32Array(size);
+        for (let i = 0; i < size; i++) {
+            window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1));
+        }
+        return window;
+    }
+}
+
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+// In-place iterative radix-2 FFT; size must be a power of two
+function fft(real, imag) {
+    const n = real.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+        if (i < j) {
+            [real[i], real[j]] = [real[j], real[i]];
+            [imag[i], imag[j]] = [imag[j], imag[i]];
+        }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+        const half = size >> 1;
+        const angle = (-2 * Math.PI) / size;
+        const stepReal = Math.cos(angle);
+        const stepImag = Math.sin(angle);
+        for (let start = 0; start < n; start += size) {
+            let wReal = 1;
+            let wImag = 0;
+            for (let k = 0; k < half; k++) {
+                const a = start + k;
+                const b = a + half;
+                const tReal = real[b] * wReal - imag[b] * wImag;
+                const tImag = real[b] * wImag + imag[b] * wReal;
+                real[b] = real[a] - tReal;
+                imag[b] = imag[a] - tImag;
+                real[a] += tReal;
+                imag[a] += tImag;
+                const nextReal = wReal * stepReal - wImag * stepImag;
+                wImag = wReal * stepImag + wImag * stepReal;
+                wReal = nextReal;
+            }
+        }
+    }
+}
@@ -0,0 +1,101 @@
+const HISTORY_SIZE = 43; // ~0.7 seconds at 60fps
+const MAX_DECAY = 0.995;
+const MIN_FLUX = 0.002;
+
+// Frequency ranges (Hz) for the drum voices most tracks carry. `minInterval`
+// (seconds) keeps one hit from firing twice; hats are allowed to run twice as fast.
+export const ONSET_BANDS = {
+    kick: { low: 40, high: 150, sensitivity: 1.5, minInterval: 0.2 },
+    snare: { low: 1000, high: 5000, sensitivity: 1.6, minInterval: 0.2 },
+    hihat: { low: 7000, high: 16000, sensitivity: 1.4, minInterval: 0.1 }
+};
+
+export const ONSET_BAND_NAMES = Object.keys(ONSET_BANDS);
+
+// Spectral flux onset detector for one frequency band. Flux is the summed rise in
+// log-compressed magnitude since the previous frame; an onset fires on the frame
+// the flux first crosses mean + sensitivity × deviation of the recent history.
+export class BandOnsetDetector {
+    constructor(band, { low, high, sensitivity = 1.5, minInterval = 0.1 } = ONSET_BANDS[band]) {
+        this.band = band;
+        this.low = low;
+        this.high = high;
+        this.sensitivity = sensitivity;
+        this.minInterval = minInterval;
+        this.reset();
+    }
+
+    reset() {
+        this.previous = null;
+        this.history = [];
+        this.lastFlux = 0;
+        this.lastOnsetTime = -Infinity;
+        this.maxFlux = 0;
+    }
+
+    // `spectrum` is analyser dB data; returns { band, time, strength, confidence } or null
+    process(spectrum, binHz, time) {
+        const first = Math.max(1, Math.floor(this.low / binHz));
+        const last = Math.min(spectrum.length - 1, Math.ceil(this.high / binHz));
+        if (last < first) return null;
+
+        const count = last - first + 1;
+        if (!this.previous || this.previous.length !== count) {
+            this.previous = new Float32Array(count);
+        }
+        let flux = 0;
+        for (let i = 0; i < count; i++) {
+            const db = spectrum[first + i];
+            const magnitude = db === -Infinity ? 0 : Math.log1p(100 * Math.pow(10, db / 20));
+            flux += Math.max(0, magnitude - this.previous[i]);
+            this.previous[i] = magnitude;
+        }
+        flux /= count;
+
+        const threshold = this.getThreshold();
+        this.history.push(flux);
+        if (this.history.length > HISTORY_SIZE) {
+            this.history.shift();
+        }
+        this.maxFlux = Math.max(flux, this.maxFlux * MAX_DECAY);
+
+        const rising = this.lastFlux <= threshold;
+        this.lastFlux = flux;
+        if (flux <= threshold || !rising || time - this.lastOnsetTime < this.minInterval) {
+            return null;
+        }
+        this.lastOnsetTime = time;
+        return {
+            band: this.band,
+            time,
+            strength: this.maxFlux > 0 ? Math.min(1, flux / this.maxFlux) : 0,
+            confidence: Math.min(1, (flux - threshold) / flux)
+        };
+    }
+
+    getThreshold() {
+        const length = this.history.length;
+        if (!length) return Infinity;
+        const mean = this.history.reduce((sum, value) => sum + value, 0) / length;
+        const variance = this.history.reduce((sum, value) => sum + (value - mean) ** 2, 0) / length;
+        return Math.max(MIN_FLUX, mean + this.sensitivity * Math.sqrt(variance));
+    }
+}
+
+// Runs one BandOnsetDetector per band over the same analyser frame
+export class OnsetDetector {
+    constructor(bands = ONSET_BANDS) {
+        this.detectors = Object.entries(bands).map(([band, options]) => new BandOnsetDetector(band, options));
+    }
+
+    process(spectrum, { sampleRate, fftSize, time }) {
+        const binHz = sampleRate / fftSize;
+        return this.detectors
+            .map(detector => detector.process(spectrum, binHz, time))
+            .filter(Boolean);
+    }
+
+    reset() {
+        this.detectors.forEach(detector => detector.reset());
+    }
+}
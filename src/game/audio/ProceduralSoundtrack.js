@@ -0,0 +1,299 @@
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+const BEAT_MAP_VERSION = 1;
+const BEATS_PER_BAR = 4;
+const STEPS_PER_BEAT = 4;
+const DEFAULT_BPM = 120;
+const PROCEDURAL_TRACK_PATTERN = /^procedural(?::(\d+))?$/;
+
+// What each section plays. `kick`/`hats` name a step pattern below; `bass` is
+// 'root' (eighths on the chord root) or 'octave' (alternating root and octave).
+export const SECTION_TYPES = {
+    intro: { bars: 4, kick: 'four', snare: false, hats: null, bass: null, pad: true, level: 0.6 },
+    verse: { bars: 8, kick: 'four', snare: true, hats: 'eighths', bass: 'root', pad: true, level: 0.8 },
+    build: { bars: 4, kick: 'four', snare: 'roll', hats: 'sixteenths', bass: 'root', pad: false, level: 0.9 },
+    drop: { bars: 8, kick: 'drive', snare: true, hats: 'sixteenths', bass: 'octave', pad: true, level: 1 },
+    break: { bars: 4, kick: null, snare: false, hats: 'eighths', bass: null, pad: true, level: 0.6 },
+    outro: { bars: 4, kick: 'four', snare: false, hats: 'eighths', bass: null, pad: true, level: 0.7 }
+};
+
+const ARRANGEMENTS = [
+    ['intro', 'verse', 'build', 'drop', 'break', 'build', 'drop', 'outro'],
+    ['intro', 'build', 'drop', 'verse', 'build', 'drop', 'outro'],
+    ['intro', 'verse', 'break', 'verse', 'build', 'drop', 'drop', 'outro']
+];
+
+// Sixteenth-note steps within one bar
+const KICK_PATTERNS = {
+    four: [0, 4, 8, 12],
+    drive: [0, 4, 8, 10, 12]
+};
+const HAT_PATTERNS = {
+    eighths: [2, 6, 10, 14],
+    sixteenths: [1, 2, 3, 5, 6, 7, 9, 10, 11, 13, 14, 15]
+};
+
+// Semitones above the key root; chord progressions are scale degrees, one per bar
+const SCALES = {
+    minor: [0, 2, 3, 5, 7, 8, 10],
+    dorian: [0, 2, 3, 5, 7, 9, 10]
+};
+const PROGRESSIONS = [[0, 5, 2, 6], [0, 3, 4, 0], [0, 6, 5, 4], [0, 2, 5, 3]];
+
+// Level tracks named 'procedural' (or 'procedural:<seed>' to pin the seed) are generated
+export function isProceduralTrackId(source) {
+    return typeof source === 'string' && PROCEDURAL_TRACK_PATTERN.test(source);
+}
+
+export function getProceduralSeed(trackId) {
+    const match = PROCEDURAL_TRACK_PATTERN.exec(trackId);
+    return match?.[1] ? Number(match[1]) : null;
+}
+
+// Lays out the whole song as note events plus the beat map that matches it. The
+// same seed and BPM always give the same song, so no analysis is needed.
+export function composeSoundtrack({ seed = 1, bpm = DEFAULT_BPM } = {}) {
+    const rng = new SeededRandom(seed);
+    const tempo = bpm || DEFAULT_BPM;
+    const stepTime = 60 / tempo / STEPS_PER_BEAT;
+    const barTime = stepTime * STEPS_PER_BEAT * BEATS_PER_BAR;
+    const root = 33 + Math.floor(rng.next() * 8); // A1 to E2
+    const scale = rng.next() < 0.5 ? SCALES.minor : SCALES.dorian;
+    const progression = rng.pick(PROGRESSIONS);
+    const names = rng.pick(ARRANGEMENTS);
+    const ghostKick = rng.next() < 0.5;
+
+    const pitchOf = degree => root + Math.floor(degree / 7) * 12 + scale[degree % 7];
+    const notes = [];
+    const sections = [];
+    let bar = 0;
+
+    names.forEach(name => {
+        const section = SECTION_TYPES[name];
+        sections.push({ name, startBar: bar, bars: section.bars, time: bar * barTime });
+        for (let sectionBar = 0; sectionBar < section.bars; sectionBar++, bar++) {
+            const start = bar * barTime;
+            const at = step => start + step * stepTime;
+            const degree = progression[bar % progression.length];
+            const chordRoot = pitchOf(degree);
+
+            (KICK_PATTERNS[section.kick] || []).forEach(step => {
+                notes.push({ voice: 'kick', time: at(step), velocity: section.level });
+            });
+            if (section.kick && ghostKick && sectionBar % 2 === 1) {
+                notes.push({ voice: 'kick', time: at(14), velocity: section.level * 0.6 });
+            }
+            if (section.snare === 'roll') {
+                // Fills in toward the section's end: quarters, then eighths, then sixteenths
+                const rate = sectionBar < section.bars / 2 ? 4 : sectionBar < section.bars - 1 ? 2 : 1;
+                for (let step = 0; step < STEPS_PER_BEAT * BEATS_PER_BAR; step += rate) {
+                    const rise = (sectionBar * 16 + step) / (section.bars * 16);
+                    notes.push({ voice: 'snare', time: at(step), velocity: 0.3 + rise * 0.6 });
+                }
+            } else if (section.snare) {
+                [4, 12].forEach(step => notes.push({ voice: 'snare', time: at(step), velocity: section.level }));
+            }
+            (HAT_PATTERNS[section.hats] || []).forEach(step => {
+                const accent = step % 4 === 2 ? 1 : 0.6;
+                notes.push({ voice: 'hat', time: at(step), velocity: section.level * accent * (0.8 + rng.next() * 0.2) });
+            });
+            if (section.bass) {
+                for (let step = 0; step < 16; step += 2) {
+                    const octave = section.bass === 'octave' && step % 4 === 2 ? 12 : 0;
+                    notes.push({
+                        voice: 'bass',
+                        time: at(step),
+                        duration: stepTime * 1.8,
+                        pitch: chordRoot + octave,
+                        velocity: section.level
+                    });
+                }
+            }
+            if (section.pad) {
+                [0, 2, 4].forEach(offset => notes.push({
+                    voice: 'pad',
+                    time: start,
+                    duration: barTime,
+                    pitch: pitchOf(degree + offset) + 24,
+                    velocity: section.level
+                }));
+            }
+        }
+    });
+
+    const duration = bar * barTime;
+    notes.sort((a, b) => a.time - b.time);
+    return {
+        seed,
+        bpm: tempo,
+        duration,
+        sections,
+        notes,
+        beatMap: createBeatMap(notes, { bpm: tempo, duration, sections })
+    };
+}
+
+// Beats tagged with the band of the loudest drum within them, like live onset detection
+function createBeatMap(notes, { bpm, duration, sections }) {
+    const period = 60 / bpm;
+    const beats = [];
+    for (let index = 0; index * period < duration - 1e-6; index++) {
+        beats.push({
+            time: round(index * period),
+            index,
+            strength: 0,
+            bar: Math.floor(index / BEATS_PER_BAR),
+            beatInBar: index % BEATS_PER_BAR,
+            downbeat: index % BEATS_PER_BAR === 0
+        });
+    }
+    const bandOf = { kick: 'kick', snare: 'snare', hat: 'hihat' };
+    const onsets = [];
+    notes.forEach(note => {
+        if (!bandOf[note.voice]) return;
+        onsets.push({ time: round(note.time), strength: round(note.velocity) });
+        // Ties go to the later voice, so backbeats read as snare rather than kick
+        const beat = beats[Math.floor(note.time / period + 1e-6)];
+        if (beat && note.velocity >= beat.strength) {
+            beat.strength = round(note.velocity);
+            beat.band = bandOf[note.voice];
+        }
+    });
+    return {
+        version: BEAT_MAP_VERSION,
+        duration: round(duration),
+        bpm,
+        offset: 0,
+        beatsPerBar: BEATS_PER_BAR,
+        beats,
+        onsets,
+        sections: sections.map(({ name, time }) => ({ name, time: round(time) }))
+    };
+}
+
+// Renders a composed song to an AudioBuffer. Everything is oscillators and seeded
+// noise, so the result is identical wherever OfflineAudioContext runs.
+export async function renderSoundtrack(song, {
+    sampleRate = 44100,
+    OfflineContext = globalThis.OfflineAudioContext
+} = {}) {
+    if (!OfflineContext) {
+        throw new Error('OfflineAudioContext is not available');
+    }
+    const context = new OfflineContext(2, Math.ceil((song.duration + 1) * sampleRate), sampleRate);
+    const compressor = context.createDynamicsCompressor();
+    compressor.threshold.value = -14;
+    compressor.ratio.value = 4;
+    const master = context.createGain();
+    master.gain.value = 0.7;
+    master.connect(compressor);
+    compressor.connect(context.destination);
+
+    const noise = createNoiseBuffer(context, song.seed);
+    song.notes.forEach(note => VOICES[note.voice]?.(context, master, note, noise));
+    return context.startRendering();
+}
+
+function createNoiseBuffer(context, seed) {
+    const rng = new SeededRandom(seed ^ 0x5bd1e995);
+    const buffer = context.createBuffer(1, context.sampleRate, context.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = rng.next() * 2 - 1;
+    }
+    return buffer;
+}
+
+function envelope(context, output, time, peak, attack, release) {
+    const gain = context.createGain();
+    gain.gain.setValueAtTime(0.0001, time);
+    gain.gain.exponentialRampToValueAtTime(Math.max(0.0001, peak), time + attack);
+    gain.gain.exponentialRampToValueAtTime(0.0001, time + attack + release);
+    gain.connect(output);
+    return gain;
+}
+
+function playNoise(context, noise, destination, time, length) {
+    const source = context.createBufferSource();
+    source.buffer = noise;
+    source.connect(destination);
+    // Different slices of the same buffer so repeated hits don't phase
+    source.start(time, (time * 7.919) % (noise.duration - length), length);
+}
+
+function midiToFrequency(pitch) {
+    return 440 * Math.pow(2, (pitch - 69) / 12);
+}
+
+const VOICES = {
+    kick(context, output, { time, velocity }) {
+        const oscillator = context.createOscillator();
+        oscillator.frequency.setValueAtTime(150, time);
+        oscillator.frequency.exponentialRampToValueAtTime(45, time + 0.12);
+        oscillator.connect(envelope(context, output, time, velocity, 0.003, 0.4));
+        oscillator.start(time);
+        oscillator.stop(time + 0.45);
+    },
+
+    snare(context, output, { time, velocity }, noise) {
+        const filter = context.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.frequency.value = 2500;
+        filter.Q.value = 0.7;
+        filter.connect(envelope(context, output, time, velocity * 0.7, 0.002, 0.18));
+        playNoise(context, noise, filter, time, 0.2);
+
+        const body = context.createOscillator();
+        body.type = 'triangle';
+        body.frequency.setValueAtTime(190, time);
+        body.connect(envelope(context, output, time, velocity * 0.4, 0.002, 0.08));
+        body.start(time);
+        body.stop(time + 0.1);
+    },
+
+    hat(context, output, { time, velocity }, noise) {
+        const filter = context.createBiquadFilter();
+        filter.type = 'highpass';
+        filter.frequency.value = 8000;
+        filter.connect(envelope(context, output, time, velocity * 0.3, 0.001, 0.05));
+        playNoise(context, noise, filter, time, 0.06);
+    },
+
+    bass(context, output, { time, duration, pitch, velocity }) {
+        const oscillator = context.createOscillator();
+        oscillator.type = 'sawtooth';
+        oscillator.frequency.value = midiToFrequency(pitch);
+        const filter = context.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(900, time);
+        filter.frequency.exponentialRampToValueAtTime(200, time + duration);
+        oscillator.connect(filter);
+        filter.connect(envelope(context, output, time, velocity * 0.35, 0.01, duration));
+        oscillator.start(time);
+        oscillator.stop(time + duration + 0.05);
+    },
+
+    // Two detuned saws panned apart per chord note, with a slow swell
+    pad(context, output, { time, duration, pitch, velocity }) {
+        const filter = context.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = 1400;
+        filter.connect(envelope(context, output, time, velocity * 0.06, duration * 0.4, duration * 0.65));
+        [-1, 1].forEach(side => {
+            const oscillator = context.createOscillator();
+            oscillator.type = 'sawtooth';
+            oscillator.frequency.value = midiToFrequency(pitch);
+            oscillator.detune.value = side * 8;
+            const panner = context.createStereoPanner();
+            panner.pan.value = side * 0.6;
+            oscillator.connect(panner);
+            panner.connect(filter);
+            oscillator.start(time);
+            oscillator.stop(time + duration * 1.05 + 0.05);
+        });
+    }
+};
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
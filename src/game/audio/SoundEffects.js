@@ -0,0 +1,119 @@
+import { DEFAULT_SFX_KIT, KEYSOUNDS, SYNTH_VOICES, getKeysoundName } from './sfxKits.js';
+
+// Keysound level for each hit tier
+const TIER_VOLUME = { perfect: 1, great: 0.85, good: 0.7 };
+
+function getVoice(name) {
+    if (SYNTH_VOICES[name]) return SYNTH_VOICES[name];
+    return name.startsWith('key:') ? KEYSOUNDS[name.slice(4)] || null : null;
+}
+
+// Gameplay sound effects on AudioService's context and SFX bus, so they share the
+// music's clock and are scheduled on it rather than fired whenever called. Sounds
+// come from the loaded kit's samples, falling back to the synthesized voices.
+export class SoundEffects {
+    constructor({ audioService, subdivision = 2 }) {
+        this.audioService = audioService;
+        this.subdivision = subdivision;
+        this.kit = DEFAULT_SFX_KIT;
+        this.samples = new Map();
+    }
+
+    get context() {
+        return this.audioService?.context || null;
+    }
+
+    // Samples that fail to load are reported and left to the synthesized fallback;
+    // resolves to the names that loaded
+    async loadKit(kit = DEFAULT_SFX_KIT) {
+        const samples = new Map();
+        await Promise.all(Object.entries(kit.samples || {}).map(async ([name, url]) => {
+            try {
+                const response = await fetch(`${kit.baseUrl || ''}${url}`);
+                if (!response.ok) {
+                    throw new Error(`Sample request failed (${response.status}): ${url}`);
+                }
+                samples.set(name, await this.audioService.decodeAudio(await response.arrayBuffer()));
+            } catch (error) {
+                console.warn(`Sound "${name}" from kit "${kit.name}" failed to load:`, error);
+            }
+        }));
+        this.kit = kit;
+        this.samples = samples;
+        return [...samples.keys()];
+    }
+
+    has(name) {
+        return this.samples.has(name) || Boolean(getVoice(name));
+    }
+
+    // Snaps `time` to the nearest `subdivision`-per-beat step of the playing track's
+    // grid. A step already behind the clock (a late hit) plays straight away.
+    quantize(time = this.context?.currentTime, subdivision = this.subdivision) {
+        const now = this.context?.currentTime ?? 0;
+        if (!this.audioService.isPlaying) return now;
+        const beat = this.audioService.getNearestBeatTime?.(time);
+        if (beat == null) return now;
+        // A slowed practice loop stretches the grid by its rate
+        const step = 60 / (this.audioService.bpm || 120) / subdivision / (this.audioService.loop?.rate || 1);
+        return Math.max(now, beat + Math.round((time - beat) / step) * step);
+    }
+
+    // Schedules a sound at context `time` (default now); returns the start time, or
+    // null when there is no audio context yet or no such sound
+    play(name, { time, volume = 1, rate = 1 } = {}) {
+        const context = this.context;
+        const output = this.audioService?.sfxGain;
+        if (!context || !output) return null;
+        const when = Math.max(time ?? context.currentTime, context.currentTime);
+
+        const sample = this.samples.get(name);
+        if (sample) {
+            const source = context.createBufferSource();
+            const gain = context.createGain();
+            source.buffer = sample;
+            source.playbackRate.value = rate;
+            gain.gain.value = volume;
+            source.connect(gain);
+            gain.connect(output);
+            source.start(when);
+            return when;
+        }
+
+        const voice = getVoice(name);
+        if (!voice) return null;
+        const oscillator = context.createOscillator();
+        const envelope = context.createGain();
+        oscillator.type = voice.type;
+        oscillator.frequency.setValueAtTime(voice.freq * rate, when);
+        if (voice.sweep) {
+            oscillator.frequency.exponentialRampToValueAtTime(voice.sweep * rate, when + voice.duration);
+        }
+        envelope.gain.setValueAtTime(Math.max(0.0001, volume * voice.gain), when);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, when + voice.duration);
+        oscillator.connect(envelope);
+        envelope.connect(output);
+        oscillator.start(when);
+        oscillator.stop(when + voice.duration + 0.02);
+        return when;
+    }
+
+    // Hits play the target type's keysound (plus a chime on perfects) and misses the
+    // miss sound, both snapped to the beat grid so they land with the music
+    playJudgment(tier, target = null) {
+        if (!this.context) return null;
+        const time = this.quantize();
+        if (tier === 'miss') {
+            return this.play('miss', { time });
+        }
+        const keysound = target?.type ? getKeysoundName(target.type) : null;
+        const scheduled = this.play(keysound && this.has(keysound) ? keysound : 'hit', {
+            time,
+            volume: TIER_VOLUME[tier] ?? 1
+        });
+        if (tier === 'perfect') {
+            this.play('perfect', { time });
+        }
+        return scheduled;
+    }
+}
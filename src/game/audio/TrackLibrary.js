@@ -0,0 +1,214 @@
+const DB_NAME = 'latticePulseTracks';
+const DB_VERSION = 1;
+const STORE = 'tracks';
+// Level tracks like 'suno:track_001' name library entries; these schemes are real URLs
+const URL_SCHEMES = ['http', 'https', 'blob', 'data', 'file'];
+const TRACK_ID_PATTERN = /^([a-z][a-z0-9_-]+):(?!\/\/)\S+$/i;
+
+export class TrackNotFoundError extends Error {
+    constructor(trackId) {
+        super(`Track "${trackId}" is not in the track library — import its audio file first`);
+        this.name = 'TrackNotFoundError';
+        this.trackId = trackId;
+    }
+}
+
+export function isLibraryTrackId(source) {
+    if (typeof source !== 'string') return false;
+    const match = TRACK_ID_PATTERN.exec(source);
+    return Boolean(match) && !URL_SCHEMES.includes(match[1].toLowerCase());
+}
+
+function getDefaultIndexedDB() {
+    try {
+        return globalThis.indexedDB ?? null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Imported audio files kept in IndexedDB together with their decoded analysis
+// (duration, BPM, beat map, loudness) so a level's track loads without re-analysing.
+// Without IndexedDB the library still works for the current session from memory.
+export class TrackLibrary {
+    constructor({ audioService, indexedDB = getDefaultIndexedDB(), dbName = DB_NAME }) {
+        this.audioService = audioService;
+        this.indexedDB = indexedDB;
+        this.dbName = dbName;
+        this.dbPromise = null;
+        this.memory = new Map();
+        this.listeners = { change: new Set() };
+    }
+
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].add(callback);
+        }
+        return () => this.listeners[event]?.delete(callback);
+    }
+
+    emit(event, payload) {
+        this.listeners[event]?.forEach(cb => cb(payload));
+    }
+
+    // Resolves to null when IndexedDB is missing or refuses to open
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise(resolve => {
+                if (!this.indexedDB) {
+                    resolve(null);
+                    return;
+                }
+                const request = this.indexedDB.open(this.dbName, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('Track library unavailable, keeping tracks in memory:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async request(mode, operation) {
+        const db = await this.open();
+        if (!db) return null;
+        return new Promise((resolve, reject) => {
+            const request = operation(db.transaction(STORE, mode).objectStore(STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Decodes and analyses the file, then stores it. `id` defaults to 'local:<file name>';
+    // pass a level's track id (e.g. 'suno:track_001') to supply that level's audio.
+    async importFile(file, { id = createTrackId(file.name), title, artist } = {}) {
+        const buffer = await this.audioService.decodeAudio(await file.arrayBuffer());
+        let beatMap = null;
+        try {
+            beatMap = this.audioService.beatMapAnalyzer.analyze(buffer);
+        } catch (error) {
+            console.warn('Beat map analysis failed:', error);
+        }
+        const entry = {
+            id,
+            title: title || stripExtension(file.name),
+            artist: artist || '',
+            fileName: file.name,
+            type: file.type || '',
+            size: file.size,
+            duration: buffer.duration,
+            bpm: beatMap?.bpm ?? null,
+            loudness: measureLoudness(buffer),
+            beatMap,
+            blob: file,
+            importedAt: Date.now()
+        };
+        await this.put(entry);
+        this.emit('change', { type: 'import', id });
+        return entry;
+    }
+
+    async put(entry) {
+        this.memory.set(entry.id, entry);
+        try {
+            await this.request('readwrite', store => store.put(entry));
+        } catch (error) {
+            // Quota exceeded: the track still plays this session
+            console.warn('Track library save failed:', error);
+        }
+    }
+
+    async get(id) {
+        try {
+            const stored = await this.request('readonly', store => store.get(id));
+            if (stored) return stored;
+        } catch (error) {
+            console.warn('Track library read failed:', error);
+        }
+        return this.memory.get(id) || null;
+    }
+
+    // Entry summaries without the audio or beat map, newest first
+    async list() {
+        let entries = [];
+        try {
+            entries = (await this.request('readonly', store => store.getAll())) || [];
+        } catch (error) {
+            console.warn('Track library read failed:', error);
+        }
+        const byId = new Map([...this.memory.values(), ...entries].map(entry => [entry.id, entry]));
+        return [...byId.values()]
+            .sort((a, b) => b.importedAt - a.importedAt)
+            .map(({ blob, beatMap, ...summary }) => summary);
+    }
+
+    async has(id) {
+        return Boolean(await this.get(id));
+    }
+
+    // Throws TrackNotFoundError rather than letting a level start in silence
+    async resolve(id) {
+        const entry = await this.get(id);
+        if (!entry) {
+            throw new TrackNotFoundError(id);
+        }
+        return entry;
+    }
+
+    async updateMetadata(id, { title, artist } = {}) {
+        const entry = await this.resolve(id);
+        const updated = {
+            ...entry,
+            ...(title !== undefined ? { title: String(title).trim() || entry.title } : {}),
+            ...(artist !== undefined ? { artist: String(artist).trim() } : {})
+        };
+        await this.put(updated);
+        this.emit('change', { type: 'update', id });
+        return updated;
+    }
+
+    async remove(id) {
+        this.memory.delete(id);
+        try {
+            await this.request('readwrite', store => store.delete(id));
+        } catch (error) {
+            console.warn('Track library remove failed:', error);
+        }
+        this.emit('change', { type: 'remove', id });
+    }
+
+    async loadBuffer(entry) {
+        return this.audioService.decodeAudio(await entry.blob.arrayBuffer());
+    }
+}
+
+function createTrackId(fileName) {
+    const slug = stripExtension(fileName).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `local:${slug || 'track'}`;
+}
+
+function stripExtension(fileName) {
+    return String(fileName).replace(/\.[^.]+$/, '');
+}
+
+// RMS and peak level in dBFS across all channels
+export function measureLoudness(buffer) {
+    let sum = 0;
+    let peak = 0;
+    let count = 0;
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+        const data = buffer.getChannelData(c);
+        for (let i = 0; i < data.length; i++) {
+            const value = Math.abs(data[i]);
+            sum += value * value;
+            peak = Math.max(peak, value);
+        }
+        count += data.length;
+    }
+    const toDb = value => (value > 0 ? Math.round(20 * Math.log10(value) * 100) / 100 : -Infinity);
+    return { rms: toDb(Math.sqrt(sum / (count || 1))), peak: toDb(peak) };
+}
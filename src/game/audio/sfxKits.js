@@ -0,0 +1,40 @@
+// Synthesized fallbacks for every named sound, so a kit only has to supply the
+// samples it wants to replace. `sweep` glides the pitch to that frequency.
+export const SYNTH_VOICES = {
+    hit: { freq: 880, type: 'triangle', duration: 0.12, gain: 0.25 },
+    perfect: { freq: 1760, type: 'sine', duration: 0.18, gain: 0.12 },
+    miss: { freq: 140, sweep: 70, type: 'sawtooth', duration: 0.2, gain: 0.18 },
+    // GameUI feedback
+    scoreChime: { freq: 880, type: 'sine', duration: 0.3, gain: 0.1 },
+    comboBlast: { freq: 440, type: 'sawtooth', duration: 0.2, gain: 0.1 },
+    perfectHit: { freq: 1320, type: 'triangle', duration: 0.4, gain: 0.1 },
+    transcendence: { freq: 660, type: 'sine', duration: 0.6, gain: 0.1 },
+    beatPunch: { freq: 220, type: 'square', duration: 0.1, gain: 0.1 },
+    powerUp: { freq: 1760, type: 'sine', duration: 0.8, gain: 0.1 },
+    damage: { freq: 110, type: 'sawtooth', duration: 0.3, gain: 0.1 }
+};
+
+// Per-target-type keysounds, pitched on an A minor pentatonic so overlapping
+// hits stay consonant. Kits override them with samples named 'key:<type>'.
+export const KEYSOUNDS = {
+    node: { freq: 440, type: 'triangle', duration: 0.14, gain: 0.28 },
+    belt: { freq: 523.25, type: 'triangle', duration: 0.16, gain: 0.26 },
+    orb: { freq: 587.33, type: 'sine', duration: 0.22, gain: 0.3 },
+    ring: { freq: 659.25, type: 'square', duration: 0.1, gain: 0.14 },
+    arc: { freq: 783.99, type: 'sine', duration: 0.2, gain: 0.28 },
+    chain: { freq: 880, type: 'triangle', duration: 0.12, gain: 0.24 },
+    wave: { freq: 392, sweep: 523.25, type: 'sine', duration: 0.2, gain: 0.28 },
+    shard: { freq: 1318.5, type: 'square', duration: 0.06, gain: 0.12 },
+    hold: { freq: 220, type: 'sawtooth', duration: 0.3, gain: 0.12 },
+    slide: { freq: 329.63, sweep: 659.25, type: 'triangle', duration: 0.25, gain: 0.24 },
+    dual: { freq: 293.66, type: 'square', duration: 0.14, gain: 0.14 },
+    dimension: { freq: 196, sweep: 392, type: 'sine', duration: 0.35, gain: 0.3 }
+};
+
+export function getKeysoundName(type) {
+    return `key:${type}`;
+}
+
+// Sample kits map sound names to audio file URLs (relative to `baseUrl`), e.g.
+// { name: 'crystal', baseUrl: 'assets/sfx/crystal/', samples: { hit: 'hit.wav', 'key:node': 'node.wav' } }
+export const DEFAULT_SFX_KIT = { name: 'synth', baseUrl: '', samples: {} };
@@ -0,0 +1,46 @@
+// Stem groups a level can declare under `audio.stems`, each naming its own audio
+// file or library track. All of them play in sync; 'drift' is heard only during
+// Phase Drift.
+export const STEM_GROUPS = ['drums', 'bass', 'melody', 'fx', 'drift'];
+
+// Combo range over which a group fades in; groups without one always play
+const COMBO_FADES = {
+    melody: { from: 8, to: 16 },
+    fx: { from: 20, to: 32 }
+};
+
+// Below LOW_HEALTH the mix strips back to drums and bass, and the low-pass closes
+// from its open cutoff toward LOWPASS_MIN as health runs out
+const LOW_HEALTH = 0.35;
+const LOWPASS_OPEN = 20000;
+const LOWPASS_MIN = 500;
+const DRIFT_DUCK = 0.6;
+
+function clamp01(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+// Target gain per stem group (0–1) and the music low-pass cutoff in Hz
+export function computeStemMix({ combo = 0, health = 1, drifting = false } = {}) {
+    const danger = clamp01((LOW_HEALTH - health) / LOW_HEALTH);
+    const duck = drifting ? DRIFT_DUCK : 1;
+    const fadeIn = group => {
+        const fade = COMBO_FADES[group];
+        return fade ? clamp01((combo - fade.from) / (fade.to - fade.from)) : 1;
+    };
+    const gains = {
+        drums: duck,
+        bass: duck * (1 - danger * 0.5),
+        melody: duck * fadeIn('melody') * (1 - danger),
+        fx: duck * fadeIn('fx') * (1 - danger),
+        drift: drifting ? 1 : 0
+    };
+    Object.keys(gains).forEach(group => {
+        gains[group] = Math.round(gains[group] * 100) / 100;
+    });
+    return {
+        gains,
+        // Exponential so the sweep sounds even across octaves
+        lowpass: Math.round(LOWPASS_OPEN * Math.pow(LOWPASS_MIN / LOWPASS_OPEN, danger))
+    };
+}
@@ -0,0 +1,67 @@
+const FRAME_SECONDS = 0.04;
+const SEARCH_STEP = 2;
+const CORRELATION_STEP = 4;
+
+// Stretches audio to 1 / rate of its length without changing pitch (WSOLA): Hann
+// frames are overlap-added at a fixed output hop while the read position advances
+// by rate × hop, each frame nudged to where it best continues the previous one.
+// Offsets are chosen on the first channel and applied to all, keeping stereo intact.
+export function timeStretch(channels, rate, sampleRate) {
+    if (rate === 1) return channels.map(data => data.slice());
+    const frame = Math.max(64, Math.round(sampleRate * FRAME_SECONDS) & ~1);
+    const hop = frame / 2;
+    const tolerance = Math.floor(hop / 2);
+    const window = new Float32Array(frame);
+    for (let i = 0; i < frame; i++) {
+        window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / frame);
+    }
+
+    const input = channels[0];
+    const inputLength = input.length;
+    const outputLength = Math.ceil(inputLength / rate);
+    const outputs = channels.map(() => new Float32Array(outputLength));
+    const weights = new Float32Array(outputLength);
+    const lastStart = Math.max(0, inputLength - frame);
+    let previous = -1;
+
+    for (let out = 0; out < outputLength; out += hop) {
+        const nominal = Math.min(lastStart, Math.round(out * rate));
+        const position = previous < 0 ? nominal : findBestOffset(input, previous + hop, nominal, tolerance, frame, lastStart);
+        for (let i = 0; i < frame && out + i < outputLength; i++) {
+            const weight = window[i];
+            channels.forEach((data, c) => {
+                outputs[c][out + i] += (data[position + i] || 0) * weight;
+            });
+            weights[out + i] += weight;
+        }
+        previous = position;
+    }
+
+    outputs.forEach(data => {
+        for (let i = 0; i < outputLength; i++) {
+            if (weights[i] > 1e-3) data[i] /= weights[i];
+        }
+    });
+    return outputs;
+}
+
+// Position within ±tolerance of `nominal` whose frame best matches the natural
+// continuation of the previous frame (cross-correlation, subsampled for speed)
+function findBestOffset(input, continuation, nominal, tolerance, frame, lastStart) {
+    if (continuation > lastStart) return nominal;
+    let best = nominal;
+    let bestScore = -Infinity;
+    const from = Math.max(0, nominal - tolerance);
+    const to = Math.min(lastStart, nominal + tolerance);
+    for (let candidate = from; candidate <= to; candidate += SEARCH_STEP) {
+        let score = 0;
+        for (let i = 0; i < frame; i += CORRELATION_STEP) {
+            score += input[candidate + i] * input[continuation + i];
+        }
+        if (score > bestScore) {
+            bestScore = score;
+            best = candidate;
+        }
+    }
+    return best;
+}
@@ -0,0 +1,14 @@
+import { timeStretch } from './timeStretch.js';
+
+// Runs timeStretch() for AudioService off the main thread. A job is
+// { id, rate, sampleRate, buffers }, each buffer an array of channel data; the
+// reply carries the stretched buffers in the same order under the same id.
+self.onmessage = ({ data: { id, rate, sampleRate, buffers } }) => {
+    try {
+        const stretched = buffers.map(channels => timeStretch(channels, rate, sampleRate));
+        const transfer = stretched.flatMap(channels => channels.map(data => data.buffer));
+        self.postMessage({ id, buffers: stretched }, transfer);
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
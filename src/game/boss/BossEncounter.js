@@ -0,0 +1,96 @@
+import { BOSS_ATTACKS } from './bossAttacks.js';
+import { BOSS_DEFINITIONS } from './bossDefinitions.js';
+
+const HIT_DAMAGE = { perfect: 3, great: 2, good: 1 };
+const ATTACK_COUNTER_MULTIPLIER = 2;
+
+export class BossEncounter {
+    // Accepts a BOSS_DEFINITIONS id or an inline definition from level data
+    constructor(definition) {
+        const resolved = typeof definition === 'string' ? BOSS_DEFINITIONS[definition] : definition;
+        if (!resolved?.phases?.length) {
+            throw new Error(`Unknown boss definition: ${typeof definition === 'string' ? definition : resolved?.id}`);
+        }
+        this.definition = resolved;
+        this.maxHealth = resolved.health || 100;
+        this.health = this.maxHealth;
+        this.phaseIndex = 0;
+        this.listeners = { damage: new Set(), phase: new Set(), defeated: new Set() };
+    }
+
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].add(callback);
+        }
+        return () => this.listeners[event]?.delete(callback);
+    }
+
+    emit(event, payload) {
+        this.listeners[event]?.forEach(cb => cb(payload));
+    }
+
+    get name() {
+        return this.definition.name || this.definition.id;
+    }
+
+    get defeated() {
+        return this.health <= 0;
+    }
+
+    getHealthFraction() {
+        return this.health / this.maxHealth;
+    }
+
+    getPhase() {
+        return this.definition.phases[this.phaseIndex];
+    }
+
+    getDamageForHit(target, tier) {
+        const base = HIT_DAMAGE[tier] || HIT_DAMAGE.good;
+        return target.attack ? base * ATTACK_COUNTER_MULTIPLIER : base;
+    }
+
+    damage(amount) {
+        if (this.defeated || amount <= 0) return;
+        this.health = Math.max(0, this.health - amount);
+        this.emit('damage', { health: this.health, fraction: this.getHealthFraction(), amount });
+
+        const phases = this.definition.phases;
+        let next = this.phaseIndex;
+        while (next < phases.length - 1 && this.getHealthFraction() <= phases[next + 1].threshold) {
+            next += 1;
+        }
+        if (next !== this.phaseIndex) {
+            this.phaseIndex = next;
+            this.emit('phase', { index: next, phase: this.getPhase() });
+        }
+        if (this.defeated) {
+            this.emit('defeated', this);
+        }
+    }
+
+    getAttacks(beatCount, { geometryIndex, rng }) {
+        if (this.defeated) return [];
+        const spawns = [];
+        (this.getPhase().attacks || []).forEach(attack => {
+            const every = Math.max(1, attack.every || 4);
+            if ((beatCount - (attack.offset || 0)) % every !== 0) return;
+            const generate = BOSS_ATTACKS[attack.pattern];
+            if (!generate) return;
+            generate({ beatCount, geometryIndex, rng }, attack.options).forEach(spawn => {
+                spawns.push({ ...spawn, attack: attack.pattern, damage: attack.damage ?? 0.1 });
+            });
+        });
+        return spawns;
+    }
+
+    serialize() {
+        return { health: this.health, phaseIndex: this.phaseIndex };
+    }
+
+    restore(state) {
+        if (!state) return;
+        this.health = state.health;
+        this.phaseIndex = state.phaseIndex;
+    }
+}
@@ -0,0 +1,81 @@
+// Attack generators receive { beatCount, geometryIndex, rng } plus the attack's own
+// options and return spawn descriptors in the same shape GeometryController produces.
+export const BOSS_ATTACKS = {
+    ringBurst({ beatCount, geometryIndex, rng }, { count = 6, radius = 0.3 } = {}) {
+        const start = rng.range(0, Math.PI * 2);
+        const result = [];
+        for (let i = 0; i < count; i++) {
+            const angle = start + (i / count) * Math.PI * 2;
+            result.push({
+                type: 'ring',
+                x: 0.5 + Math.cos(angle) * radius,
+                y: 0.5 + Math.sin(angle) * radius * 0.75,
+                radius: 0.06,
+                lifespan: 1.4,
+                speed: 0.3,
+                direction: (beatCount + i) % 2 === 0 ? 1 : -1,
+                metadata: { geometryIndex }
+            });
+        }
+        return result;
+    },
+
+    crossfire({ beatCount, geometryIndex, rng }, { lanes = 4 } = {}) {
+        const result = [];
+        for (let i = 0; i < lanes; i++) {
+            const fromLeft = (beatCount + i) % 2 === 0;
+            result.push({
+                type: 'belt',
+                x: fromLeft ? 0.12 : 0.88,
+                y: 0.2 + (i / Math.max(1, lanes - 1)) * 0.6 + rng.range(-0.03, 0.03),
+                radius: 0.05,
+                lifespan: 1.6,
+                speed: 0.7,
+                direction: fromLeft ? 1 : -1,
+                metadata: { geometryIndex }
+            });
+        }
+        return result;
+    },
+
+    spiral({ beatCount, geometryIndex, rng }, { arms = 3, count = 2 } = {}) {
+        const result = [];
+        const twist = beatCount * 0.7;
+        for (let arm = 0; arm < arms; arm++) {
+            for (let i = 0; i < count; i++) {
+                const orbitRadius = 0.25 + i * 0.25;
+                const angle = twist + (arm / arms) * Math.PI * 2 + i * 0.5;
+                result.push({
+                    type: 'orb',
+                    x: 0.5 + Math.cos(angle) * orbitRadius * 0.5,
+                    y: 0.5 + Math.sin(angle) * orbitRadius * 0.5,
+                    radius: 0.05,
+                    lifespan: 1.8,
+                    speed: 0.35,
+                    orbitAngle: angle,
+                    orbitRadius,
+                    orbitSpeed: rng.range(0.9, 1.3),
+                    metadata: { geometryIndex }
+                });
+            }
+        }
+        return result;
+    },
+
+    shardRain({ geometryIndex, rng }, { count = 5 } = {}) {
+        const result = [];
+        for (let i = 0; i < count; i++) {
+            result.push({
+                type: 'shard',
+                x: 0.15 + ((i + rng.next()) / count) * 0.7,
+                y: rng.range(0.7, 0.9),
+                radius: 0.05,
+                lifespan: 1.3,
+                speed: 0.8,
+                direction: rng.range(-0.4, 0.4),
+                metadata: { geometryIndex }
+            });
+        }
+        return result;
+    }
+};
@@ -0,0 +1,71 @@
+// Phases are ordered by descending health threshold; a phase takes over once the
+// boss's remaining health fraction drops to its threshold. Attacks fire on spawn
+// beats where (beatCount - offset) is a multiple of `every`, and missing an attack
+// target costs `damage` shield instead of the usual miss penalty.
+export const BOSS_DEFINITIONS = {
+    'tesseract-warden': {
+        id: 'tesseract-warden',
+        name: 'Tesseract Warden',
+        health: 120,
+        phases: [
+            {
+                threshold: 1.0,
+                name: 'Outer Cell',
+                system: 'faceted',
+                geometryIndex: 1,
+                spawn: { pattern: 'hypercubeBelts', density: 0.6 },
+                attacks: [{ pattern: 'crossfire', every: 4, offset: 3, damage: 0.12, options: { lanes: 3 } }]
+            },
+            {
+                threshold: 0.6,
+                name: 'Fold Inversion',
+                system: 'quantum',
+                geometryIndex: 4,
+                spawn: { pattern: 'kleinInversion', density: 0.7 },
+                attacks: [
+                    { pattern: 'crossfire', every: 4, offset: 1, damage: 0.12 },
+                    { pattern: 'ringBurst', every: 8, offset: 5, damage: 0.15, options: { count: 4 } }
+                ]
+            },
+            {
+                threshold: 0.25,
+                name: 'Reality Rift',
+                system: 'holographic',
+                geometryIndex: 5,
+                spawn: { pattern: 'fractalChain', density: 0.5 },
+                attacks: [
+                    { pattern: 'ringBurst', every: 4, offset: 0, damage: 0.15, options: { count: 6 } },
+                    { pattern: 'shardRain', every: 4, offset: 2, damage: 0.1 }
+                ]
+            }
+        ]
+    },
+    'orbital-sovereign': {
+        id: 'orbital-sovereign',
+        name: 'Orbital Sovereign',
+        health: 100,
+        phases: [
+            {
+                threshold: 1.0,
+                name: 'Shell Drift',
+                system: 'quantum',
+                geometryIndex: 2,
+                spawn: { pattern: 'orbitalShells', density: 0.7 },
+                attacks: [{ pattern: 'spiral', every: 8, offset: 7, damage: 0.1, options: { arms: 2 } }]
+            },
+            {
+                threshold: 0.5,
+                name: 'Torus Collapse',
+                system: 'holographic',
+                geometryIndex: 3,
+                spawn: { pattern: 'torusLane', density: 0.6 },
+                attacks: [
+                    { pattern: 'spiral', every: 4, offset: 3, damage: 0.12 },
+                    { pattern: 'ringBurst', every: 8, offset: 1, damage: 0.15, options: { count: 5, radius: 0.25 } }
+                ]
+            }
+        ]
+    }
+};
+
+export const BOSS_IDS = Object.keys(BOSS_DEFINITIONS);
@@ -0,0 +1,146 @@
+const CALIBRATION_BPM = 100;
+const TAPS_PER_PHASE = 12;
+const WARMUP_BEATS = 4;
+
+// Two tap-along passes separate the latencies: the audible click measures
+// output + input together, the silent visual flash measures input alone.
+const PHASES = ['audio', 'visual'];
+
+export class CalibrationRoutine {
+    constructor({ audioService, bpm = CALIBRATION_BPM, tapsPerPhase = TAPS_PER_PHASE }) {
+        this.audioService = audioService;
+        this.bpm = bpm;
+        this.tapsPerPhase = tapsPerPhase;
+        this.listeners = { phase: new Set(), beat: new Set(), tap: new Set(), complete: new Set() };
+        this.phaseIndex = -1;
+        this.beatTimes = [];
+        this.offsets = { audio: [], visual: [] };
+        this.beatsInPhase = 0;
+        this.running = false;
+        this.unsubscribeBeat = null;
+        this.savedSettings = null;
+    }
+
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].add(callback);
+        }
+        return () => this.listeners[event]?.delete(callback);
+    }
+
+    emit(event, payload) {
+        this.listeners[event]?.forEach(cb => cb(payload));
+    }
+
+    get phase() {
+        return PHASES[this.phaseIndex] || null;
+    }
+
+    start() {
+        if (this.running) return;
+        const audio = this.audioService;
+        this.savedSettings = {
+            bpm: audio.bpm,
+            latency: audio.getLatency(),
+            metronomeEnabled: audio.metronomeEnabled,
+            metronomeClick: audio.metronomeClick
+        };
+        // Measure raw latency, so any previous calibration must not shift the beats
+        audio.setLatency({ output: 0, input: 0 });
+        audio.setBpm(this.bpm);
+        audio.enableMetronome(true);
+        this.unsubscribeBeat = audio.onBeat(beat => this.handleBeat(beat));
+        this.offsets = { audio: [], visual: [] };
+        this.running = true;
+        this.enterPhase(0);
+    }
+
+    enterPhase(index) {
+        this.phaseIndex = index;
+        this.beatTimes = [];
+        this.beatsInPhase = 0;
+        this.audioService.setMetronomeClick(this.phase === 'audio');
+        this.emit('phase', this.phase);
+    }
+
+    handleBeat(beat) {
+        if (!this.running || beat.source !== 'metronome') return;
+        this.beatTimes.push(beat.time);
+        if (this.beatTimes.length > 4) {
+            this.beatTimes.shift();
+        }
+        this.beatsInPhase += 1;
+        this.emit('beat', { phase: this.phase, time: beat.time, warmup: this.beatsInPhase <= WARMUP_BEATS });
+
+        // Give up on a phase the player has stopped tapping along to
+        const collected = this.offsets[this.phase].length;
+        if (collected >= this.tapsPerPhase || this.beatsInPhase > WARMUP_BEATS + this.tapsPerPhase * 2) {
+            this.advance();
+        }
+    }
+
+    recordTap(performanceTime = performance.now()) {
+        if (!this.running || this.beatsInPhase <= WARMUP_BEATS) return null;
+        const tapTime = this.audioService.getContextTime(performanceTime);
+        if (tapTime == null || !this.beatTimes.length) return null;
+
+        const interval = 60 / this.bpm;
+        const nearest = this.beatTimes.reduce((best, time) =>
+            Math.abs(tapTime - time) < Math.abs(tapTime - best) ? time : best
+        );
+        // The next beat may not have been emitted yet, so wrap anticipating taps onto it
+        let offset = tapTime - nearest;
+        if (offset > interval * 0.75) {
+            offset -= interval;
+        }
+        this.offsets[this.phase].push(offset);
+        this.emit('tap', { phase: this.phase, offset });
+        return offset;
+    }
+
+    advance() {
+        if (this.phaseIndex < PHASES.length - 1) {
+            this.enterPhase(this.phaseIndex + 1);
+            return;
+        }
+        this.finish();
+    }
+
+    finish() {
+        const total = median(this.offsets.audio);
+        const input = median(this.offsets.visual);
+        const result = {
+            inputOffset: input ?? 0,
+            audioOffset: total == null ? 0 : Math.max(0, total - (input ?? 0)),
+            samples: { audio: this.offsets.audio.length, visual: this.offsets.visual.length }
+        };
+        this.stop();
+        this.audioService.setLatency({ output: result.audioOffset, input: result.inputOffset });
+        this.emit('complete', result);
+        return result;
+    }
+
+    cancel() {
+        if (!this.running) return;
+        this.stop();
+        this.audioService.setLatency(this.savedSettings.latency);
+    }
+
+    stop() {
+        this.running = false;
+        this.phaseIndex = -1;
+        this.unsubscribeBeat?.();
+        this.unsubscribeBeat = null;
+        const { bpm, metronomeEnabled, metronomeClick } = this.savedSettings;
+        this.audioService.setBpm(bpm);
+        this.audioService.enableMetronome(metronomeEnabled);
+        this.audioService.setMetronomeClick(metronomeClick);
+    }
+}
+
+function median(values) {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
@@ -1,15 +1,37 @@
+import { getDualPoints, getSlidePoint } from '../spawn/targetTypes.js';
+
+// Fingers cover more than a point, so gesture tests allow a little slop
+const TOUCH_RADIUS = 0.02;
+// Seconds of a wave's path that count as its body
+const WAVE_TRAIL = 0.2;
+const WAVE_TRAIL_POINTS = 4;
+const ARC_POINTS = 6;
+
 export class CollisionSystem {
     constructor({ gridResolution = 32 }) {
         this.gridResolution = gridResolution;
         this.grid = new Map();
         this.bounds = { minX: 0, maxX: 1, minY: 0, maxY: 1 };
+        this.shapes = new Map();
     }
 
+    // Each target is registered under the cells its shape covers over the last step,
+    // so a query finds it anywhere along the path it just travelled.
     rebuild(targets) {
         this.grid.clear();
+        this.shapes = new Map();
+        const chains = new Map();
+        targets.forEach(target => {
+            if (target.type === 'chain' && target.group != null) {
+                const links = chains.get(target.group) || [];
+                links.push(target);
+                chains.set(target.group, links);
+            }
+        });
         targets.forEach(target => {
-            const cells = this.getCellsForTarget(target);
-            cells.forEach(key => {
+            const shape = this.getShape(target, chains.get(target.group));
+            this.shapes.set(target, shape);
+            this.getCellsForShape(shape, getSweep(target)).forEach(key => {
                 if (!this.grid.has(key)) {
                     this.grid.set(key, []);
                 }
@@ -18,17 +40,48 @@ export class CollisionSystem {
         });
     }
 
-    getCellsForTarget(target) {
-        const half = target.radius || 0.05;
-        const minX = Math.max(this.bounds.minX, target.x - half);
-        const maxX = Math.min(this.bounds.maxX, target.x + half);
-        const minY = Math.max(this.bounds.minY, target.y - half);
-        const maxY = Math.min(this.bounds.maxY, target.y + half);
+    // Shapes are either a polyline thickened by `radius` (a single point is a circle,
+    // two points a capsule) or a convex polygon.
+    getShape(target, chainLinks = null) {
+        const radius = target.radius || 0.05;
+        switch (target.type) {
+            case 'belt': {
+                const half = (target.length ?? 0.16) / 2;
+                return polyline([{ x: target.x - half, y: target.y }, { x: target.x + half, y: target.y }], radius);
+            }
+            case 'arc':
+                return polyline(getArcPoints(target), radius);
+            case 'chain': {
+                // Each link owns the segment to the next link spawned with it
+                const next = chainLinks?.find(link => link.id > target.id);
+                return polyline(next ? [target, next] : [target], radius);
+            }
+            case 'wave':
+                return polyline(getWaveTrail(target), radius);
+            case 'shard':
+                return { kind: 'polygon', points: getShardPoints(target) };
+            default:
+                return polyline([target], radius);
+        }
+    }
+
+    getCellsForShape(shape, sweep = { x: 0, y: 0 }) {
+        const box = getShapeBounds(shape);
+        return this.getCellsForBox({
+            minX: Math.min(box.minX, box.minX + sweep.x),
+            maxX: Math.max(box.maxX, box.maxX + sweep.x),
+            minY: Math.min(box.minY, box.minY + sweep.y),
+            maxY: Math.max(box.maxY, box.maxY + sweep.y)
+        });
+    }
 
-        const startX = Math.floor(minX * this.gridResolution);
-        const endX = Math.floor(maxX * this.gridResolution);
-        const startY = Math.floor(minY * this.gridResolution);
-        const endY = Math.floor(maxY * this.gridResolution);
+    getCellsForBox(box) {
+        const clampX = value => Math.max(this.bounds.minX, Math.min(this.bounds.maxX, value));
+        const clampY = value => Math.max(this.bounds.minY, Math.min(this.bounds.maxY, value));
+        const startX = Math.floor(clampX(box.minX) * this.gridResolution);
+        const endX = Math.floor(clampX(box.maxX) * this.gridResolution);
+        const startY = Math.floor(clampY(box.minY) * this.gridResolution);
+        const endY = Math.floor(clampY(box.maxY) * this.gridResolution);
 
         const cells = [];
         for (let gx = startX; gx <= endX; gx++) {
@@ -40,54 +93,186 @@ export class CollisionSystem {
     }
 
     queryCircle({ x, y, radius }) {
-        const cellX = Math.floor(x * this.gridResolution);
-        const cellY = Math.floor(y * this.gridResolution);
+        const pulse = { x, y, radius };
         const results = new Set();
-
-        for (let gx = cellX - 1; gx <= cellX + 1; gx++) {
-            for (let gy = cellY - 1; gy <= cellY + 1; gy++) {
-                const key = `${gx},${gy}`;
-                const bucket = this.grid.get(key);
-                if (!bucket) continue;
-                bucket.forEach(target => {
-                    if (this.circleOverlap(target, { x, y, radius })) {
-                        results.add(target);
-                    }
-                });
-            }
-        }
-
+        this.getCellsForBox({ minX: x - radius, maxX: x + radius, minY: y - radius, maxY: y + radius }).forEach(key => {
+            this.grid.get(key)?.forEach(target => {
+                if (!results.has(target) && this.circleOverlap(target, pulse)) {
+                    results.add(target);
+                }
+            });
+        });
         return Array.from(results);
     }
 
+    // Swept test: seen from the target, the pulse moved opposite to the target's last
+    // step, so the pulse centre is tested as a segment and a target can't step over it.
     circleOverlap(target, pulse) {
         if (!target) return false;
-        if (target.type === 'belt') {
-            return this.capsuleOverlap(target, pulse);
-        }
-        if (target.type === 'wave') {
-            return this.waveOverlap(target, pulse);
-        }
-        const dx = target.x - pulse.x;
-        const dy = target.y - pulse.y;
-        const distanceSq = dx * dx + dy * dy;
-        const radius = (target.radius || 0.05) + pulse.radius;
-        return distanceSq <= radius * radius;
+        const shape = this.shapes?.get(target) || this.getShape(target);
+        const sweep = getSweep(target);
+        const from = { x: pulse.x - sweep.x, y: pulse.y - sweep.y };
+        return shapeDistance(shape, from, pulse) <= pulse.radius;
+    }
+
+    testHold(target, point, tolerance = 1) {
+        return distance(target, point) <= (target.radius || 0.05) * tolerance + TOUCH_RADIUS;
     }
 
-    capsuleOverlap(target, pulse) {
-        const x = Math.max(Math.min(pulse.x, target.x + 0.05), target.x - 0.05);
-        const dy = pulse.y - target.y;
-        const dx = pulse.x - x;
-        const distanceSq = dx * dx + dy * dy;
-        const radius = (target.radius || 0.05) + pulse.radius * 0.8;
-        return distanceSq <= radius * radius;
+    // Tracks the slide head at the given progress, with extra room for following a moving point
+    testSlide(target, point, progress) {
+        const head = getSlidePoint(target, progress);
+        return distance(head, point) <= (target.radius || 0.05) * 1.8 + TOUCH_RADIUS;
     }
 
-    waveOverlap(target, pulse) {
-        const dx = pulse.x - target.x;
-        const dy = pulse.y - target.y;
-        const radius = (target.radius || 0.04) + pulse.radius * 0.9;
-        return dx * dx + dy * dy <= radius * radius;
+    // Returns which pad (0 or 1) the point lands on, or -1
+    testDual(target, point) {
+        return getDualPoints(target).findIndex(pad =>
+            distance(pad, point) <= (target.radius || 0.05) + TOUCH_RADIUS
+        );
+    }
+
+    // A pinch matches when it is centred on the target and spread to the target's size
+    testPinch(target, { x, y, spread }) {
+        const centred = distance(target, { x, y }) <= (target.radius || 0.05) * 2;
+        return centred && Math.abs(spread - target.spread) <= target.tolerance;
+    }
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function polyline(points, radius) {
+    return { kind: 'polyline', points: points.map(({ x, y }) => ({ x, y })), radius };
+}
+
+// How far the target moved during the last step, pointing back to where it was
+function getSweep(target) {
+    return {
+        x: (target.prevX ?? target.x) - target.x,
+        y: (target.prevY ?? target.y) - target.y
+    };
+}
+
+// Arcs cover a stretch of the elliptical track they ride, centred on the target
+function getArcPoints(target) {
+    const span = target.arcSpan ?? 0.6;
+    const angle = target.rotationAngle || 0;
+    const track = a => ({ x: Math.sin(a) * 0.3, y: Math.cos(a) * 0.2 });
+    const centre = track(angle);
+    const points = [];
+    for (let i = 0; i <= ARC_POINTS; i++) {
+        const point = track(angle + span * (i / ARC_POINTS - 0.5));
+        points.push({ x: target.x + point.x - centre.x, y: target.y + point.y - centre.y });
+    }
+    return points;
+}
+
+// Retraces the last moments of the wave's path, matching SpawnSystem's wave motion
+function getWaveTrail(target) {
+    const age = target.age || 0;
+    const trail = Math.min(WAVE_TRAIL, age);
+    const height = time => Math.sin(target.wavePhase + time * target.waveFrequency) * target.waveAmplitude;
+    const points = [];
+    for (let i = WAVE_TRAIL_POINTS; i >= 0; i--) {
+        const back = (trail * i) / WAVE_TRAIL_POINTS;
+        points.push({
+            x: target.x - back * target.speed,
+            y: target.y + height(age - back) - height(age)
+        });
+    }
+    return points;
+}
+
+// A kite pointing along the shard's direction of travel
+function getShardPoints(target) {
+    const radius = target.radius || 0.05;
+    const vx = (target.speed || 0) * (target.direction || 0);
+    const vy = -(target.speed || 0) * 0.5;
+    const length = Math.hypot(vx, vy);
+    const ux = length ? vx / length : 0;
+    const uy = length ? vy / length : -1;
+    const at = (along, across) => ({
+        x: target.x + ux * along - uy * across,
+        y: target.y + uy * along + ux * across
+    });
+    return [at(radius * 1.8, 0), at(0, radius * 0.8), at(-radius * 1.2, 0), at(0, -radius * 0.8)];
+}
+
+function getShapeBounds(shape) {
+    const pad = shape.radius || 0;
+    const xs = shape.points.map(point => point.x);
+    const ys = shape.points.map(point => point.y);
+    return {
+        minX: Math.min(...xs) - pad,
+        maxX: Math.max(...xs) + pad,
+        minY: Math.min(...ys) - pad,
+        maxY: Math.max(...ys) + pad
+    };
+}
+
+// Distance from segment a-b to the shape's surface, 0 when they touch
+function shapeDistance(shape, a, b) {
+    const points = shape.points;
+    if (shape.kind === 'polygon') {
+        if (pointInPolygon(a, points) || pointInPolygon(b, points)) return 0;
+        let best = Infinity;
+        points.forEach((point, i) => {
+            best = Math.min(best, segmentDistance(a, b, point, points[(i + 1) % points.length]));
+        });
+        return best;
+    }
+    if (points.length === 1) {
+        return Math.max(0, pointSegmentDistance(points[0], a, b) - shape.radius);
+    }
+    let best = Infinity;
+    for (let i = 0; i < points.length - 1; i++) {
+        best = Math.min(best, segmentDistance(a, b, points[i], points[i + 1]));
+    }
+    return Math.max(0, best - shape.radius);
+}
+
+function pointInPolygon(point, points) {
+    let sign = 0;
+    for (let i = 0; i < points.length; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        const side = Math.sign(cross(a, b, point));
+        if (side === 0) continue;
+        if (sign === 0) {
+            sign = side;
+        } else if (side !== sign) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function cross(a, b, c) {
+    return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+}
+
+function pointSegmentDistance(point, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSq)) : 0;
+    return Math.hypot(point.x - (a.x + dx * t), point.y - (a.y + dy * t));
+}
+
+function segmentDistance(a, b, c, d) {
+    const d1 = cross(a, b, c);
+    const d2 = cross(a, b, d);
+    const d3 = cross(c, d, a);
+    const d4 = cross(c, d, b);
+    if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+        return 0;
     }
+    return Math.min(
+        pointSegmentDistance(a, c, d),
+        pointSegmentDistance(b, c, d),
+        pointSegmentDistance(c, a, b),
+        pointSegmentDistance(d, a, b)
+    );
 }
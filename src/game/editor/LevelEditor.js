@@ -0,0 +1,618 @@
+import {
+    TARGET_TYPES,
+    TARGET_TYPE_NAMES,
+    createTargetSpawn,
+    getApproachRing,
+    getDualPoints,
+    getGesture,
+    getSlidePoint
+} from '../spawn/targetTypes.js';
+import { LevelValidationError, toLevelFile, validateLevelFile } from '../state/levelFormat.js';
+import { WaveformTimeline } from './WaveformTimeline.js';
+
+const TYPE_COLORS = {
+    node: '#00ffff',
+    belt: '#ffff00',
+    orb: '#ff00ff',
+    ring: '#00ff88',
+    arc: '#ff8800',
+    chain: '#88aaff',
+    wave: '#00aaff',
+    shard: '#ff4466',
+    hold: '#ffffff',
+    slide: '#66ff66',
+    dual: '#ffaa00',
+    dimension: '#aa66ff'
+};
+const FALLBACK_DURATION = 120;
+const PATH_STEP = 1 / 30;
+
+export class LevelEditor {
+    constructor({ game, root, view, level = game.currentLevel }) {
+        this.game = game;
+        this.root = root;
+        this.view = view;
+        this.selectedType = 'node';
+        this.selected = null;
+        this.drag = null;
+        this.cursorBeat = 0;
+        this.previewing = false;
+        this.trackName = null;
+        this.rafId = null;
+        this.beats = null;
+        this.frame = this.frame.bind(this);
+        this.setLevel(level);
+        this.buildUi();
+        this.unsubscribeBeatMap = game.audioService.onBeatMap(() => this.refreshTimeline());
+        this.refreshTimeline();
+    }
+
+    setLevel(level) {
+        this.level = {
+            ...level,
+            timeline: (level?.timeline || []).map(entry => ({ ...entry })),
+            cues: (level?.cues || []).map(cue => ({ ...cue }))
+        };
+        this.selected = null;
+        if (this.elements) {
+            this.elements.id.value = this.level.id || '';
+            this.elements.name.value = this.level.name || '';
+            this.renderInspector();
+            this.refreshTimeline();
+        }
+    }
+
+    buildUi() {
+        const toolbar = createElement('div', 'editor-toolbar');
+        const audioInput = createElement('input');
+        audioInput.type = 'file';
+        audioInput.accept = 'audio/*';
+        audioInput.addEventListener('change', () => {
+            if (audioInput.files[0]) this.loadAudio(audioInput.files[0]);
+        });
+        const levelInput = createElement('input');
+        levelInput.type = 'file';
+        levelInput.accept = 'application/json,.json';
+        levelInput.addEventListener('change', () => {
+            if (levelInput.files[0]) this.openLevel(levelInput.files[0]);
+        });
+
+        const typeButtons = TARGET_TYPE_NAMES.map(type => {
+            const button = createElement('button', 'editor-type', type);
+            button.style.setProperty('--type-color', TYPE_COLORS[type]);
+            button.addEventListener('click', () => this.selectType(type));
+            return button;
+        });
+        const id = createElement('input', 'editor-field');
+        id.placeholder = 'level-id';
+        id.value = this.level.id || '';
+        const name = createElement('input', 'editor-field');
+        name.placeholder = 'Level name';
+        name.value = this.level.name || '';
+
+        const play = createElement('button', 'editor-action', 'Play from cursor');
+        play.addEventListener('click', () => this.preview());
+        const stop = createElement('button', 'editor-action', 'Stop');
+        stop.addEventListener('click', () => this.stopPreview());
+        const exportButton = createElement('button', 'editor-action primary', 'Export');
+        exportButton.addEventListener('click', () => this.exportLevel());
+
+        toolbar.append(
+            labelled('Audio', audioInput),
+            labelled('Open level', levelInput),
+            ...typeButtons,
+            id,
+            name,
+            play,
+            stop,
+            exportButton
+        );
+
+        const stage = createElement('canvas', 'editor-stage');
+        stage.addEventListener('pointerdown', event => this.handleStagePointerDown(event));
+        stage.addEventListener('pointermove', event => this.handleStagePointerMove(event));
+        stage.addEventListener('pointerup', () => {
+            this.drag = null;
+        });
+        this.view.appendChild(stage);
+
+        const inspector = createElement('div', 'editor-inspector');
+        const status = createElement('div', 'editor-status');
+        const timelineCanvas = createElement('canvas', 'editor-timeline');
+        this.root.append(toolbar, inspector, timelineCanvas, status);
+
+        this.timeline = new WaveformTimeline({ canvas: timelineCanvas });
+        this.timeline.on('seek', time => this.setCursorBeat(this.snapToBeat(time)));
+
+        this.handleKeyDown = event => this.onKeyDown(event);
+        document.addEventListener('keydown', this.handleKeyDown);
+
+        this.elements = { toolbar, typeButtons, id, name, stage, inspector, status };
+        this.selectType(this.selectedType);
+        this.renderInspector();
+    }
+
+    start() {
+        if (this.rafId) return;
+        this.rafId = requestAnimationFrame(this.frame);
+    }
+
+    destroy() {
+        this.stopPreview();
+        cancelAnimationFrame(this.rafId);
+        this.rafId = null;
+        this.unsubscribeBeatMap?.();
+        document.removeEventListener('keydown', this.handleKeyDown);
+        this.elements.stage.remove();
+        this.root.replaceChildren();
+    }
+
+    frame() {
+        // The game loop renders during preview; otherwise keep the mode renderers alive here
+        if (!this.previewing) {
+            this.game.render();
+        } else {
+            this.timeline.setPlayhead(this.game.audioService.getPlaybackTime());
+        }
+        this.drawStage();
+        this.timeline.draw();
+        this.rafId = requestAnimationFrame(this.frame);
+    }
+
+    async loadAudio(file) {
+        this.stopPreview();
+        this.setStatus(`Analysing ${file.name}…`);
+        try {
+            // Imported into the track library so the exported level can name it by id
+            const entry = await this.game.importTrack(file);
+            await this.game.loadTrack(entry ? entry.id : file);
+            this.trackName = entry ? entry.id : file.name;
+            this.setStatus(`${file.name} · ${Math.round(this.getBpm())} BPM`);
+        } catch (error) {
+            this.setStatus(error.message);
+        }
+        this.refreshTimeline();
+    }
+
+    async openLevel(file) {
+        try {
+            this.setLevel(await this.game.levelManager.loadLevelFile(file));
+            this.setCursorBeat(0);
+            this.setStatus(`Opened ${this.level.name}`);
+        } catch (error) {
+            this.setStatus(error.message);
+        }
+    }
+
+    selectType(type) {
+        this.selectedType = type;
+        this.elements.typeButtons.forEach(button => {
+            button.classList.toggle('active', button.textContent === type);
+        });
+    }
+
+    getBpm() {
+        return this.game.audioService.getBeatMap()?.bpm || this.level.bpm || 120;
+    }
+
+    getDuration() {
+        return this.game.audioService.trackBuffer?.duration || this.level.duration || FALLBACK_DURATION;
+    }
+
+    getBeats() {
+        if (!this.beats) {
+            this.beats = this.computeBeats();
+        }
+        return this.beats;
+    }
+
+    // The analysed beat map wins; without audio the level's declared grid is used
+    computeBeats() {
+        const beatMap = this.game.audioService.getBeatMap();
+        if (beatMap?.beats?.length) return beatMap.beats;
+        const interval = 60 / this.getBpm();
+        const offset = this.level.offset || 0;
+        const beatsPerBar = 4;
+        const beats = [];
+        for (let index = 0, time = offset; time < this.getDuration(); index++, time += interval) {
+            beats.push({ time, index, downbeat: index % beatsPerBar === 0 });
+        }
+        return beats;
+    }
+
+    getBeatTime(index) {
+        const beats = this.getBeats();
+        if (beats[index]) return beats[index].time;
+        return (this.level.offset || 0) + (index * 60) / this.getBpm();
+    }
+
+    snapToBeat(time) {
+        const beats = this.getBeats();
+        let best = 0;
+        beats.forEach((beat, index) => {
+            if (Math.abs(beat.time - time) < Math.abs(beats[best].time - time)) {
+                best = index;
+            }
+        });
+        return best;
+    }
+
+    setCursorBeat(index) {
+        const beats = this.getBeats();
+        this.cursorBeat = Math.max(0, Math.min(beats.length - 1, index));
+        if (this.selected && this.selected.beat !== this.cursorBeat) {
+            this.selected = null;
+            this.renderInspector();
+        }
+        this.timeline.setCursor(this.getBeatTime(this.cursorBeat));
+    }
+
+    refreshTimeline() {
+        this.beats = null;
+        if (!this.timeline) return;
+        const buffer = this.game.audioService.trackBuffer;
+        this.timeline.setBuffer(buffer);
+        this.timeline.setDuration(this.getDuration());
+        this.timeline.setBeats(this.getBeats());
+        this.refreshMarkers();
+    }
+
+    refreshMarkers() {
+        this.timeline.setMarkers(this.level.timeline.map(entry => ({
+            time: this.getBeatTime(entry.beat),
+            color: TYPE_COLORS[entry.type],
+            selected: entry === this.selected
+        })));
+    }
+
+    getStagePoint(event) {
+        const rect = this.elements.stage.getBoundingClientRect();
+        return {
+            x: clamp((event.clientX - rect.left) / rect.width),
+            y: clamp((event.clientY - rect.top) / rect.height)
+        };
+    }
+
+    getEntriesAtCursor() {
+        return this.level.timeline.filter(entry => entry.beat === this.cursorBeat);
+    }
+
+    handleStagePointerDown(event) {
+        const point = this.getStagePoint(event);
+        if (this.previewing) {
+            // The preview is playable, so taps become pulses
+            this.game.inputMapping.triggerPulse(point.x, point.y, event.timeStamp);
+            return;
+        }
+        const hit = this.getEntriesAtCursor().reverse().find(entry =>
+            Math.hypot(entry.x - point.x, entry.y - point.y) <= Math.max(entry.radius, 0.03)
+        );
+        const entry = hit || this.placeTarget(point);
+        this.select(entry);
+        this.drag = { entry, dx: entry.x - point.x, dy: entry.y - point.y };
+        this.elements.stage.setPointerCapture?.(event.pointerId);
+    }
+
+    handleStagePointerMove(event) {
+        if (!this.drag) return;
+        const point = this.getStagePoint(event);
+        this.drag.entry.x = round(clamp(point.x + this.drag.dx));
+        this.drag.entry.y = round(clamp(point.y + this.drag.dy));
+        this.renderInspector();
+    }
+
+    placeTarget({ x, y }) {
+        const entry = {
+            beat: this.cursorBeat,
+            type: this.selectedType,
+            x: round(x),
+            y: round(y),
+            ...TARGET_TYPES[this.selectedType].defaults
+        };
+        this.level.timeline.push(entry);
+        this.refreshMarkers();
+        return entry;
+    }
+
+    select(entry) {
+        this.selected = entry;
+        this.renderInspector();
+        this.refreshMarkers();
+    }
+
+    deleteSelected() {
+        if (!this.selected) return;
+        this.level.timeline = this.level.timeline.filter(entry => entry !== this.selected);
+        this.select(null);
+    }
+
+    changeType(entry, type) {
+        // Motion parameters differ per type, so swap in the new type's defaults
+        Object.keys(TARGET_TYPES[entry.type].defaults).forEach(key => delete entry[key]);
+        Object.assign(entry, TARGET_TYPES[type].defaults, { type });
+        this.renderInspector();
+        this.refreshMarkers();
+    }
+
+    renderInspector() {
+        const inspector = this.elements?.inspector;
+        if (!inspector) return;
+        inspector.replaceChildren();
+        const entry = this.selected;
+        if (!entry) {
+            inspector.appendChild(createElement('p', 'editor-hint',
+                `Beat ${this.cursorBeat}: click to place a ${this.selectedType}, drag to move, Delete to remove, ←/→ to step beats.`));
+            return;
+        }
+
+        const typeSelect = createElement('select');
+        TARGET_TYPE_NAMES.forEach(type => {
+            const option = createElement('option', null, type);
+            option.value = type;
+            option.selected = type === entry.type;
+            typeSelect.appendChild(option);
+        });
+        typeSelect.addEventListener('change', () => this.changeType(entry, typeSelect.value));
+        inspector.appendChild(labelled('type', typeSelect));
+
+        ['beat', 'x', 'y', ...Object.keys(TARGET_TYPES[entry.type].defaults)].forEach(key => {
+            const input = createElement('input');
+            input.type = 'number';
+            input.step = key === 'beat' ? '1' : '0.01';
+            input.value = entry[key];
+            input.addEventListener('change', () => {
+                const value = Number(input.value);
+                if (!Number.isFinite(value)) return;
+                entry[key] = key === 'beat' ? Math.max(0, Math.round(value)) : value;
+                if (key === 'beat') {
+                    this.setCursorBeat(entry.beat);
+                    this.select(entry);
+                }
+            });
+            inspector.appendChild(labelled(key, input));
+        });
+
+        const remove = createElement('button', 'editor-action', 'Delete');
+        remove.addEventListener('click', () => this.deleteSelected());
+        inspector.appendChild(remove);
+    }
+
+    onKeyDown(event) {
+        if (event.target.closest?.('input, select, textarea')) return;
+        switch (event.key) {
+            case 'Delete':
+            case 'Backspace':
+                this.deleteSelected();
+                break;
+            case 'ArrowLeft':
+                this.setCursorBeat(this.cursorBeat - 1);
+                break;
+            case 'ArrowRight':
+                this.setCursorBeat(this.cursorBeat + 1);
+                break;
+            case ' ':
+                event.preventDefault();
+                if (this.previewing) {
+                    this.stopPreview();
+                } else {
+                    this.preview();
+                }
+                break;
+            default:
+                return;
+        }
+        this.renderInspector();
+    }
+
+    drawStage() {
+        const canvas = this.elements.stage;
+        const ratio = globalThis.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+            canvas.width = Math.round(width * ratio);
+            canvas.height = Math.round(height * ratio);
+        }
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        if (this.previewing) {
+            this.drawPreviewTargets(ctx, width, height);
+            return;
+        }
+
+        // Neighbouring beats are ghosted so patterns can be lined up across beats
+        this.level.timeline.forEach(entry => {
+            const distance = Math.abs(entry.beat - this.cursorBeat);
+            if (distance > 1) return;
+            const alpha = distance === 0 ? 1 : 0.2;
+            if (entry === this.selected) {
+                this.drawMotionPath(ctx, entry, width, height);
+            }
+            ctx.globalAlpha = alpha;
+            ctx.strokeStyle = TYPE_COLORS[entry.type];
+            ctx.lineWidth = entry === this.selected ? 3 : 2;
+            ctx.beginPath();
+            ctx.arc(entry.x * width, entry.y * height, entry.radius * width, 0, Math.PI * 2);
+            ctx.stroke();
+            this.drawGestureGuide(ctx, entry, width, height);
+            ctx.fillStyle = TYPE_COLORS[entry.type];
+            ctx.font = '11px Courier New, monospace';
+            ctx.textAlign = 'center';
+            ctx.fillText(entry.type, entry.x * width, entry.y * height + 4);
+        });
+        ctx.globalAlpha = 1;
+        ctx.lineWidth = 1;
+    }
+
+    drawPreviewTargets(ctx, width, height) {
+        this.game.spawnSystem.getTargets().forEach(target => {
+            const ring = getApproachRing(target);
+            if (ring) {
+                ctx.globalAlpha = 0.3 + ring.progress * 0.7;
+                ctx.strokeStyle = TYPE_COLORS[target.type] || '#fff';
+                ctx.beginPath();
+                ctx.arc(ring.x * width, ring.y * height, ring.radius * width, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+            if (target.state === 'telegraph') return;
+            ctx.globalAlpha = Math.max(0.2, 1 - target.age / target.lifespan);
+            ctx.fillStyle = TYPE_COLORS[target.type] || '#fff';
+            ctx.beginPath();
+            ctx.arc(target.x * width, target.y * height, target.radius * width, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.strokeStyle = ctx.fillStyle;
+            this.drawGestureGuide(ctx, target, width, height);
+        });
+        const pulse = this.game.inputMapping.getPulseState();
+        if (pulse.active) {
+            ctx.globalAlpha = 0.8;
+            ctx.strokeStyle = '#fff';
+            ctx.beginPath();
+            ctx.arc(pulse.x * width, pulse.y * height, pulse.radius * width, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    // Slide paths, dual pads and pinch spreads are part of where a gesture target sits
+    drawGestureGuide(ctx, target, width, height) {
+        switch (getGesture(target)) {
+            case 'slide':
+                ctx.beginPath();
+                for (let step = 0; step <= 20; step++) {
+                    const point = getSlidePoint(target, step / 20);
+                    ctx.lineTo(point.x * width, point.y * height);
+                }
+                ctx.stroke();
+                break;
+            case 'dual':
+                getDualPoints(target).forEach(pad => {
+                    ctx.beginPath();
+                    ctx.arc(pad.x * width, pad.y * height, target.radius * width, 0, Math.PI * 2);
+                    ctx.stroke();
+                });
+                break;
+            case 'pinch':
+                ctx.beginPath();
+                ctx.arc(target.x * width, target.y * height, (target.spread / 2) * width, 0, Math.PI * 2);
+                ctx.stroke();
+                break;
+            default:
+                break;
+        }
+    }
+
+    // Steps a throwaway copy of the target through SpawnSystem's own motion code
+    drawMotionPath(ctx, entry, width, height) {
+        const { beat, ...placement } = entry;
+        const target = { ...createTargetSpawn(placement), age: 0 };
+        ctx.save();
+        ctx.globalAlpha = 0.6;
+        ctx.strokeStyle = TYPE_COLORS[entry.type];
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(target.x * width, target.y * height);
+        for (let time = 0; time < target.lifespan; time += PATH_STEP) {
+            target.age += PATH_STEP;
+            this.game.spawnSystem.advanceTarget(target, PATH_STEP);
+            ctx.lineTo(target.x * width, target.y * height);
+        }
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    buildLevel() {
+        const beatMap = this.game.audioService.getBeatMap();
+        const level = {
+            ...this.level,
+            id: this.elements.id.value.trim() || this.level.id || 'untitled-level',
+            name: this.elements.name.value.trim() || this.level.name || 'Untitled Level',
+            track: this.trackName || this.level.track || null,
+            bpm: beatMap?.bpm || this.level.bpm || 120,
+            offset: beatMap?.offset ?? this.level.offset ?? null,
+            timeline: [...this.level.timeline]
+                .sort((a, b) => a.beat - b.beat)
+                .map(entry => ({ ...entry }))
+        };
+        const duration = this.game.audioService.trackBuffer?.duration;
+        if (duration) {
+            level.duration = Math.round(duration * 1000) / 1000;
+        }
+        delete level.nodeType;
+        return level;
+    }
+
+    preview(fromTime = this.getBeatTime(this.cursorBeat)) {
+        const { game } = this;
+        if (!game.audioService.trackBuffer) {
+            this.setStatus('Load an audio file to preview');
+            return;
+        }
+        this.stopPreview();
+        const level = this.buildLevel();
+        game.currentLevel = level;
+        game.applyLevel(level);
+        // Timeline entries are keyed by beat index, so start counting from the cursor's beat
+        game.spawnSystem.beatCount = this.snapToBeat(fromTime);
+        game.audioService.seek(fromTime);
+        game.spawnSystem.syncBeatCursor(fromTime);
+        // Previews start right at the cursor, without the count-in
+        game.beginPlaying();
+        game.gameLoop.start();
+        this.previewing = true;
+    }
+
+    stopPreview() {
+        if (!this.previewing) return;
+        this.previewing = false;
+        this.game.gameLoop.stop();
+        this.game.pause();
+        this.game.spawnSystem.activeTargets = [];
+        this.timeline.setPlayhead(null);
+    }
+
+    // Files the game would reject on load aren't saved; the bad fields are listed instead
+    exportLevel() {
+        const file = toLevelFile(this.buildLevel());
+        const errors = validateLevelFile(file);
+        if (errors.length) {
+            this.setStatus(new LevelValidationError(errors).message);
+            return null;
+        }
+        const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = createElement('a');
+        link.href = url;
+        link.download = `${file.metadata.id}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        this.setStatus(`Exported ${link.download}`);
+        return file;
+    }
+
+    setStatus(message) {
+        this.elements.status.textContent = message;
+    }
+}
+
+function createElement(tag, className = null, text = null) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text != null) element.textContent = text;
+    return element;
+}
+
+function labelled(text, control) {
+    const label = createElement('label', 'editor-label');
+    label.append(createElement('span', null, text), control);
+    return label;
+}
+
+function clamp(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
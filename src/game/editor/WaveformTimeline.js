@@ -0,0 +1,217 @@
+const PEAKS_PER_SECOND = 200;
+const MIN_PIXELS_PER_SECOND = 20;
+const MAX_PIXELS_PER_SECOND = 800;
+
+export class WaveformTimeline {
+    constructor({ canvas, pixelsPerSecond = 120, colors = {} }) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.pixelsPerSecond = pixelsPerSecond;
+        this.scroll = 0;
+        this.duration = 0;
+        this.peaks = null;
+        this.beats = [];
+        this.markers = [];
+        this.cursorTime = 0;
+        this.playheadTime = null;
+        this.colors = {
+            background: '#05000f',
+            waveform: 'rgba(0, 255, 255, 0.55)',
+            beat: 'rgba(255, 255, 255, 0.15)',
+            downbeat: 'rgba(255, 0, 255, 0.45)',
+            cursor: '#ffff00',
+            playhead: '#00ff88',
+            ...colors
+        };
+        this.listeners = { seek: new Set() };
+        this.canvas.addEventListener('pointerdown', event => this.handlePointer(event));
+        this.canvas.addEventListener('wheel', event => this.handleWheel(event), { passive: false });
+    }
+
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].add(callback);
+        }
+        return () => this.listeners[event]?.delete(callback);
+    }
+
+    emit(event, payload) {
+        this.listeners[event]?.forEach(cb => cb(payload));
+    }
+
+    // Min/max pairs per bucket keep transients visible at any zoom level
+    setBuffer(buffer) {
+        if (!buffer) {
+            this.peaks = null;
+            return;
+        }
+        this.duration = buffer.duration;
+        const bucketSize = Math.max(1, Math.floor(buffer.sampleRate / PEAKS_PER_SECOND));
+        const bucketCount = Math.ceil(buffer.length / bucketSize);
+        const peaks = new Float32Array(bucketCount * 2);
+        const channels = buffer.numberOfChannels || 1;
+        for (let c = 0; c < channels; c++) {
+            const data = buffer.getChannelData(c);
+            for (let bucket = 0; bucket < bucketCount; bucket++) {
+                const start = bucket * bucketSize;
+                const end = Math.min(data.length, start + bucketSize);
+                let min = 0;
+                let max = 0;
+                for (let i = start; i < end; i++) {
+                    if (data[i] < min) min = data[i];
+                    if (data[i] > max) max = data[i];
+                }
+                peaks[bucket * 2] = Math.min(peaks[bucket * 2], min);
+                peaks[bucket * 2 + 1] = Math.max(peaks[bucket * 2 + 1], max);
+            }
+        }
+        this.peaks = peaks;
+    }
+
+    setDuration(duration) {
+        this.duration = duration;
+    }
+
+    setBeats(beats) {
+        this.beats = beats || [];
+    }
+
+    // Markers are { time, color, selected } and are drawn as ticks above the waveform
+    setMarkers(markers) {
+        this.markers = markers || [];
+    }
+
+    setCursor(time) {
+        this.cursorTime = time;
+        this.ensureVisible(time);
+    }
+
+    setPlayhead(time) {
+        this.playheadTime = time;
+        if (time != null) {
+            this.ensureVisible(time);
+        }
+    }
+
+    get width() {
+        return this.canvas.clientWidth || this.canvas.width;
+    }
+
+    get visibleDuration() {
+        return this.width / this.pixelsPerSecond;
+    }
+
+    timeAt(x) {
+        return this.scroll + x / this.pixelsPerSecond;
+    }
+
+    xAt(time) {
+        return (time - this.scroll) * this.pixelsPerSecond;
+    }
+
+    ensureVisible(time) {
+        const margin = this.visibleDuration * 0.1;
+        if (time < this.scroll + margin || time > this.scroll + this.visibleDuration - margin) {
+            this.scrollTo(time - this.visibleDuration * 0.25);
+        }
+    }
+
+    scrollTo(time) {
+        const maxScroll = Math.max(0, this.duration - this.visibleDuration);
+        this.scroll = Math.max(0, Math.min(maxScroll, time));
+    }
+
+    handlePointer(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        this.emit('seek', this.timeAt(event.clientX - rect.left));
+    }
+
+    handleWheel(event) {
+        event.preventDefault();
+        if (event.ctrlKey || event.metaKey) {
+            // Zoom around the pointer so the point under it stays put
+            const rect = this.canvas.getBoundingClientRect();
+            const x = event.clientX - rect.left;
+            const anchor = this.timeAt(x);
+            const factor = Math.exp(-event.deltaY * 0.002);
+            this.pixelsPerSecond = Math.max(MIN_PIXELS_PER_SECOND, Math.min(MAX_PIXELS_PER_SECOND, this.pixelsPerSecond * factor));
+            this.scrollTo(anchor - x / this.pixelsPerSecond);
+            return;
+        }
+        this.scrollTo(this.scroll + (event.deltaX || event.deltaY) / this.pixelsPerSecond);
+    }
+
+    resize() {
+        const ratio = globalThis.devicePixelRatio || 1;
+        const width = Math.round(this.canvas.clientWidth * ratio);
+        const height = Math.round(this.canvas.clientHeight * ratio);
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    }
+
+    draw() {
+        this.resize();
+        const ctx = this.context;
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        const mid = height / 2;
+        const end = this.scroll + this.visibleDuration;
+
+        ctx.fillStyle = this.colors.background;
+        ctx.fillRect(0, 0, width, height);
+
+        if (this.peaks) {
+            ctx.fillStyle = this.colors.waveform;
+            const bucketCount = this.peaks.length / 2;
+            for (let x = 0; x < width; x++) {
+                const from = Math.floor(this.timeAt(x) * PEAKS_PER_SECOND);
+                const to = Math.max(from + 1, Math.floor(this.timeAt(x + 1) * PEAKS_PER_SECOND));
+                if (from >= bucketCount) break;
+                let min = 0;
+                let max = 0;
+                for (let bucket = Math.max(0, from); bucket < Math.min(bucketCount, to); bucket++) {
+                    min = Math.min(min, this.peaks[bucket * 2]);
+                    max = Math.max(max, this.peaks[bucket * 2 + 1]);
+                }
+                ctx.fillRect(x, mid - max * mid, 1, Math.max(1, (max - min) * mid));
+            }
+        }
+
+        this.beats.forEach(beat => {
+            if (beat.time < this.scroll || beat.time > end) return;
+            const x = Math.round(this.xAt(beat.time)) + 0.5;
+            ctx.strokeStyle = beat.downbeat ? this.colors.downbeat : this.colors.beat;
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+        });
+
+        this.markers.forEach(marker => {
+            if (marker.time < this.scroll || marker.time > end) return;
+            const x = this.xAt(marker.time);
+            ctx.fillStyle = marker.color || '#fff';
+            ctx.fillRect(x - 3, marker.selected ? 2 : 6, 6, marker.selected ? 14 : 8);
+        });
+
+        this.drawLine(this.cursorTime, this.colors.cursor, height);
+        if (this.playheadTime != null) {
+            this.drawLine(this.playheadTime, this.colors.playhead, height);
+        }
+    }
+
+    drawLine(time, color, height) {
+        const x = Math.round(this.xAt(time)) + 0.5;
+        if (x < 0 || x > this.canvas.clientWidth) return;
+        this.context.strokeStyle = color;
+        this.context.lineWidth = 2;
+        this.context.beginPath();
+        this.context.moveTo(x, 0);
+        this.context.lineTo(x, height);
+        this.context.stroke();
+        this.context.lineWidth = 1;
+    }
+}
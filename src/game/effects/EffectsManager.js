@@ -28,6 +28,11 @@ export class EffectsManager {
                 this.levels.saturation += 0.2;
                 this.modeController.applyParameterDelta({ intensity: 0.25, saturation: 0.1 });
                 break;
+            case 'bossPhase':
+                this.levels.hue += 60;
+                this.levels.intensity += 0.5;
+                this.modeController.applyParameterDelta({ hue: 60, intensity: 0.4, chaos: 0.1 });
+                break;
             case 'miss':
                 this.modeController.applyParameterDelta({ saturation: -0.2, intensity: -0.15 });
                 break;
@@ -1,6 +1,7 @@
 import { SeededRandom } from '../utils/SeededRandom.js';
+import { createTargetSpawn } from '../spawn/targetTypes.js';
 
-const GEOMETRY_NAMES = [
+export const GEOMETRY_NAMES = [
     'TETRAHEDRON',
     'HYPERCUBE',
     'SPHERE',
@@ -22,7 +23,7 @@ const HOLOGRAPHIC_VARIANT_GROUPS = {
     7: [26, 27, 28, 29]    // Crystal
 };
 
-const GEOMETRY_SPAWN_PROFILES = {
+export const GEOMETRY_SPAWN_PROFILES = {
     0: { pattern: 'vertexPulse', density: 0.7 },
     1: { pattern: 'hypercubeBelts', density: 1.0 },
     2: { pattern: 'orbitalShells', density: 0.9 },
@@ -33,6 +34,15 @@ const GEOMETRY_SPAWN_PROFILES = {
     7: { pattern: 'crystalShards', density: 0.95 }
 };
 
+// Every pattern name generateSpawn() understands, including the short aliases
+export const SPAWN_PATTERNS = [
+    ...Object.values(GEOMETRY_SPAWN_PROFILES).map(profile => profile.pattern),
+    'gestureLane',
+    'orbital',
+    'belt',
+    'shard'
+];
+
 export class GeometryController {
     constructor() {
         this.geometryIndex = 0;
@@ -115,6 +125,8 @@ export class GeometryController {
                 return this.generateHypercubeBelts(geometryIndex, beatIndex, baseDensity, rng);
             case 'shard':
                 return this.generateCrystalShards(geometryIndex, beatIndex, baseDensity, rng);
+            case 'gestureLane':
+                return this.generateGestureLane(geometryIndex, beatIndex, baseDensity, rng);
             default:
                 return [];
         }
@@ -282,4 +294,27 @@ export class GeometryController {
         }
         return result;
     }
+
+    // Cycles through the gesture kinds, every other beat so holds and slides have room
+    generateGestureLane(geometryIndex, beatIndex, density, rng) {
+        if (beatIndex % 2 === 1 && density < 1.5) return [];
+        const kinds = ['hold', 'slide', 'dual', 'dimension'];
+        const type = kinds[Math.floor(beatIndex / 2) % kinds.length];
+        const params = {
+            type,
+            x: rng.range(0.3, 0.7),
+            y: rng.range(0.3, 0.7)
+        };
+        if (type === 'slide') {
+            params.x = rng.range(0.2, 0.4);
+            params.angle = rng.range(-0.6, 0.6);
+            params.curve = rng.range(-0.3, 0.3);
+        } else if (type === 'dual') {
+            params.x = 0.5;
+            params.angle = rng.range(-0.4, 0.4);
+        } else if (type === 'dimension') {
+            params.spread = rng.range(0.2, 0.4);
+        }
+        return [createTargetSpawn(params, { geometryIndex })];
+    }
 }
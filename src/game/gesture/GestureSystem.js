@@ -0,0 +1,164 @@
+import { JUDGMENT_NAMES } from '../judgment/JudgmentSystem.js';
+import { getGesture } from '../spawn/targetTypes.js';
+
+const DUAL_WINDOW_MS = 100;
+const HOLD_TOLERANCE = 1.5;
+
+// Completion ratios needed for each tier step; below the last one the target is missed
+const HOLD_GRADES = [{ ratio: 1, downgrade: 0 }, { ratio: 0.75, downgrade: 1 }];
+const SLIDE_GRADES = [{ ratio: 0.9, downgrade: 0 }, { ratio: 0.7, downgrade: 1 }, { ratio: 0.5, downgrade: 2 }];
+
+// Resolves hold, slide, dual and dimension targets from pointer and pinch input.
+// The press that starts a gesture is judged like a pulse; how well the rest of the
+// gesture is completed can only lower that tier.
+export class GestureSystem {
+    constructor({ spawnSystem, collisionSystem }) {
+        this.spawnSystem = spawnSystem;
+        this.collisionSystem = collisionSystem;
+        this.pointers = new Map();
+    }
+
+    reset() {
+        this.pointers.clear();
+    }
+
+    getGestureTargets() {
+        return this.spawnSystem.getHittableTargets().filter(target => getGesture(target));
+    }
+
+    hasActiveTargets() {
+        return this.getGestureTargets().length > 0;
+    }
+
+    isEngaged() {
+        return this.getGestureTargets().some(target => target.engaged);
+    }
+
+    handlePointer({ phase, id, x, y, time, judgment = null }) {
+        switch (phase) {
+            case 'down':
+                this.pointers.set(id, { x, y });
+                if (judgment && judgment.tier !== 'miss') {
+                    this.handlePress(id, { x, y, time }, judgment);
+                }
+                break;
+            case 'move': {
+                const pointer = this.pointers.get(id);
+                if (pointer) {
+                    pointer.x = x;
+                    pointer.y = y;
+                }
+                break;
+            }
+            case 'up':
+                this.pointers.delete(id);
+                this.getGestureTargets()
+                    .filter(target => target.engaged?.pointerId === id)
+                    .forEach(target => this.finish(target));
+                break;
+            default:
+                break;
+        }
+    }
+
+    handlePress(pointerId, point, judgment) {
+        const collision = this.collisionSystem;
+        // Oldest targets first, and one target per press
+        for (const target of this.getGestureTargets()) {
+            if (target.engaged) continue;
+            switch (getGesture(target)) {
+                case 'hold':
+                    if (collision.testHold(target, point)) {
+                        target.engaged = { pointerId, judgment, progress: 0 };
+                        return;
+                    }
+                    break;
+                case 'slide':
+                    if (collision.testSlide(target, point, 0)) {
+                        target.engaged = { pointerId, judgment, progress: 0, tracked: 0 };
+                        return;
+                    }
+                    break;
+                case 'dual': {
+                    const pad = collision.testDual(target, point);
+                    if (pad >= 0) {
+                        this.pressDualPad(target, pad, pointerId, point.time, judgment);
+                        return;
+                    }
+                    break;
+                }
+                default:
+                    break;
+            }
+        }
+    }
+
+    pressDualPad(target, pad, pointerId, time, judgment) {
+        const presses = (target.dualPresses || []).filter(press =>
+            press.pad !== pad && press.pointerId !== pointerId && Math.abs(press.time - time) <= DUAL_WINDOW_MS
+        );
+        presses.push({ pad, pointerId, time, judgment });
+        target.dualPresses = presses;
+        if (presses.length < 2) return;
+        // Both fingers count, so the weaker of the two timings decides the tier
+        const [first, second] = presses;
+        const tierIndex = Math.max(JUDGMENT_NAMES.indexOf(first.judgment.tier), JUDGMENT_NAMES.indexOf(second.judgment.tier));
+        const timed = first.judgment.offsetMs != null && second.judgment.offsetMs != null;
+        this.spawnSystem.resolveTarget(target.id, {
+            ...second.judgment,
+            tier: JUDGMENT_NAMES[tierIndex],
+            offsetMs: timed ? (first.judgment.offsetMs + second.judgment.offsetMs) / 2 : null
+        });
+    }
+
+    handlePinch(pinch) {
+        if (!pinch.judgment || pinch.judgment.tier === 'miss') return;
+        const target = this.getGestureTargets().find(candidate =>
+            getGesture(candidate) === 'pinch' && this.collisionSystem.testPinch(candidate, pinch)
+        );
+        if (target) {
+            this.spawnSystem.resolveTarget(target.id, pinch.judgment);
+        }
+    }
+
+    update(dt) {
+        this.getGestureTargets().forEach(target => {
+            const engaged = target.engaged;
+            if (!engaged) return;
+            const pointer = this.pointers.get(engaged.pointerId);
+            if (!pointer) {
+                this.finish(target);
+                return;
+            }
+            if (getGesture(target) === 'hold') {
+                if (!this.collisionSystem.testHold(target, pointer, HOLD_TOLERANCE)) {
+                    this.finish(target);
+                    return;
+                }
+                engaged.progress += dt / target.holdDuration;
+            } else {
+                engaged.progress += dt / target.slideDuration;
+                if (this.collisionSystem.testSlide(target, pointer, engaged.progress)) {
+                    engaged.tracked += dt / target.slideDuration;
+                }
+            }
+            if (engaged.progress >= 1) {
+                this.finish(target);
+            }
+        });
+    }
+
+    finish(target) {
+        const { judgment, progress, tracked } = target.engaged;
+        const isHold = getGesture(target) === 'hold';
+        const ratio = isHold ? progress : tracked;
+        const grade = (isHold ? HOLD_GRADES : SLIDE_GRADES).find(step => ratio >= step.ratio - 1e-6);
+        target.engaged = null;
+        if (!grade) {
+            this.spawnSystem.missTarget(target.id);
+            return;
+        }
+        const tierIndex = Math.min(JUDGMENT_NAMES.indexOf(judgment.tier) + grade.downgrade, JUDGMENT_NAMES.length - 2);
+        this.spawnSystem.resolveTarget(target.id, { ...judgment, tier: JUDGMENT_NAMES[tierIndex], completion: ratio });
+    }
+}
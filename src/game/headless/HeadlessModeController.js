@@ -0,0 +1,10 @@
+import { ModeController } from '../modes/ModeController.js';
+
+// Tracks parameters exactly like ModeController but never creates canvases or WebGL contexts
+export class HeadlessModeController extends ModeController {
+    initialize() {
+        this.initialized = true;
+    }
+
+    render() {}
+}
@@ -0,0 +1,110 @@
+import { LatticePulseGame } from '../LatticePulseGame.js';
+import { SyntheticBeatSource } from './SyntheticBeatSource.js';
+
+const STEP = 1 / 60;
+
+// Runs the game core under Node with caller-driven fixed steps, for automated
+// tests and spawn-balance sweeps on machines without a GPU or audio device.
+export class HeadlessSimulation {
+    constructor({ levels, levelId = null, bpm, duration, bands, offbeat, fixedStep = STEP, beatSource } = {}) {
+        this.fixedStep = fixedStep;
+        this.levelId = levelId;
+        this.beatSource = beatSource || new SyntheticBeatSource({ bpm, duration, bands, offbeat });
+        this.game = new LatticePulseGame({
+            container: null,
+            hudElement: null,
+            headless: true,
+            audioService: this.beatSource,
+            levels
+        });
+    }
+
+    async start() {
+        await this.game.prepare();
+        if (this.levelId) {
+            this.loadLevel(this.levelId);
+        }
+        // No count-in: steps start on the first beat of the track
+        this.game.retry({ countIn: false });
+        return this;
+    }
+
+    loadLevel(levelId) {
+        const level = this.game.levelManager.selectLevel(levelId);
+        if (!level || level.id !== levelId) {
+            throw new Error(`Unknown level: ${levelId}`);
+        }
+        this.game.currentLevel = level;
+        this.game.applyLevel(level);
+        return level;
+    }
+
+    retry() {
+        this.game.retry({ countIn: false });
+        return this.getState();
+    }
+
+    get time() {
+        return this.beatSource.getPlaybackTime();
+    }
+
+    step(count = 1) {
+        for (let i = 0; i < count; i++) {
+            this.game.update(this.fixedStep);
+        }
+        return this.getState();
+    }
+
+    runFor(seconds, policy = null) {
+        const steps = Math.round(seconds / this.fixedStep);
+        for (let i = 0; i < steps; i++) {
+            policy?.(this);
+            this.game.update(this.fixedStep);
+        }
+        return this.getState();
+    }
+
+    // offsetMs shifts the tap relative to the current clock, to exercise judgment tiers
+    pulse(x, y, { offsetMs = 0 } = {}) {
+        const time = this.beatSource.currentTime * 1000 + offsetMs;
+        this.game.inputMapping.triggerPulse(x, y, time);
+    }
+
+    pulseTarget(target, options) {
+        this.pulse(target.x, target.y, options);
+    }
+
+    // Raw pointer input for gesture targets; ids distinguish fingers
+    touch(phase, id, x, y, { offsetMs = 0 } = {}) {
+        const time = this.beatSource.currentTime * 1000 + offsetMs;
+        this.game.queueInput('pointer', { phase, id, x, y, time });
+    }
+
+    pinch(x, y, spread, { offsetMs = 0 } = {}) {
+        const time = this.beatSource.currentTime * 1000 + offsetMs;
+        this.game.queueInput('pinch', { x, y, spread, time });
+    }
+
+    longPress() {
+        this.game.queueInput('longPress');
+    }
+
+    getTargets() {
+        return this.game.spawnSystem.getTargets();
+    }
+
+    getState() {
+        const game = this.game;
+        return {
+            step: game.stepIndex,
+            state: game.state.state,
+            time: this.time,
+            score: game.score,
+            combo: game.combo,
+            health: game.health,
+            beatCount: game.spawnSystem.beatCount,
+            activeTargets: game.spawnSystem.getTargets().length,
+            judgments: game.judgmentSystem.getCounts()
+        };
+    }
+}
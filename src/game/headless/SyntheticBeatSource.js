@@ -0,0 +1,212 @@
+import { composeSoundtrack } from '../audio/ProceduralSoundtrack.js';
+
+const DEFAULT_BPM = 120;
+
+// Stands in for AudioService under Node: a virtual clock advanced by update(dt)
+// emits beats on an exact BPM grid. Pulse timestamps are read as milliseconds
+// on that same clock. `bands` (e.g. ['kick', 'hihat', 'snare', 'hihat']) tags
+// beats in turn the way AudioService's onset detector would, and `offbeat` (e.g.
+// 'hihat') adds an onset of that band halfway between each pair of beats.
+export class SyntheticBeatSource {
+    constructor({ bpm = DEFAULT_BPM, offset = 0, duration = Infinity, bands = null, offbeat = null } = {}) {
+        this.bpm = bpm;
+        this.bands = bands?.length ? bands : null;
+        this.offbeat = offbeat;
+        this.offset = offset;
+        this.duration = duration;
+        this.currentTime = 0;
+        this.startTime = 0;
+        this.isPlaying = false;
+        this.beatMap = null;
+        this.beatIndex = 0;
+        this.offbeatIndex = 0;
+        this.latency = { output: 0, input: 0 };
+        this.metronomeEnabled = true;
+        this.metronomeClick = false;
+        this.listeners = { beat: new Set(), onset: new Set(), analyser: new Set(), beatmap: new Set(), ended: new Set(), loop: new Set() };
+        this.loop = null;
+        this.loopIteration = 0;
+    }
+
+    async init() {}
+
+    async initialize() {}
+
+    play() {
+        this.isPlaying = true;
+    }
+
+    pause() {
+        this.isPlaying = false;
+    }
+
+    stop() {
+        this.isPlaying = false;
+        this.currentTime = 0;
+        this.setBeatCursor(0);
+    }
+
+    // Nothing is synthesized; the composition only sets the tempo and where the track ends
+    async generateTrack({ seed = 1, bpm = DEFAULT_BPM } = {}) {
+        const song = composeSoundtrack({ seed, bpm });
+        this.stop();
+        this.bpm = song.bpm;
+        this.duration = song.duration;
+        return song;
+    }
+
+    seek(time) {
+        this.currentTime = this.startTime + Math.max(0, Math.min(time, this.duration));
+        this.setBeatCursor(this.currentTime);
+        this.loopIteration = 0;
+    }
+
+    // The caller already slows its steps for a practice rate, so only the wrap is simulated
+    setLoop(loop) {
+        this.loop = loop ? { start: Math.max(0, loop.start), end: Math.min(loop.end, this.duration), rate: loop.rate || 1 } : null;
+        this.loopIteration = 0;
+        return this.loop;
+    }
+
+    setBpm(bpm) {
+        this.bpm = bpm || DEFAULT_BPM;
+    }
+
+    enableMetronome(enabled) {
+        this.metronomeEnabled = enabled;
+    }
+
+    setMetronomeClick(enabled) {
+        this.metronomeClick = enabled;
+    }
+
+    playClick() {}
+
+    setLatency({ output = 0, input = 0 } = {}) {
+        this.latency = { output, input };
+    }
+
+    getLatency() {
+        return { ...this.latency };
+    }
+
+    getBeatMap() {
+        return this.beatMap;
+    }
+
+    getPlaybackTime() {
+        return this.currentTime - this.startTime;
+    }
+
+    getContextTime(performanceTime = this.currentTime * 1000) {
+        return performanceTime / 1000;
+    }
+
+    getBeatTime(index) {
+        return this.startTime + this.offset + (index * 60) / this.bpm;
+    }
+
+    getFirstBeatIndex(contextTime) {
+        const interval = 60 / this.bpm;
+        return Math.max(0, Math.ceil((contextTime - this.startTime - this.offset) / interval - 1e-9));
+    }
+
+    // The next beat and offbeat emitted are the first at or after `contextTime`
+    setBeatCursor(contextTime) {
+        this.beatIndex = this.getFirstBeatIndex(contextTime);
+        this.offbeatIndex = this.getFirstBeatIndex(contextTime - 30 / this.bpm);
+    }
+
+    getNearestBeatTime(contextTime) {
+        const interval = 60 / this.bpm;
+        const index = Math.max(0, Math.round((contextTime - this.startTime - this.offset) / interval));
+        return this.getBeatTime(index);
+    }
+
+    onBeat(callback) {
+        this.listeners.beat.add(callback);
+        return () => this.listeners.beat.delete(callback);
+    }
+
+    onOnset(callback) {
+        this.listeners.onset.add(callback);
+        return () => this.listeners.onset.delete(callback);
+    }
+
+    onBeatMap(callback) {
+        this.listeners.beatmap.add(callback);
+        return () => this.listeners.beatmap.delete(callback);
+    }
+
+    onAnalyser(callback) {
+        this.listeners.analyser.add(callback);
+        return () => this.listeners.analyser.delete(callback);
+    }
+
+    // Fires when the track plays through to its end, not when it is paused or stopped
+    onEnded(callback) {
+        this.listeners.ended.add(callback);
+        return () => this.listeners.ended.delete(callback);
+    }
+
+    onLoop(callback) {
+        this.listeners.loop.add(callback);
+        return () => this.listeners.loop.delete(callback);
+    }
+
+    update(dt) {
+        if (!this.isPlaying) return;
+        this.currentTime += dt;
+        if (this.loop) {
+            const { start, end } = this.loop;
+            while (this.getPlaybackTime() >= end) {
+                this.emitBeats(this.startTime + end - 1e-9);
+                this.currentTime -= end - start;
+                this.setBeatCursor(this.startTime + start);
+                this.loopIteration += 1;
+                this.listeners.loop.forEach(cb => cb(this.loopIteration));
+            }
+        }
+        this.emitBeats(this.currentTime);
+        if (this.getPlaybackTime() >= this.duration) {
+            this.isPlaying = false;
+            this.listeners.ended.forEach(cb => cb());
+        }
+    }
+
+    // Beats and offbeat onsets in time order; a tagged beat is followed by its own onset
+    emitBeats(until) {
+        for (;;) {
+            const beatTime = this.getBeatTime(this.beatIndex);
+            const offbeatTime = this.offbeat ? this.getBeatTime(this.offbeatIndex) + 30 / this.bpm : Infinity;
+            const time = Math.min(beatTime, offbeatTime);
+            if (time > until || time - this.startTime >= this.duration) return;
+            if (offbeatTime < beatTime) {
+                this.offbeatIndex += 1;
+                this.emitOnset({ band: this.offbeat, time, withBeat: false });
+                continue;
+            }
+            const event = { energy: 1, time, index: this.beatIndex, source: 'synthetic' };
+            if (this.bands) {
+                event.band = this.bands[this.beatIndex % this.bands.length];
+                event.strength = 1;
+                event.confidence = 1;
+                event.bands = [{ band: event.band, strength: 1, confidence: 1 }];
+            }
+            this.beatIndex += 1;
+            this.listeners.beat.forEach(cb => cb(event));
+            if (event.band) {
+                this.emitOnset({ band: event.band, time, withBeat: true });
+            }
+        }
+    }
+
+    emitOnset({ band, time, withBeat }) {
+        const event = { band, time, strength: 1, confidence: 1, energy: 1, source: 'synthetic', withBeat };
+        this.listeners.onset.forEach(cb => cb(event));
+    }
+
+    getBandLevels() {
+        return { bass: 0, mid: 0, high: 0, energy: 0 };
+    }
+}
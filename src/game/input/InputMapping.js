@@ -1,11 +1,15 @@
 const LONG_PRESS_THRESHOLD = 0.5; // seconds
 const PULSE_WINDOW = 0.15; // seconds
+const PULSE_RADIUS = 0.15;
 const ROT_SENSITIVITY = 1.2;
 const DIMENSION_SENSITIVITY = 0.8;
 
 export class InputMapping {
-    constructor({ element, onParameterDelta, onPulse, onLongPress }) {
+    constructor({ element, onParameterDelta, onPulse, onLongPress, onPointer, onPinch, modifyPulse }) {
         this.element = element;
+        this.onPointer = onPointer;
+        this.onPinch = onPinch;
+        this.modifyPulse = modifyPulse;
         this.onParameterDelta = onParameterDelta;
         this.onPulse = onPulse;
         this.onLongPress = onLongPress;
@@ -22,6 +26,8 @@ export class InputMapping {
     }
 
     init() {
+        // Without an element (headless runs) input arrives only through queued events
+        if (!this.element) return;
         this.element.addEventListener('pointerdown', this.handlePointerDown.bind(this));
         this.element.addEventListener('pointermove', this.handlePointerMove.bind(this));
         this.element.addEventListener('pointerup', this.handlePointerUp.bind(this));
@@ -52,6 +58,7 @@ export class InputMapping {
             velocityY: 0
         };
         this.pointerStates.set(event.pointerId, state);
+        this.emitPointer('down', event, normalized);
         if (this.primaryPointerId === null) {
             this.primaryPointerId = event.pointerId;
             this.interaction.x = normalized.x;
@@ -80,6 +87,7 @@ export class InputMapping {
         state.lastTime = now;
         state.x = normalized.x;
         state.y = normalized.y;
+        this.emitPointer('move', event, normalized);
 
         if (event.pointerId === this.primaryPointerId) {
             this.interaction.x = normalized.x;
@@ -87,7 +95,7 @@ export class InputMapping {
             this.interaction.intensity = Math.min(1, Math.hypot(state.velocityX, state.velocityY));
             this.emitRotation(deltaX, deltaY);
         } else {
-            this.handlePinch();
+            this.handlePinch(event.timeStamp || now);
         }
     }
 
@@ -97,12 +105,13 @@ export class InputMapping {
 
         this.pointerStates.delete(event.pointerId);
         this.element.releasePointerCapture(event.pointerId);
+        this.emitPointer('up', event, { x: state.x, y: state.y });
 
         if (event.pointerId === this.primaryPointerId) {
             const duration = (performance.now() - state.startTime) / 1000;
             const distance = Math.hypot(state.lastX - state.startX, state.lastY - state.startY);
             if (duration < 0.3 && distance < 0.03) {
-                this.triggerPulse(state.lastX, state.lastY);
+                this.triggerPulse(state.lastX, state.lastY, event.timeStamp || performance.now());
             }
             this.primaryPointerId = null;
             this.interaction.intensity = 0;
@@ -119,11 +128,16 @@ export class InputMapping {
         }
     }
 
-    handlePinch() {
+    emitPointer(phase, event, { x, y }) {
+        this.onPointer?.({ phase, id: event.pointerId, x, y, time: event.timeStamp || performance.now() });
+    }
+
+    handlePinch(time = performance.now()) {
         if (this.pointerStates.size < 2) return;
         const pointers = Array.from(this.pointerStates.values());
         const [a, b] = pointers;
         const currentDistance = Math.hypot(a.x - b.x, a.y - b.y);
+        this.onPinch?.({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, spread: currentDistance, time });
         if (this.pinchDistance === null) {
             this.pinchDistance = currentDistance;
             return;
@@ -140,9 +154,19 @@ export class InputMapping {
         });
     }
 
-    triggerPulse(x, y) {
-        this.pulseState = { active: true, radius: 0.15, timer: PULSE_WINDOW, x, y };
-        this.onPulse?.({ x, y, radius: 0.15, duration: PULSE_WINDOW });
+    triggerPulse(x, y, time = performance.now()) {
+        const base = { x, y, radius: PULSE_RADIUS, duration: PULSE_WINDOW, time };
+        const pulse = this.modifyPulse ? this.modifyPulse(base) : base;
+        // The pulse becomes active once the consumer applies it via activatePulse()
+        this.onPulse?.(pulse);
+    }
+
+    activatePulse({ x, y, radius, duration, time }) {
+        this.pulseState = { active: true, radius, timer: duration, x, y, time };
+    }
+
+    resetPulse() {
+        this.pulseState = { active: false, radius: 0, timer: 0 };
     }
 
     normalize(x, y, rect) {
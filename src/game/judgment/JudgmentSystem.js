@@ -0,0 +1,71 @@
+const DEFAULT_WINDOW_MS = 150;
+
+// Each tier covers a fraction of the level's windowMs on either side of the beat
+const JUDGMENT_TIERS = [
+    { tier: 'perfect', fraction: 0.35, score: 300 },
+    { tier: 'great', fraction: 0.7, score: 200 },
+    { tier: 'good', fraction: 1.0, score: 100 }
+];
+
+export const JUDGMENT_NAMES = ['perfect', 'great', 'good', 'miss'];
+
+export class JudgmentSystem {
+    constructor({ audioService, windowMs = DEFAULT_WINDOW_MS } = {}) {
+        this.audioService = audioService;
+        this.windowMs = windowMs;
+        this.counts = this.createCounts();
+    }
+
+    createCounts() {
+        return JUDGMENT_NAMES.reduce((counts, name) => {
+            counts[name] = 0;
+            return counts;
+        }, {});
+    }
+
+    setWindow(windowMs) {
+        this.windowMs = windowMs > 0 ? windowMs : DEFAULT_WINDOW_MS;
+    }
+
+    reset() {
+        this.counts = this.createCounts();
+    }
+
+    // `clock` supplies the beat grid and latency; replays pass their recorded one
+    judgePulse(pulse, clock = this.audioService) {
+        const contextTime = clock?.getContextTime?.(pulse.time);
+        if (contextTime == null) {
+            // Without a beat reference there is nothing to time against, so accept the hit
+            return { tier: 'good', offsetMs: null, beatTime: null };
+        }
+        // Shift the tap back to when the player actually heard the audio
+        const { output = 0, input = 0 } = clock.latency || {};
+        const heardTime = contextTime - input - output;
+        const beatTime = clock.getNearestBeatTime(heardTime);
+        if (beatTime == null) {
+            return { tier: 'good', offsetMs: null, beatTime: null };
+        }
+        const offsetMs = (heardTime - beatTime) * 1000;
+        return { tier: this.judgeOffset(offsetMs), offsetMs, beatTime };
+    }
+
+    judgeOffset(offsetMs) {
+        const distance = Math.abs(offsetMs);
+        const match = JUDGMENT_TIERS.find(({ fraction }) => distance <= this.windowMs * fraction);
+        return match ? match.tier : 'miss';
+    }
+
+    record(tier) {
+        if (tier in this.counts) {
+            this.counts[tier] += 1;
+        }
+    }
+
+    getScore(tier) {
+        return JUDGMENT_TIERS.find(entry => entry.tier === tier)?.score || 0;
+    }
+
+    getCounts() {
+        return { ...this.counts };
+    }
+}
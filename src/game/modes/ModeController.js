@@ -1,7 +1,7 @@
 import { ParameterManager } from '../../core/Parameters.js';
 import { ModeRenderer } from './ModeRenderer.js';
 
-const MODE_NAMES = ['faceted', 'quantum', 'holographic'];
+export const MODE_NAMES = ['faceted', 'quantum', 'holographic'];
 
 export class ModeController {
     constructor({ container, geometryController }) {
@@ -98,6 +98,11 @@ export class ModeController {
         return this.parameterManager.getAllParameters();
     }
 
+    // Approach rings for telegraphed targets, handed to the active renderer each frame
+    updateApproach(rings) {
+        this.modeRenderers.get(this.activeMode)?.updateApproach(rings);
+    }
+
     render(interaction) {
         const renderer = this.modeRenderers.get(this.activeMode);
         if (!renderer) return;
@@ -83,6 +83,14 @@ export class ModeRenderer {
         });
     }
 
+    updateApproach(rings) {
+        this.visualizers.forEach(visualizer => {
+            if (visualizer?.updateApproach) {
+                visualizer.updateApproach(rings);
+            }
+        });
+    }
+
     render() {
         if (!this.active) return;
         this.visualizers.forEach(visualizer => {
@@ -0,0 +1,226 @@
+import { getDualPoints, getGesture, getSlidePoint } from '../spawn/targetTypes.js';
+
+const BURST_DURATION = 0.45;
+
+// Hue offsets from the mode's base hue so types stay distinguishable in every palette
+const TYPE_HUES = {
+    node: 0,
+    belt: 30,
+    orb: 60,
+    ring: 90,
+    arc: 120,
+    chain: 150,
+    wave: 180,
+    shard: 210,
+    hold: 240,
+    slide: 270,
+    dual: 300,
+    dimension: 330
+};
+
+const TIER_HUES = { perfect: 0, great: 60, good: 120 };
+
+// 2D canvas drawn above ModeRenderer's visualizer stack: targets with their real
+// collision shapes, approach rings, the pulse, and hit/miss bursts with combo text.
+export class TargetOverlayRenderer {
+    constructor({ container, collisionSystem }) {
+        this.container = container;
+        this.collisionSystem = collisionSystem;
+        this.bursts = [];
+        this.canvas = null;
+        this.context = null;
+        if (container && typeof document !== 'undefined') {
+            this.canvas = document.createElement('canvas');
+            this.canvas.className = 'target-overlay';
+            container.appendChild(this.canvas);
+            this.context = this.canvas.getContext('2d');
+        }
+    }
+
+    addBurst(target, tier, combo = 0) {
+        this.bursts.push({ x: target.x, y: target.y, radius: target.radius || 0.05, tier, combo, age: 0 });
+    }
+
+    clear() {
+        this.bursts = [];
+    }
+
+    update(dt) {
+        this.bursts.forEach(burst => {
+            burst.age += dt;
+        });
+        this.bursts = this.bursts.filter(burst => burst.age < BURST_DURATION);
+    }
+
+    resize() {
+        const ratio = globalThis.devicePixelRatio || 1;
+        const width = Math.round(this.canvas.clientWidth * ratio);
+        const height = Math.round(this.canvas.clientHeight * ratio);
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    }
+
+    render({ targets = [], rings = [], pulse = null, params = {} }) {
+        if (!this.context) return;
+        this.resize();
+        const ctx = this.context;
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        const palette = createPalette(params);
+        ctx.clearRect(0, 0, width, height);
+
+        rings.forEach(ring => {
+            ctx.globalAlpha = 0.3 + ring.progress * 0.7;
+            ctx.strokeStyle = palette.type(ring.type, 0.5);
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(ring.x * width, ring.y * height, ring.radius * width, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+
+        targets.forEach(target => this.drawTarget(ctx, target, palette, width, height));
+
+        if (pulse?.active) {
+            ctx.globalAlpha = 0.8;
+            ctx.strokeStyle = palette.accent;
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(pulse.x * width, pulse.y * height, pulse.radius * width, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+
+        this.bursts.forEach(burst => this.drawBurst(ctx, burst, palette, width, height));
+        ctx.globalAlpha = 1;
+        ctx.lineWidth = 1;
+    }
+
+    drawTarget(ctx, target, palette, width, height) {
+        const telegraphing = target.state === 'telegraph';
+        // Expiring targets flicker so a late read still registers
+        const flicker = target.state === 'expiring' ? 0.55 + 0.45 * Math.cos(target.age * 40) : 1;
+        ctx.globalAlpha = (telegraphing ? 0.25 : 0.85) * flicker;
+        ctx.fillStyle = palette.type(target.type, 0.35);
+        ctx.strokeStyle = palette.type(target.type, 0.6);
+        ctx.lineWidth = 2;
+
+        const gesture = getGesture(target);
+        if (gesture) {
+            this.drawGesture(ctx, target, gesture, width, height);
+            return;
+        }
+
+        const shape = this.collisionSystem.getShape(target);
+        if (shape.kind === 'polygon') {
+            ctx.beginPath();
+            shape.points.forEach(point => ctx.lineTo(point.x * width, point.y * height));
+            ctx.closePath();
+            ctx.fill();
+            ctx.stroke();
+            return;
+        }
+        if (shape.points.length === 1) {
+            ctx.beginPath();
+            ctx.arc(target.x * width, target.y * height, shape.radius * width, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+            return;
+        }
+        // Thick round-capped strokes trace capsules, arcs and polylines exactly
+        ctx.save();
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.lineWidth = shape.radius * 2 * width;
+        ctx.strokeStyle = ctx.fillStyle;
+        ctx.beginPath();
+        shape.points.forEach(point => ctx.lineTo(point.x * width, point.y * height));
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    drawGesture(ctx, target, gesture, width, height) {
+        const radius = target.radius * width;
+        switch (gesture) {
+            case 'slide':
+                ctx.beginPath();
+                for (let step = 0; step <= 20; step++) {
+                    const point = getSlidePoint(target, step / 20);
+                    ctx.lineTo(point.x * width, point.y * height);
+                }
+                ctx.stroke();
+                if (target.engaged) {
+                    const head = getSlidePoint(target, target.engaged.progress);
+                    ctx.beginPath();
+                    ctx.arc(head.x * width, head.y * height, radius, 0, Math.PI * 2);
+                    ctx.fill();
+                }
+                break;
+            case 'dual':
+                getDualPoints(target).forEach(pad => {
+                    ctx.beginPath();
+                    ctx.arc(pad.x * width, pad.y * height, radius, 0, Math.PI * 2);
+                    ctx.fill();
+                    ctx.stroke();
+                });
+                return;
+            case 'pinch':
+                ctx.setLineDash([4, 4]);
+                ctx.beginPath();
+                ctx.arc(target.x * width, target.y * height, (target.spread / 2) * width, 0, Math.PI * 2);
+                ctx.stroke();
+                ctx.setLineDash([]);
+                break;
+            case 'hold':
+                if (target.engaged) {
+                    // Hold progress fills clockwise from the top
+                    ctx.beginPath();
+                    ctx.moveTo(target.x * width, target.y * height);
+                    ctx.arc(target.x * width, target.y * height, radius, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * target.engaged.progress);
+                    ctx.fill();
+                }
+                break;
+            default:
+                break;
+        }
+        ctx.beginPath();
+        ctx.arc(target.x * width, target.y * height, radius, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+
+    drawBurst(ctx, burst, palette, width, height) {
+        const t = burst.age / BURST_DURATION;
+        const x = burst.x * width;
+        const y = burst.y * height;
+        const color = palette.tier(burst.tier);
+        ctx.globalAlpha = 1 - t;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 3 * (1 - t) + 1;
+        ctx.beginPath();
+        ctx.arc(x, y, burst.radius * width * (1 + t * 1.5), 0, Math.PI * 2);
+        ctx.stroke();
+
+        ctx.fillStyle = color;
+        ctx.textAlign = 'center';
+        ctx.font = 'bold 14px Courier New, monospace';
+        const rise = t * 18;
+        ctx.fillText(burst.tier.toUpperCase(), x, y - burst.radius * width - 8 - rise);
+        if (burst.combo > 1) {
+            ctx.font = 'bold 12px Courier New, monospace';
+            ctx.fillText(`${burst.combo}x`, x, y + burst.radius * width + 16 - rise);
+        }
+    }
+}
+
+// Builds HSL colours from the mode's hue (degrees), saturation and intensity (0–1)
+function createPalette({ hue = 200, saturation = 0.8, intensity = 0.5 } = {}) {
+    const sat = Math.round(Math.max(0, Math.min(1, saturation)) * 100);
+    const light = Math.round(45 + Math.max(0, Math.min(1, intensity)) * 25);
+    const hsl = (offset, lightness = light) => `hsl(${(hue + offset) % 360}, ${sat}%, ${lightness}%)`;
+    return {
+        accent: hsl(180, Math.min(95, light + 15)),
+        type: (type, boost = 0) => hsl(TYPE_HUES[type] ?? 0, Math.min(95, Math.round(light + boost * 20))),
+        tier: tier => (tier === 'miss' ? `hsl(0, ${sat}%, 55%)` : hsl(TIER_HUES[tier] ?? 0, Math.min(95, light + 15)))
+    };
+}
@@ -0,0 +1,91 @@
+import { RELIC_DEFINITIONS } from './relicDefinitions.js';
+
+const RARITY_WEIGHTS = { common: 6, uncommon: 3, rare: 1 };
+
+export class RelicManager {
+    constructor({ definitions = RELIC_DEFINITIONS } = {}) {
+        this.registry = new Map();
+        this.inventory = new Map();
+        this.levelState = new Map();
+        definitions.forEach(definition => this.register(definition));
+    }
+
+    register(definition) {
+        this.registry.set(definition.id, { maxStacks: 1, rarity: 'common', hooks: {}, ...definition });
+    }
+
+    getDefinition(id) {
+        return this.registry.get(id) || null;
+    }
+
+    getStacks(id) {
+        return this.inventory.get(id) || 0;
+    }
+
+    canAdd(id) {
+        const definition = this.registry.get(id);
+        return Boolean(definition) && this.getStacks(id) < definition.maxStacks;
+    }
+
+    add(id) {
+        if (!this.canAdd(id)) return false;
+        this.inventory.set(id, this.getStacks(id) + 1);
+        return true;
+    }
+
+    clear() {
+        this.inventory.clear();
+        this.levelState.clear();
+    }
+
+    startLevel() {
+        this.levelState.clear();
+    }
+
+    getOwned() {
+        return Array.from(this.inventory, ([id, stacks]) => ({ ...this.registry.get(id), stacks }));
+    }
+
+    // Pipes value through every owned relic's hook, in the order the relics were acquired
+    apply(hook, value, context = {}) {
+        let result = value;
+        this.inventory.forEach((stacks, id) => {
+            const handler = this.registry.get(id)?.hooks[hook];
+            if (!handler) return;
+            if (!this.levelState.has(id)) {
+                this.levelState.set(id, {});
+            }
+            result = handler(result, { stacks, state: this.levelState.get(id), context });
+        });
+        return result;
+    }
+
+    draft(rng, count = 3) {
+        const pool = Array.from(this.registry.values()).filter(definition => this.canAdd(definition.id));
+        const choices = [];
+        while (choices.length < count && pool.length) {
+            const total = pool.reduce((sum, definition) => sum + (RARITY_WEIGHTS[definition.rarity] || 1), 0);
+            let roll = rng.next() * total;
+            let index = 0;
+            for (; index < pool.length - 1; index++) {
+                roll -= RARITY_WEIGHTS[pool[index].rarity] || 1;
+                if (roll <= 0) break;
+            }
+            const [definition] = pool.splice(index, 1);
+            choices.push({ ...definition, stacks: this.getStacks(definition.id) });
+        }
+        return choices;
+    }
+
+    serialize() {
+        return {
+            inventory: Array.from(this.inventory),
+            levelState: Array.from(this.levelState, ([id, state]) => [id, { ...state }])
+        };
+    }
+
+    restore({ inventory = [], levelState = [] } = {}) {
+        this.inventory = new Map(inventory);
+        this.levelState = new Map(levelState.map(([id, state]) => [id, { ...state }]));
+    }
+}
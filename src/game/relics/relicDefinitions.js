@@ -0,0 +1,112 @@
+// Hooks receive the current value and { stacks, state, context } and return the
+// modified value. `state` is reset at the start of every level.
+export const RELIC_DEFINITIONS = [
+    {
+        id: 'resonant-lens',
+        name: 'Resonant Lens',
+        description: 'Pulse radius +20% per stack.',
+        rarity: 'common',
+        maxStacks: 3,
+        hooks: {
+            pulse: (pulse, { stacks }) => ({ ...pulse, radius: pulse.radius * (1 + 0.2 * stacks) })
+        }
+    },
+    {
+        id: 'afterglow',
+        name: 'Afterglow',
+        description: 'Pulses linger 0.05s longer per stack.',
+        rarity: 'common',
+        maxStacks: 3,
+        hooks: {
+            pulse: (pulse, { stacks }) => ({ ...pulse, duration: pulse.duration + 0.05 * stacks })
+        }
+    },
+    {
+        id: 'harmonic-amplifier',
+        name: 'Harmonic Amplifier',
+        description: 'Each combo step adds +0.05 more to the score multiplier per stack.',
+        rarity: 'uncommon',
+        maxStacks: 3,
+        hooks: {
+            resolve: (outcome, { stacks }) => ({ ...outcome, comboMultiplier: outcome.comboMultiplier + 0.05 * stacks })
+        }
+    },
+    {
+        id: 'vital-resonance',
+        name: 'Vital Resonance',
+        description: 'Perfect hits restore 2% shield per stack.',
+        rarity: 'uncommon',
+        maxStacks: 3,
+        hooks: {
+            resolve: (outcome, { stacks, context }) =>
+                context.tier === 'perfect' ? { ...outcome, healthGain: outcome.healthGain + 0.02 * stacks } : outcome
+        }
+    },
+    {
+        id: 'reinforced-grid',
+        name: 'Reinforced Grid',
+        description: 'Missed targets drain 25% less shield per stack.',
+        rarity: 'common',
+        maxStacks: 2,
+        hooks: {
+            miss: (outcome, { stacks }) => ({ ...outcome, healthLoss: outcome.healthLoss * (1 - 0.25 * stacks) })
+        }
+    },
+    {
+        id: 'lattice-ward',
+        name: 'Lattice Ward',
+        description: 'The first missed target in each level costs no shield.',
+        rarity: 'rare',
+        maxStacks: 1,
+        hooks: {
+            miss: (outcome, { state }) => {
+                if (state.used || outcome.healthLoss <= 0) return outcome;
+                state.used = true;
+                return { ...outcome, healthLoss: 0 };
+            }
+        }
+    },
+    {
+        id: 'phase-anchor',
+        name: 'Phase Anchor',
+        description: 'Misses halve your combo instead of resetting it.',
+        rarity: 'rare',
+        maxStacks: 1,
+        hooks: {
+            miss: (outcome, { context }) => ({ ...outcome, combo: Math.floor(context.combo / 2) })
+        }
+    },
+    {
+        id: 'chronal-lens',
+        name: 'Chronal Lens',
+        description: 'Phase Drift lasts 0.75s longer and runs slower per stack.',
+        rarity: 'uncommon',
+        maxStacks: 2,
+        hooks: {
+            slowMo: (slowMo, { stacks }) => ({
+                duration: slowMo.duration + 0.75 * stacks,
+                timeScale: Math.max(0.5, slowMo.timeScale - 0.05 * stacks)
+            })
+        }
+    },
+    {
+        id: 'magnetic-core',
+        name: 'Magnetic Core',
+        description: 'Targets are 15% larger per stack.',
+        rarity: 'common',
+        maxStacks: 3,
+        hooks: {
+            spawn: (spawn, { stacks }) => ({ ...spawn, radius: spawn.radius * (1 + 0.15 * stacks) })
+        }
+    },
+    {
+        id: 'long-exposure',
+        name: 'Long Exposure',
+        description: 'Targets stay 15% longer per stack.',
+        rarity: 'uncommon',
+        maxStacks: 2,
+        hooks: {
+            spawn: (spawn, { stacks }) => ({ ...spawn, lifespan: spawn.lifespan * (1 + 0.15 * stacks) })
+        }
+    }
+];
@@ -0,0 +1,51 @@
+// Stands in for the audio clock when a replay's inputs are judged again. Input times
+// map onto the clock the replay was recorded against, and the beat grid comes from
+// the replay's own beats, so a verdict can't be written into the replay file.
+export class ReplayClock {
+    constructor({ clock = {}, beats = [] }) {
+        this.offset = clock.offset ?? null;
+        this.latency = { output: 0, input: 0, ...clock.latency };
+        this.interval = 60 / (clock.bpm || 120);
+        // Mapped beats are known for the whole track; live beats only once they arrive
+        this.mappedTimes = beats
+            .filter(entry => entry.beat.source === 'beatmap' && entry.clockTime != null)
+            .map(entry => entry.clockTime)
+            .sort((a, b) => a - b);
+        this.lastBeatTime = null;
+    }
+
+    addBeat({ clockTime }) {
+        if (clockTime != null) {
+            this.lastBeatTime = clockTime;
+        }
+    }
+
+    getContextTime(time) {
+        return this.offset == null ? null : time / 1000 + this.offset;
+    }
+
+    // Same rules as AudioService: the nearest mapped beat, else the last live beat or the one after
+    getNearestBeatTime(contextTime) {
+        const times = this.mappedTimes;
+        if (times.length) {
+            let low = 0;
+            let high = times.length - 1;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (times[mid] < contextTime) {
+                    low = mid + 1;
+                } else {
+                    high = mid;
+                }
+            }
+            const before = times[Math.max(0, low - 1)];
+            const after = times[low];
+            return Math.abs(before - contextTime) <= Math.abs(after - contextTime) ? before : after;
+        }
+        if (this.lastBeatTime == null) return null;
+        const nextBeatTime = this.lastBeatTime + this.interval;
+        return Math.abs(contextTime - this.lastBeatTime) <= Math.abs(nextBeatTime - contextTime)
+            ? this.lastBeatTime
+            : nextBeatTime;
+    }
+}
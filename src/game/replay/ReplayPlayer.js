@@ -0,0 +1,96 @@
+import { ReplayClock } from './ReplayClock.js';
+import { REPLAY_VERSION } from './ReplayRecorder.js';
+
+export class ReplayPlayer {
+    constructor({ game, replay }) {
+        if (!replay || replay.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version: ${replay?.version}`);
+        }
+        this.game = game;
+        this.replay = replay;
+        this.startStep = 0;
+        this.beatCursor = 0;
+        this.onsetCursor = 0;
+        this.inputCursor = 0;
+        // Inputs are judged against this instead of the live audio clock
+        this.clock = null;
+        this.playing = false;
+        this.result = null;
+        this.listeners = { complete: new Set() };
+    }
+
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].add(callback);
+        }
+        return () => this.listeners[event]?.delete(callback);
+    }
+
+    emit(event, payload) {
+        this.listeners[event]?.forEach(cb => cb(payload));
+    }
+
+    start() {
+        this.startStep = this.game.stepIndex;
+        this.beatCursor = 0;
+        this.onsetCursor = 0;
+        this.inputCursor = 0;
+        this.clock = new ReplayClock(this.replay);
+        this.result = null;
+        this.playing = true;
+    }
+
+    getStep() {
+        return this.game.stepIndex - this.startStep;
+    }
+
+    takeInputs() {
+        const step = this.getStep();
+        const inputs = [];
+        const recorded = this.replay.inputs;
+        while (this.inputCursor < recorded.length && recorded[this.inputCursor].step <= step) {
+            const { type, payload } = recorded[this.inputCursor++];
+            inputs.push({ type, payload });
+        }
+        return inputs;
+    }
+
+    // Beats and onsets due by this step as { type, event }, in the order they were recorded
+    takeEvents() {
+        const step = this.getStep();
+        const events = [];
+        const { beats, onsets = [] } = this.replay;
+        for (;;) {
+            const beat = beats[this.beatCursor];
+            const onset = onsets[this.onsetCursor];
+            const beatDue = beat && beat.step <= step;
+            if (onset && onset.step <= step && (!beatDue || onset.beats <= this.beatCursor)) {
+                this.onsetCursor += 1;
+                events.push({ type: 'onset', event: onset.onset });
+            } else if (beatDue) {
+                this.beatCursor += 1;
+                this.clock.addBeat(beat);
+                events.push({ type: 'beat', event: beat.beat });
+            } else {
+                return events;
+            }
+        }
+    }
+
+    isFinished() {
+        return this.getStep() >= this.replay.steps;
+    }
+
+    finish() {
+        if (!this.playing) return this.result;
+        this.playing = false;
+        const score = this.game.score;
+        this.result = {
+            score,
+            expectedScore: this.replay.finalScore,
+            matches: score === this.replay.finalScore
+        };
+        this.emit('complete', this.result);
+        return this.result;
+    }
+}
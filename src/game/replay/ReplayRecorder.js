@@ -0,0 +1,91 @@
+// Version 2 stopped storing judgments; inputs are judged again on playback
+export const REPLAY_VERSION = 2;
+
+export class ReplayRecorder {
+    constructor({ game }) {
+        this.game = game;
+        this.recording = false;
+        this.startStep = 0;
+        this.replay = null;
+        this.unsubscribeBeat = null;
+        this.unsubscribeOnset = null;
+    }
+
+    start() {
+        const game = this.game;
+        const audio = game.audioService;
+        const level = game.currentLevel;
+        this.startStep = game.stepIndex;
+        this.replay = {
+            version: REPLAY_VERSION,
+            levelId: level?.id || null,
+            // Run levels are generated rather than loaded, so the replay carries its own copy
+            level: level && !game.levelManager.levels.includes(level) ? JSON.parse(JSON.stringify(level)) : null,
+            tier: game.levelManager.getCurrentTier(),
+            seed: level?.seed || 1,
+            fixedStep: game.gameLoop.fixedStep,
+            // Maps input timestamps onto the audio clock the beats were recorded on
+            clock: {
+                offset: audio.getContextTime?.(0) ?? null,
+                bpm: audio.bpm,
+                latency: audio.getLatency?.() || { output: 0, input: 0 }
+            },
+            initialState: game.captureReplayState(),
+            beats: [],
+            onsets: [],
+            inputs: [],
+            steps: 0,
+            finalScore: null
+        };
+        this.unsubscribeBeat = game.spawnSystem.on('beat', beat => this.recordBeat(beat));
+        this.unsubscribeOnset = game.spawnSystem.on('onset', onset => this.recordOnset(onset));
+        this.recording = true;
+    }
+
+    getStep() {
+        return this.game.stepIndex - this.startStep;
+    }
+
+    recordBeat(beat) {
+        if (!this.recording) return;
+        this.replay.beats.push({ step: this.getStep(), beat: { ...beat }, clockTime: this.getClockTime(beat) });
+    }
+
+    // `beats` counts the beats recorded before it, so playback keeps the two streams in order
+    recordOnset(onset) {
+        if (!this.recording) return;
+        this.replay.onsets.push({ step: this.getStep(), beats: this.replay.beats.length, onset: { ...onset } });
+    }
+
+    // Where the beat sits on the audio clock that pulses are judged against. Live beats
+    // count from when they were detected; mapped beats carry track time and are placed
+    // from how far ahead of the playhead they were scheduled.
+    getClockTime(beat) {
+        if (beat.source !== 'beatmap') return beat.detectedTime ?? beat.time ?? null;
+        const audio = this.game.audioService;
+        const now = audio.getContextTime?.();
+        if (now == null || beat.time == null) return null;
+        const ahead = beat.time - audio.getPlaybackTime();
+        return now - (audio.latency?.output || 0) + ahead / (audio.loop?.rate || 1);
+    }
+
+    recordInput({ type, payload }) {
+        if (!this.recording) return;
+        const recorded = payload ? { ...payload } : null;
+        // Verdicts are never stored; a replay is only trusted as far as its input times
+        delete recorded?.judgment;
+        this.replay.inputs.push({ step: this.getStep(), type, payload: recorded });
+    }
+
+    stop() {
+        if (!this.recording) return this.replay;
+        this.recording = false;
+        this.unsubscribeBeat?.();
+        this.unsubscribeOnset?.();
+        this.unsubscribeBeat = null;
+        this.unsubscribeOnset = null;
+        this.replay.steps = this.getStep();
+        this.replay.finalScore = this.game.score;
+        return this.replay;
+    }
+}
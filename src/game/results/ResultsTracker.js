@@ -0,0 +1,96 @@
+import { JUDGMENT_NAMES } from '../judgment/JudgmentSystem.js';
+
+// Credit per judgment, matching the 300/200/100 score ratio
+const TIER_WEIGHTS = { perfect: 1, great: 2 / 3, good: 1 / 3, miss: 0 };
+const HISTOGRAM_BINS = 9;
+
+// Lowest accuracy for each grade, best first. A failed level is always graded F.
+export const GRADES = [
+    { grade: 'S', accuracy: 0.95 },
+    { grade: 'A', accuracy: 0.9 },
+    { grade: 'B', accuracy: 0.8 },
+    { grade: 'C', accuracy: 0.7 },
+    { grade: 'D', accuracy: 0 }
+];
+
+export function getGrade(accuracy, cleared = true) {
+    if (!cleared) return 'F';
+    return GRADES.find(entry => accuracy >= entry.accuracy).grade;
+}
+
+// Collects what the results screen shows for one attempt at a level: judgment
+// counts, max combo, hit timing offsets and per-target-type accuracy.
+export class ResultsTracker {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.counts = JUDGMENT_NAMES.reduce((counts, name) => ({ ...counts, [name]: 0 }), {});
+        this.maxCombo = 0;
+        this.offsets = [];
+        this.types = {};
+    }
+
+    // `target` is null for pulses that missed the beat and so never reached a target
+    record(tier, { target = null, offsetMs = null, combo = 0 } = {}) {
+        if (!(tier in this.counts)) return;
+        this.counts[tier] += 1;
+        this.maxCombo = Math.max(this.maxCombo, combo);
+        if (tier !== 'miss' && offsetMs != null) {
+            this.offsets.push(offsetMs);
+        }
+        if (target?.type) {
+            const type = this.types[target.type] || { total: 0, credit: 0 };
+            type.total += 1;
+            type.credit += TIER_WEIGHTS[tier];
+            this.types[target.type] = type;
+        }
+    }
+
+    getAccuracy() {
+        const total = JUDGMENT_NAMES.reduce((sum, name) => sum + this.counts[name], 0);
+        if (!total) return 0;
+        return JUDGMENT_NAMES.reduce((sum, name) => sum + this.counts[name] * TIER_WEIGHTS[name], 0) / total;
+    }
+
+    // Hit offsets binned across ±windowMs; negative offsets are early taps
+    getHistogram(windowMs) {
+        const bins = new Array(HISTOGRAM_BINS).fill(0);
+        const width = (windowMs * 2) / HISTOGRAM_BINS;
+        this.offsets.forEach(offset => {
+            const index = Math.floor((offset + windowMs) / width);
+            bins[Math.max(0, Math.min(HISTOGRAM_BINS - 1, index))] += 1;
+        });
+        return {
+            windowMs,
+            bins,
+            early: this.offsets.filter(offset => offset < 0).length,
+            late: this.offsets.filter(offset => offset > 0).length,
+            meanOffsetMs: this.offsets.length
+                ? this.offsets.reduce((sum, offset) => sum + offset, 0) / this.offsets.length
+                : null
+        };
+    }
+
+    getTypeAccuracy() {
+        return Object.fromEntries(Object.entries(this.types).map(([type, { total, credit }]) => [
+            type,
+            { total, accuracy: credit / total }
+        ]));
+    }
+
+    getSummary({ score = 0, cleared = false, windowMs = 150 } = {}) {
+        const accuracy = this.getAccuracy();
+        return {
+            score,
+            cleared,
+            accuracy,
+            grade: getGrade(accuracy, cleared),
+            maxCombo: this.maxCombo,
+            counts: { ...this.counts },
+            histogram: this.getHistogram(windowMs),
+            types: this.getTypeAccuracy()
+        };
+    }
+}
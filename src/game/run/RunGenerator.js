@@ -0,0 +1,147 @@
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { GEOMETRY_NAMES, GEOMETRY_SPAWN_PROFILES } from '../geometry/GeometryController.js';
+import { BOSS_IDS } from '../boss/bossDefinitions.js';
+
+export const NODE_TYPES = ['normal', 'elite', 'rest', 'shop', 'boss'];
+export const COMBAT_NODE_TYPES = ['normal', 'elite', 'boss'];
+
+const SYSTEMS = ['faceted', 'quantum', 'holographic'];
+const PLANE_PAIRS = [['XW', 'YW'], ['XW', 'ZW'], ['YW', 'ZW']];
+const TYPE_DIFFICULTY = { normal: 1.0, elite: 1.25, boss: 1.5 };
+const TYPE_LABELS = { normal: 'Sector', elite: 'Elite', boss: 'Core' };
+
+// Weights for the middle floors; the first floor is always normal, the
+// floor before the boss is always a rest stop.
+const TYPE_WEIGHTS = [
+    { type: 'normal', weight: 0.55, minFloor: 0 },
+    { type: 'shop', weight: 0.13, minFloor: 1 },
+    { type: 'elite', weight: 0.17, minFloor: 2 },
+    { type: 'rest', weight: 0.15, minFloor: 2 }
+];
+
+export class RunGenerator {
+    constructor({ floors = 8, minWidth = 2, maxWidth = 4 } = {}) {
+        this.floors = Math.max(3, floors);
+        this.minWidth = minWidth;
+        this.maxWidth = maxWidth;
+    }
+
+    generate(seed) {
+        const rng = new SeededRandom(seed);
+        const nodes = {};
+        const floors = [];
+
+        for (let floor = 0; floor < this.floors; floor++) {
+            const width = floor === this.floors - 1
+                ? 1
+                : this.minWidth + Math.floor(rng.next() * (this.maxWidth - this.minWidth + 1));
+            const ids = [];
+            for (let column = 0; column < width; column++) {
+                const node = {
+                    id: `f${floor}-n${column}`,
+                    floor,
+                    column,
+                    type: this.pickType(floor, rng),
+                    seed: 1 + Math.floor(rng.next() * 0x7ffffffd),
+                    next: []
+                };
+                node.level = COMBAT_NODE_TYPES.includes(node.type) ? this.createLevel(seed, node) : null;
+                nodes[node.id] = node;
+                ids.push(node.id);
+            }
+            floors.push(ids);
+        }
+
+        for (let floor = 0; floor < floors.length - 1; floor++) {
+            this.connectFloors(floors[floor], floors[floor + 1], nodes, rng);
+        }
+
+        return { seed, floors, nodes, startNodeIds: [...floors[0]] };
+    }
+
+    pickType(floor, rng) {
+        if (floor === 0) return 'normal';
+        if (floor === this.floors - 1) return 'boss';
+        if (floor === this.floors - 2) return 'rest';
+
+        const options = TYPE_WEIGHTS.filter(option => floor >= option.minFloor);
+        const total = options.reduce((sum, option) => sum + option.weight, 0);
+        let roll = rng.next() * total;
+        for (const option of options) {
+            roll -= option.weight;
+            if (roll <= 0) return option.type;
+        }
+        return 'normal';
+    }
+
+    connectFloors(fromIds, toIds, nodes, rng) {
+        const project = (index, fromCount, toCount) =>
+            fromCount > 1 ? Math.round((index * (toCount - 1)) / (fromCount - 1)) : Math.floor((toCount - 1) / 2);
+
+        fromIds.forEach((id, index) => {
+            const target = project(index, fromIds.length, toIds.length);
+            const links = new Set([target]);
+            // Occasional diagonal links create the branching choices
+            if (rng.next() < 0.35) {
+                const side = rng.next() < 0.5 ? -1 : 1;
+                const neighbour = Math.max(0, Math.min(toIds.length - 1, target + side));
+                links.add(neighbour);
+            }
+            links.forEach(column => nodes[id].next.push(toIds[column]));
+        });
+
+        // Every node must be reachable from the floor below
+        toIds.forEach((id, index) => {
+            const hasParent = fromIds.some(fromId => nodes[fromId].next.includes(id));
+            if (!hasParent) {
+                const parent = fromIds[project(index, toIds.length, fromIds.length)];
+                nodes[parent].next.push(id);
+            }
+        });
+
+        fromIds.forEach(id => nodes[id].next.sort());
+    }
+
+    createLevel(runSeed, node) {
+        const rng = new SeededRandom(node.seed);
+        const progress = node.floor / (this.floors - 1);
+        const typeScale = TYPE_DIFFICULTY[node.type] || 1;
+        const geometryIndex = Math.floor(rng.next() * GEOMETRY_NAMES.length);
+        const profile = GEOMETRY_SPAWN_PROFILES[geometryIndex];
+
+        const level = {
+            id: `run-${runSeed}-${node.id}`,
+            name: `${TYPE_LABELS[node.type]} ${node.floor + 1} · ${GEOMETRY_NAMES[geometryIndex]}`,
+            system: rng.pick(SYSTEMS),
+            geometryIndex,
+            track: 'procedural',
+            bpm: Math.round(rng.range(112, 140) + progress * 12),
+            seed: node.seed,
+            planes: rng.pick(PLANE_PAIRS),
+            windowMs: Math.round(160 - progress * 30 - (node.type === 'normal' ? 0 : 10)),
+            spawn: {
+                pattern: profile.pattern,
+                density: round(profile.density * (0.8 + progress * 0.5))
+            },
+            difficulty: {
+                speed: round((1 + progress * 0.6) * typeScale),
+                chaos: round(0.1 + progress * 0.25 + rng.range(0, 0.05)),
+                gridDensity: Math.round(16 + progress * 10)
+            },
+            palette: {
+                hue: Math.round(rng.range(0, 360)),
+                saturation: round(rng.range(0.75, 0.95)),
+                intensity: round(rng.range(0.55, 0.75))
+            },
+            nodeType: node.type
+        };
+        if (node.type === 'boss') {
+            level.boss = rng.pick(BOSS_IDS);
+        }
+        return level;
+    }
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
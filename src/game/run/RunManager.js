@@ -0,0 +1,100 @@
+import { RunGenerator } from './RunGenerator.js';
+
+const REST_HEAL = 0.3;
+
+export class RunManager {
+    constructor({ seed = Date.now(), generator = new RunGenerator(), startingHealth = 1.0 } = {}) {
+        this.seed = seed >>> 0;
+        this.map = generator.generate(this.seed);
+        this.health = startingHealth;
+        this.score = 0;
+        this.currentNodeId = null;
+        this.nodeActive = false;
+        this.visited = [];
+        this.status = 'active';
+        this.listeners = { node: new Set(), complete: new Set(), end: new Set() };
+    }
+
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].add(callback);
+        }
+        return () => this.listeners[event]?.delete(callback);
+    }
+
+    emit(event, payload) {
+        this.listeners[event]?.forEach(cb => cb(payload));
+    }
+
+    getNode(nodeId) {
+        return this.map.nodes[nodeId] || null;
+    }
+
+    getCurrentNode() {
+        return this.getNode(this.currentNodeId);
+    }
+
+    getAvailableNodes() {
+        if (this.status !== 'active' || this.nodeActive) return [];
+        const ids = this.currentNodeId ? this.getCurrentNode().next : this.map.startNodeIds;
+        return ids.map(id => this.getNode(id));
+    }
+
+    chooseNode(nodeId) {
+        const node = this.getAvailableNodes().find(candidate => candidate.id === nodeId);
+        if (!node) {
+            throw new Error(`Node ${nodeId} is not reachable from ${this.currentNodeId || 'the start'}`);
+        }
+        this.currentNodeId = node.id;
+        this.visited.push(node.id);
+        this.nodeActive = true;
+        this.emit('node', node);
+
+        // Rest and shop stops have no level to play, so they resolve on entry
+        if (!node.level) {
+            if (node.type === 'rest') {
+                this.health = Math.min(1, this.health + REST_HEAL);
+            }
+            this.completeNode({ score: this.score, health: this.health });
+        }
+        return node;
+    }
+
+    completeNode({ score, health }) {
+        if (!this.nodeActive) return null;
+        const node = this.getCurrentNode();
+        this.score = score;
+        this.health = health;
+        this.nodeActive = false;
+        this.emit('complete', node);
+        if (node.type === 'boss') {
+            this.end('won');
+        }
+        return node;
+    }
+
+    fail({ score }) {
+        this.score = score;
+        this.health = 0;
+        this.nodeActive = false;
+        return this.end('lost');
+    }
+
+    end(status) {
+        this.status = status;
+        const summary = this.getSummary();
+        this.emit('end', summary);
+        return summary;
+    }
+
+    getSummary() {
+        return {
+            seed: this.seed,
+            status: this.status,
+            score: this.score,
+            health: this.health,
+            floor: this.getCurrentNode()?.floor ?? -1,
+            visited: [...this.visited]
+        };
+    }
+}
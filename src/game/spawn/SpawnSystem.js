@@ -1,5 +1,15 @@
+import { createTargetSpawn, remapTargetType } from './targetTypes.js';
+
 let TARGET_ID = 0;
 
+// Seconds a target is shown before its peak, and how early in that window it becomes hittable
+const DEFAULT_TELEGRAPH = 0.6;
+const READY_LEAD = 0.15;
+const EXPIRING_WINDOW = 0.4;
+
+// Target type for beats and onsets AudioService's onset detector tagged with a drum band
+export const DEFAULT_BAND_TYPES = { kick: 'node', snare: 'ring', hihat: 'shard' };
+
 export class SpawnSystem {
     constructor({ geometryController, audioService, difficulty = 1.0 }) {
         this.geometryController = geometryController;
@@ -7,16 +17,157 @@ export class SpawnSystem {
         this.difficulty = difficulty;
         this.activeTargets = [];
         this.beatCount = 0;
-        this.listeners = { spawn: new Set(), resolve: new Set(), miss: new Set() };
+        this.onsetBands = new Set();
+        this.telegraph = DEFAULT_TELEGRAPH;
+        this.lifespanScale = 1;
+        this.typeMap = {};
+        this.bandTypes = { ...DEFAULT_BAND_TYPES };
+        this.listeners = {
+            beat: new Set(),
+            onset: new Set(),
+            spawn: new Set(),
+            ready: new Set(),
+            peak: new Set(),
+            expiring: new Set(),
+            attack: new Set(),
+            resolve: new Set(),
+            miss: new Set()
+        };
         this.spawnOverrides = {};
+        this.beatMap = null;
+        this.nextBeatIndex = 0;
+        this.lastScheduleTime = 0;
+        this.beatLimit = Infinity;
+        this.lookahead = 0;
+        this.autoBeats = true;
+        this.spawnModifier = null;
+        this.boss = null;
+        this.timeline = null;
     }
 
     initialize() {
         if (this.audioService) {
-            this.audioService.onBeat(() => this.handleBeat());
+            this.audioService.onBeat(beat => {
+                // A beat map schedules spawns itself; live detection would double them up
+                if (this.autoBeats && !this.beatMap) {
+                    this.handleBeat(beat);
+                }
+            });
+            this.audioService.onOnset?.(onset => {
+                if (this.autoBeats && !this.beatMap) {
+                    this.handleOnset(onset);
+                }
+            });
+            this.audioService.onBeatMap(beatMap => this.setBeatMap(beatMap));
+            if (this.audioService.beatMap) {
+                this.setBeatMap(this.audioService.beatMap);
+            }
+        }
+    }
+
+    // When disabled, beats and onsets only arrive through handleBeat() and handleOnset()
+    // from the caller (replays, simulations)
+    setAutoBeats(enabled) {
+        this.autoBeats = enabled;
+        if (enabled) {
+            this.syncBeatCursor(this.audioService?.getPlaybackTime?.() || 0);
+        }
+    }
+
+    setSpawnModifier(modifier) {
+        this.spawnModifier = modifier;
+    }
+
+    // A charted timeline replaces the procedural pattern; entries spawn on their beat index
+    setTimeline(entries) {
+        if (!entries?.length) {
+            this.timeline = null;
+            return;
+        }
+        this.timeline = new Map();
+        entries.forEach(entry => {
+            const list = this.timeline.get(entry.beat) || [];
+            list.push(entry);
+            this.timeline.set(entry.beat, list);
+        });
+    }
+
+    getTimelineSpawns(beatIndex) {
+        const geometryIndex = this.geometryController.geometryIndex;
+        return (this.timeline.get(beatIndex) || []).map(({ beat, ...placement }) =>
+            createTargetSpawn(placement, { geometryIndex, charted: true })
+        );
+    }
+
+    // Boss attacks are layered on top of the regular pattern on the same beats
+    setBoss(boss) {
+        this.boss = boss;
+    }
+
+    setBeatMap(beatMap) {
+        this.beatMap = beatMap?.beats?.length ? beatMap : null;
+        this.syncBeatCursor(this.audioService?.getPlaybackTime?.() || 0);
+    }
+
+    syncBeatCursor(time = 0) {
+        this.lastScheduleTime = time;
+        if (!this.beatMap) {
+            this.nextBeatIndex = 0;
+            return;
+        }
+        const beats = this.beatMap.beats;
+        let index = 0;
+        while (index < beats.length && beats[index].time < time + this.getScheduleLead()) {
+            index++;
+        }
+        this.nextBeatIndex = index;
+    }
+
+    // Back to the top of the track: no targets, and both the beat counter and the
+    // beat map cursor at zero so the first beats are scheduled again
+    reset() {
+        this.activeTargets = [];
+        this.beatCount = 0;
+        this.onsetBands.clear();
+        this.nextBeatIndex = 0;
+        this.lastScheduleTime = 0;
+    }
+
+    // Mapped beats from `limit` on are never scheduled, e.g. past the end of a practice loop
+    setBeatLimit(limit = Infinity) {
+        this.beatLimit = limit;
+    }
+
+    updateScheduledBeats() {
+        if (!this.autoBeats || !this.beatMap || !this.audioService?.isPlaying) return;
+        const time = this.audioService.getPlaybackTime();
+        if (time < this.lastScheduleTime) {
+            this.syncBeatCursor(time);
+        }
+        this.lastScheduleTime = time;
+
+        const beats = this.beatMap.beats;
+        const count = Math.min(beats.length, this.beatLimit);
+        while (this.nextBeatIndex < count && beats[this.nextBeatIndex].time <= time + this.getScheduleLead()) {
+            const beat = beats[this.nextBeatIndex];
+            this.handleBeat({ ...beat, source: 'beatmap', approach: Math.max(0, beat.time - time) });
+            this.nextBeatIndex += 1;
         }
     }
 
+    // Mapped beats are known ahead of time, so their targets spawn early enough to telegraph
+    getScheduleLead() {
+        return Math.max(this.lookahead, this.telegraph);
+    }
+
+    // Live beats arrive as they are heard; their targets peak on a later beat of the same grid
+    getApproachTime(beat) {
+        if (typeof beat.approach === 'number') return beat.approach;
+        if (this.telegraph <= 0) return 0;
+        const interval = 60 / (this.audioService?.bpm || 120);
+        return Math.ceil(this.telegraph / interval - 1e-6) * interval;
+    }
+
     on(event, callback) {
         if (this.listeners[event]) {
             this.listeners[event].add(callback);
@@ -28,38 +179,143 @@ export class SpawnSystem {
         this.listeners[event]?.forEach(cb => cb(payload));
     }
 
-    handleBeat() {
-        const spawns = this.geometryController.generateSpawn(
-            this.beatCount,
-            this.difficulty,
-            this.spawnOverrides
+    handleBeat(incoming = {}) {
+        // The approach is stored on the beat so replays telegraph exactly as recorded
+        const beat = { ...incoming, approach: this.getApproachTime(incoming) };
+        this.emit('beat', beat);
+        const spawns = this.timeline
+            ? this.getTimelineSpawns(this.beatCount)
+            : this.applyBand(this.geometryController.generateSpawn(this.beatCount, this.difficulty, this.spawnOverrides), beat);
+        if (this.boss) {
+            const attacks = this.boss.getAttacks(this.beatCount, {
+                geometryIndex: this.geometryController.geometryIndex,
+                rng: this.geometryController.random
+            });
+            if (attacks.length) {
+                this.emit('attack', { beat, attacks });
+                spawns.push(...attacks);
+            }
+        }
+        spawns.forEach(generated => this.spawnTarget(generated, beat));
+        this.beatCount += 1;
+        this.onsetBands.clear();
+    }
+
+    // An onset between beats (a hat between kicks, say) spawns one target of its band's
+    // type, at most one per band per beat. Onsets a beat already stands for are skipped,
+    // as are charted timelines, whose every target is placed by hand.
+    handleOnset(incoming = {}) {
+        const onset = { ...incoming, approach: this.getApproachTime(incoming) };
+        this.emit('onset', onset);
+        const type = this.bandTypes[onset.band];
+        if (onset.withBeat || this.timeline || !type || this.onsetBands.has(onset.band)) return null;
+        this.onsetBands.add(onset.band);
+        const rng = this.geometryController.random;
+        const spawn = createTargetSpawn(
+            { type, x: rng.range(0.2, 0.8), y: rng.range(0.2, 0.8) },
+            { geometryIndex: this.geometryController.geometryIndex, band: onset.band }
         );
-        spawns.forEach(spawn => {
-            const target = {
-                ...spawn,
-                id: TARGET_ID++,
-                age: 0,
-                captured: false
-            };
-            this.activeTargets.push(target);
-            this.emit('spawn', target);
+        return this.spawnTarget(spawn, onset, null);
+    }
+
+    // `group` ties a beat's targets together (chains link within one); onset targets stand alone
+    spawnTarget(generated, beat, group = this.beatCount) {
+        const charted = this.applyChart(generated);
+        const spawn = this.spawnModifier ? this.spawnModifier(charted, beat) : charted;
+        const target = {
+            ...spawn,
+            id: TARGET_ID++,
+            group,
+            beatTime: beat.time ?? null,
+            age: 0,
+            telegraph: beat.approach,
+            approach: beat.approach,
+            state: 'telegraph',
+            peaked: false,
+            captured: false
+        };
+        this.activeTargets.push(target);
+        this.emit('spawn', target);
+        this.advanceLifecycle(target);
+        return target;
+    }
+
+    // Consumes a beat the way handleBeat() would (spawn RNG, boss pattern, beat counter)
+    // without spawning anything, to fast-forward to the start of a section
+    skipBeat() {
+        if (!this.timeline) {
+            this.geometryController.generateSpawn(this.beatCount, this.difficulty, this.spawnOverrides);
+        }
+        this.boss?.getAttacks(this.beatCount, {
+            geometryIndex: this.geometryController.geometryIndex,
+            rng: this.geometryController.random
         });
         this.beatCount += 1;
+        this.onsetBands.clear();
     }
 
     update(dt) {
+        this.updateScheduledBeats();
         this.activeTargets = this.activeTargets.filter(target => {
+            target.approach -= dt;
+            // Telegraphed targets hold still and age only once they are hittable
+            if (!this.advanceLifecycle(target)) return true;
             target.age += dt;
-            if (target.age > target.lifespan) {
+            // A hold or slide in progress outlives its lifespan until GestureSystem settles it
+            if (target.age > target.lifespan && !target.engaged) {
                 this.emit('miss', target);
                 return false;
             }
+            if (target.state === 'ready' && target.age > target.lifespan - Math.min(EXPIRING_WINDOW, target.lifespan * 0.25)) {
+                target.state = 'expiring';
+                this.emit('expiring', target);
+            }
 
+            // CollisionSystem sweeps from the previous position so fast targets can't tunnel
+            target.prevX = target.x;
+            target.prevY = target.y;
             this.advanceTarget(target, dt);
             return true;
         });
     }
 
+    // Procedural spawns take the type mapped to the beat's band, so kicks and hats read
+    // differently; analysed beat maps and metronome beats carry no band and pass through
+    applyBand(spawns, beat) {
+        const band = this.getStrongestBand(beat);
+        const type = band && this.bandTypes[band];
+        if (!type) return spawns;
+        return spawns.map(spawn => remapTargetType(spawn, { [spawn.type]: type }));
+    }
+
+    // A detection frame can carry several bands; the one that hit hardest decides
+    getStrongestBand(beat) {
+        if (!beat.bands?.length) return beat.band || null;
+        return beat.bands.reduce((best, entry) => (entry.strength > best.strength ? entry : best)).band;
+    }
+
+    // The difficulty tier's type swaps and lifespan scaling; boss attacks keep their shape
+    applyChart(spawn) {
+        if (spawn.attack) return spawn;
+        const remapped = remapTargetType(spawn, this.typeMap);
+        return this.lifespanScale === 1 ? remapped : { ...remapped, lifespan: remapped.lifespan * this.lifespanScale };
+    }
+
+    // Moves the target from telegraph to ready and fires 'peak' on its beat; returns
+    // whether the target can be hit yet
+    advanceLifecycle(target) {
+        if (target.state === 'telegraph') {
+            if (target.approach > READY_LEAD) return false;
+            target.state = 'ready';
+            this.emit('ready', target);
+        }
+        if (!target.peaked && target.approach <= 0) {
+            target.peaked = true;
+            this.emit('peak', target);
+        }
+        return true;
+    }
+
     advanceTarget(target, dt) {
         switch (target.type) {
             case 'node':
@@ -105,22 +361,35 @@ export class SpawnSystem {
         }
     }
 
-    resolveTarget(id) {
+    resolveTarget(id, judgment = null) {
         const index = this.activeTargets.findIndex(target => target.id === id);
         if (index >= 0) {
             const [target] = this.activeTargets.splice(index, 1);
             target.captured = true;
+            target.judgment = judgment;
             this.emit('resolve', target);
             return target;
         }
         return null;
     }
 
+    missTarget(id) {
+        const index = this.activeTargets.findIndex(target => target.id === id);
+        if (index < 0) return null;
+        const [target] = this.activeTargets.splice(index, 1);
+        this.emit('miss', target);
+        return target;
+    }
+
     getTargets() {
         return this.activeTargets;
     }
 
-    configure({ difficulty, spawn } = {}) {
+    getHittableTargets() {
+        return this.activeTargets.filter(target => target.state !== 'telegraph');
+    }
+
+    configure({ difficulty, spawn, lookahead, telegraph, lifespanScale, types, bandTypes, timeline } = {}) {
         if (typeof difficulty === 'number') {
             this.difficulty = difficulty;
         }
@@ -130,5 +399,23 @@ export class SpawnSystem {
                 density: spawn.density
             };
         }
+        if (typeof lookahead === 'number') {
+            this.lookahead = lookahead;
+        }
+        if (typeof telegraph === 'number') {
+            this.telegraph = Math.max(0, telegraph);
+        }
+        if (typeof lifespanScale === 'number') {
+            this.lifespanScale = lifespanScale;
+        }
+        if (types !== undefined) {
+            this.typeMap = { ...types };
+        }
+        if (bandTypes !== undefined) {
+            this.bandTypes = { ...DEFAULT_BAND_TYPES, ...bandTypes };
+        }
+        if (timeline !== undefined) {
+            this.setTimeline(timeline);
+        }
     }
 }
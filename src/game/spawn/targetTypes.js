@@ -0,0 +1,96 @@
+// Defaults match what GeometryController's generators produce for each type; `motion`
+// lists the parameters SpawnSystem.advanceTarget reads when moving that type. Belt
+// `length` and arc `arcSpan` size the collision shapes built by CollisionSystem.
+export const TARGET_TYPES = {
+    node: { defaults: { radius: 0.06, lifespan: 1.6, speed: 0.3 }, motion: ['speed'] },
+    belt: {
+        defaults: { radius: 0.05, lifespan: 1.8, speed: 0.45, direction: 1, length: 0.16 },
+        motion: ['speed', 'direction']
+    },
+    orb: {
+        defaults: { radius: 0.05, lifespan: 2.0, speed: 0.35, orbitRadius: 0.35, orbitSpeed: 0.6, orbitAngle: 0 },
+        motion: ['orbitRadius', 'orbitSpeed', 'orbitAngle']
+    },
+    ring: { defaults: { radius: 0.07, lifespan: 1.5, speed: 0.5, direction: 1 }, motion: ['speed', 'direction'] },
+    arc: {
+        defaults: { radius: 0.05, lifespan: 1.7, speed: 0.38, rotationSpeed: 0.6, rotationAngle: 0, arcSpan: 0.6 },
+        motion: ['rotationSpeed', 'rotationAngle']
+    },
+    chain: { defaults: { radius: 0.045, lifespan: 2.2, speed: 0.4 }, motion: [] },
+    wave: {
+        defaults: { radius: 0.04, lifespan: 2.0, speed: 0.6, waveAmplitude: 0.15, waveFrequency: 2.2, wavePhase: 0 },
+        motion: ['speed', 'waveAmplitude', 'waveFrequency', 'wavePhase']
+    },
+    shard: { defaults: { radius: 0.05, lifespan: 1.6, speed: 0.55, direction: 0 }, motion: ['speed', 'direction'] },
+    // Gesture targets stay put and are resolved by GestureSystem instead of tap pulses
+    hold: { defaults: { radius: 0.07, lifespan: 2.4, holdDuration: 0.75 }, motion: [], gesture: 'hold' },
+    slide: {
+        defaults: { radius: 0.05, lifespan: 2.8, angle: 0, length: 0.4, curve: 0, slideDuration: 1.0 },
+        motion: [],
+        gesture: 'slide'
+    },
+    dual: { defaults: { radius: 0.06, lifespan: 1.8, spacing: 0.35, angle: 0 }, motion: [], gesture: 'dual' },
+    dimension: { defaults: { radius: 0.08, lifespan: 2.2, spread: 0.3, tolerance: 0.05 }, motion: [], gesture: 'pinch' }
+};
+
+export const TARGET_TYPE_NAMES = Object.keys(TARGET_TYPES);
+
+// Approach rings start this many times the target's radius and close onto it at the peak
+const APPROACH_SCALE = 3;
+
+// Expands a charted placement into a full spawn descriptor
+export function createTargetSpawn({ type, x, y, ...params }, metadata = {}) {
+    const definition = TARGET_TYPES[type] || TARGET_TYPES.node;
+    return { ...definition.defaults, ...params, type, x, y, metadata };
+}
+
+// Swaps a spawn to another kind per a { from: to } map, filling in parameters the new kind needs
+export function remapTargetType(spawn, types) {
+    const type = types?.[spawn.type];
+    if (!type || !TARGET_TYPES[type]) return spawn;
+    return { ...TARGET_TYPES[type].defaults, ...spawn, type };
+}
+
+export function getGesture(target) {
+    return TARGET_TYPES[target?.type]?.gesture || null;
+}
+
+// Slides follow a quadratic curve from (x, y); `curve` bows the midpoint sideways
+// by that fraction of the length, so 0 is a straight belt and larger values an arc.
+export function getSlidePoint(target, progress) {
+    const t = Math.max(0, Math.min(1, progress));
+    const dx = Math.cos(target.angle) * target.length;
+    const dy = Math.sin(target.angle) * target.length;
+    const controlX = target.x + dx / 2 - dy * target.curve;
+    const controlY = target.y + dy / 2 + dx * target.curve;
+    const u = 1 - t;
+    return {
+        x: u * u * target.x + 2 * u * t * controlX + t * t * (target.x + dx),
+        y: u * u * target.y + 2 * u * t * controlY + t * t * (target.y + dy)
+    };
+}
+
+// The two pads of a dual target sit either side of (x, y)
+export function getDualPoints(target) {
+    const dx = (Math.cos(target.angle) * target.spacing) / 2;
+    const dy = (Math.sin(target.angle) * target.spacing) / 2;
+    return [
+        { x: target.x - dx, y: target.y - dy },
+        { x: target.x + dx, y: target.y + dy }
+    ];
+}
+
+// Ring drawn around a telegraphed target while it approaches its peak; null once it has peaked
+export function getApproachRing(target) {
+    if (!target.telegraph || target.approach <= 0) return null;
+    const progress = Math.min(1, Math.max(0, 1 - target.approach / target.telegraph));
+    return {
+        id: target.id,
+        type: target.type,
+        x: target.x,
+        y: target.y,
+        radius: target.radius * (1 + (APPROACH_SCALE - 1) * (1 - progress)),
+        progress,
+        state: target.state
+    };
+}
@@ -0,0 +1,50 @@
+export const GAME_STATES = ['loading', 'countdown', 'playing', 'paused', 'failed', 'cleared', 'results'];
+
+// Which states each state may move to. Every state but loading can restart into a
+// countdown (retry); playing may also be entered directly when no count-in is wanted.
+const TRANSITIONS = {
+    loading: ['countdown', 'playing'],
+    countdown: ['playing', 'paused', 'loading'],
+    playing: ['paused', 'failed', 'cleared', 'countdown', 'loading'],
+    paused: ['countdown', 'playing', 'loading'],
+    failed: ['results', 'countdown', 'playing', 'loading'],
+    cleared: ['results', 'countdown', 'playing', 'loading'],
+    results: ['countdown', 'playing', 'loading']
+};
+
+export class GameStateMachine {
+    constructor(initial = 'loading') {
+        this.state = initial;
+        this.previous = null;
+        this.listeners = { change: new Set() };
+    }
+
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].add(callback);
+        }
+        return () => this.listeners[event]?.delete(callback);
+    }
+
+    emit(event, payload) {
+        this.listeners[event]?.forEach(cb => cb(payload));
+    }
+
+    is(...states) {
+        return states.includes(this.state);
+    }
+
+    can(to) {
+        return to === this.state || Boolean(TRANSITIONS[this.state]?.includes(to));
+    }
+
+    // Returns false and stays put when the move isn't allowed; moving to the current state is a no-op
+    transition(to, detail = {}) {
+        if (!this.can(to)) return false;
+        if (to === this.state) return true;
+        this.previous = this.state;
+        this.state = to;
+        this.emit('change', { from: this.previous, to, ...detail });
+        return true;
+    }
+}
@@ -1,31 +1,38 @@
 import { SeededRandom } from '../utils/SeededRandom.js';
+import { LevelValidationError, parseLevelFile } from './levelFormat.js';
+import { DEFAULT_TIER, DIFFICULTY_TIERS, DIFFICULTY_TIER_NAMES, resolveChart } from './difficultyTiers.js';
+import { ProfileManager } from './ProfileManager.js';
 
 export class LevelManager {
-    constructor({ storageKey = 'latticePulseProgress' } = {}) {
-        this.storageKey = storageKey;
+    // Progress and calibration live in the player's profile; pass `storage: null` for memory only
+    constructor({ storage, profile = new ProfileManager({ storage }) } = {}) {
+        this.profile = profile;
         this.levels = [];
         this.currentIndex = 0;
-        this.progress = this.loadProgress();
+        this.currentTier = DEFAULT_TIER;
         this.random = new SeededRandom(1);
     }
 
-    loadProgress() {
-        try {
-            const stored = localStorage.getItem(this.storageKey);
-            if (!stored) return {};
-            return JSON.parse(stored);
-        } catch (error) {
-            console.warn('Level progress load failed:', error);
-            return {};
-        }
+    get progress() {
+        return this.profile.getProfile().progress;
+    }
+
+    set progress(progress) {
+        this.profile.getProfile().progress = progress;
     }
 
     saveProgress() {
-        try {
-            localStorage.setItem(this.storageKey, JSON.stringify(this.progress));
-        } catch (error) {
-            console.warn('Level progress save failed:', error);
-        }
+        this.profile.save();
+    }
+
+    getCalibration() {
+        const { audioOffset = 0, inputOffset = 0 } = this.profile.getProfile().calibration || {};
+        return { audioOffset, inputOffset };
+    }
+
+    setCalibration({ audioOffset = 0, inputOffset = 0 }) {
+        this.profile.getProfile().calibration = { audioOffset, inputOffset };
+        this.profile.save();
     }
 
     setLevels(levelArray) {
@@ -33,10 +40,42 @@ export class LevelManager {
         this.currentIndex = 0;
     }
 
+    addLevel(level) {
+        const index = this.levels.findIndex(existing => existing.id === level.id);
+        if (index >= 0) {
+            this.levels[index] = level;
+        } else {
+            this.levels.push(level);
+        }
+        return level;
+    }
+
+    // Accepts a URL, a File/Blob, JSON text or an already parsed object
+    async loadLevelFile(source) {
+        const { data, baseUrl } = await readLevelSource(source);
+        return this.addLevel(parseLevelFile(data, { baseUrl }));
+    }
+
+    async loadLevelFiles(sources) {
+        const loaded = [];
+        for (const source of sources) {
+            loaded.push(await this.loadLevelFile(source));
+        }
+        return loaded;
+    }
+
     getCurrentLevel() {
         return this.levels[this.currentIndex] || null;
     }
 
+    selectLevel(levelId) {
+        const index = this.levels.findIndex(level => level.id === levelId);
+        if (index >= 0) {
+            this.currentIndex = index;
+        }
+        return this.getCurrentLevel();
+    }
+
     advanceLevel() {
         if (this.currentIndex < this.levels.length - 1) {
             this.currentIndex += 1;
@@ -44,16 +83,65 @@ export class LevelManager {
         return this.getCurrentLevel();
     }
 
-    recordScore(levelId, score) {
-        const levelProgress = this.progress[levelId] || { best: 0, attempts: 0 };
+    getCurrentTier() {
+        return this.currentTier;
+    }
+
+    // Returns false and keeps the current tier when the requested one is still locked
+    selectTier(tier, levelId = this.getCurrentLevel()?.id) {
+        if (!DIFFICULTY_TIERS[tier] || !this.isTierUnlocked(levelId, tier)) return false;
+        this.currentTier = tier;
+        return true;
+    }
+
+    // The current level as played at the current tier
+    getCurrentChart() {
+        return resolveChart(this.getCurrentLevel(), this.currentTier);
+    }
+
+    // `best` and `attempts` span every tier; `tiers` keeps the same per tier plus whether it was cleared
+    recordScore(levelId, score, { tier = this.currentTier, cleared = false } = {}) {
+        const levelProgress = this.getLevelProgress(levelId);
         levelProgress.best = Math.max(levelProgress.best, score);
         levelProgress.attempts += 1;
+        const tierProgress = this.getTierProgress(levelId, tier);
+        tierProgress.best = Math.max(tierProgress.best, score);
+        tierProgress.attempts += 1;
+        tierProgress.cleared = tierProgress.cleared || cleared;
+        levelProgress.tiers = { ...levelProgress.tiers, [tier]: tierProgress };
         this.progress[levelId] = levelProgress;
         this.saveProgress();
     }
 
     getLevelProgress(levelId) {
-        return this.progress[levelId] || { best: 0, attempts: 0 };
+        const { best = 0, attempts = 0, tiers = {} } = this.progress[levelId] || {};
+        return { best, attempts, tiers: { ...tiers } };
+    }
+
+    getTierProgress(levelId, tier) {
+        const { best = 0, attempts = 0, cleared = false } = this.progress[levelId]?.tiers?.[tier] || {};
+        return { best, attempts, cleared };
+    }
+
+    isLevelCleared(levelId) {
+        return DIFFICULTY_TIER_NAMES.some(tier => this.getTierProgress(levelId, tier).cleared);
+    }
+
+    // The first level is always open; each later one opens once the one before is cleared on any tier
+    isLevelUnlocked(levelId) {
+        const index = this.levels.findIndex(level => level.id === levelId);
+        if (index <= 0) return true;
+        return this.isLevelCleared(this.levels[index - 1].id);
+    }
+
+    isTierUnlocked(levelId, tier) {
+        const definition = DIFFICULTY_TIERS[tier];
+        if (!definition || !this.isLevelUnlocked(levelId)) return false;
+        return !definition.requires || this.getTierProgress(levelId, definition.requires).cleared;
+    }
+
+    getUnlockedTiers(levelId) {
+        return DIFFICULTY_TIER_NAMES.filter(tier => this.isTierUnlocked(levelId, tier));
     }
 
     applyLevelSettings(level, { modeController, geometryController, audioService }) {
@@ -80,3 +168,38 @@ export class LevelManager {
         }
     }
 }
+
+async function readLevelSource(source) {
+    if (source && typeof source === 'object' && typeof source.text !== 'function') {
+        return { data: source, baseUrl: null };
+    }
+    let text;
+    let baseUrl = null;
+    if (typeof source === 'string' && !source.trim().startsWith('{')) {
+        baseUrl = resolveUrl(source);
+        const response = await fetch(baseUrl || source);
+        if (!response.ok) {
+            throw new Error(`Level file request failed (${response.status}): ${source}`);
+        }
+        text = await response.text();
+    } else if (typeof source === 'string') {
+        text = source;
+    } else if (typeof source?.text === 'function') {
+        text = await source.text();
+    } else {
+        throw new Error('Level source must be a URL, File, JSON string or object');
+    }
+    try {
+        return { data: JSON.parse(text), baseUrl };
+    } catch (error) {
+        throw new LevelValidationError([{ path: '', message: `is not valid JSON (${error.message})` }]);
+    }
+}
+
+function resolveUrl(url) {
+    try {
+        return new URL(url, globalThis.location?.href).href;
+    } catch (error) {
+        return null;
+    }
+}
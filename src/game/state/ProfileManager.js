@@ -0,0 +1,292 @@
+import { DEFAULT_TIER } from './difficultyTiers.js';
+import { PROFILE_MIGRATIONS } from './profileMigrations.js';
+
+export const PROFILE_VERSION = 2;
+export const SAVE_SLOTS = 3;
+export const DEFAULT_SETTINGS = { musicVolume: 0.8, sfxVolume: 0.8, tier: DEFAULT_TIER };
+
+const UNLOCK_KINDS = ['systems', 'geometries', 'relics'];
+// Stats change on every hit, so they are written out at most this often (seconds of play)
+const AUTOSAVE_INTERVAL = 10;
+
+function getDefaultStorage() {
+    try {
+        return globalThis.localStorage ?? null;
+    } catch (error) {
+        // Sandboxed frames and some private modes throw on access
+        return null;
+    }
+}
+
+// One player profile per save slot: level progress, calibration, lifetime stats,
+// unlocks and settings. Without working storage everything still runs from memory.
+export class ProfileManager {
+    constructor({ storageKey = 'latticePulseProfile', legacyKey = 'latticePulseProgress', storage = getDefaultStorage() } = {}) {
+        this.storageKey = storageKey;
+        this.legacyKey = legacyKey;
+        this.storage = storage;
+        this.saveFailed = false;
+        // Set when the slot was written by a newer build; it is then never overwritten
+        this.readOnly = false;
+        this.dirty = false;
+        this.sinceSave = 0;
+        this.listeners = { change: new Set(), error: new Set() };
+        this.slot = this.readActiveSlot();
+        this.data = this.loadSlot(this.slot);
+    }
+
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].add(callback);
+        }
+        return () => this.listeners[event]?.delete(callback);
+    }
+
+    emit(event, payload) {
+        this.listeners[event]?.forEach(cb => cb(payload));
+    }
+
+    isPersistent() {
+        return Boolean(this.storage) && !this.saveFailed && !this.readOnly;
+    }
+
+    getSlotKey(slot) {
+        return `${this.storageKey}:${slot}`;
+    }
+
+    readItem(key) {
+        if (!this.storage) return null;
+        try {
+            return this.storage.getItem(key);
+        } catch (error) {
+            console.warn('Profile storage read failed:', error);
+            return null;
+        }
+    }
+
+    writeItem(key, value) {
+        if (!this.storage) return false;
+        try {
+            this.storage.setItem(key, value);
+            return true;
+        } catch (error) {
+            // Quota exceeded or storage revoked: keep playing from memory and retry on the next save
+            this.saveFailed = true;
+            console.warn('Profile save failed:', error);
+            this.emit('error', error);
+            return false;
+        }
+    }
+
+    removeItem(key) {
+        if (!this.storage) return;
+        try {
+            this.storage.removeItem(key);
+        } catch (error) {
+            console.warn('Profile storage remove failed:', error);
+        }
+    }
+
+    readActiveSlot() {
+        const slot = Number.parseInt(this.readItem(`${this.storageKey}:active`), 10);
+        return slot >= 1 && slot <= SAVE_SLOTS ? slot : 1;
+    }
+
+    loadSlot(slot) {
+        this.readOnly = false;
+        const raw = this.readItem(this.getSlotKey(slot));
+        let stored = null;
+        if (raw) {
+            try {
+                stored = JSON.parse(raw);
+            } catch (error) {
+                // Keep the unreadable copy around instead of silently overwriting it
+                console.warn('Profile load failed, starting a fresh profile:', error);
+                this.writeItem(`${this.getSlotKey(slot)}:backup`, raw);
+            }
+        } else if (slot === 1) {
+            stored = this.readLegacyProgress();
+        }
+        try {
+            return migrateProfile(stored || { version: 1 });
+        } catch (error) {
+            console.warn(error.message);
+            this.readOnly = true;
+            return migrateProfile({ version: 1 });
+        }
+    }
+
+    // Progress saved before profiles existed becomes slot 1
+    readLegacyProgress() {
+        const parse = key => {
+            const raw = this.readItem(key);
+            if (!raw) return null;
+            try {
+                return JSON.parse(raw);
+            } catch (error) {
+                return null;
+            }
+        };
+        const progress = parse(this.legacyKey);
+        const calibration = parse(`${this.legacyKey}Calibration`);
+        if (!progress && !calibration) return null;
+        return { version: 1, progress: progress || {}, calibration: calibration || {} };
+    }
+
+    save() {
+        this.sinceSave = 0;
+        if (this.readOnly) return false;
+        this.data.updatedAt = Date.now();
+        if (!this.writeItem(this.getSlotKey(this.slot), JSON.stringify(this.data))) return false;
+        this.saveFailed = false;
+        this.dirty = false;
+        return true;
+    }
+
+    flush() {
+        return this.dirty ? this.save() : true;
+    }
+
+    markDirty() {
+        this.dirty = true;
+    }
+
+    update(dt) {
+        this.sinceSave += dt;
+        if (this.dirty && this.sinceSave >= AUTOSAVE_INTERVAL) {
+            this.save();
+        }
+    }
+
+    getProfile() {
+        return this.data;
+    }
+
+    getStats() {
+        const { stats } = this.data;
+        return { ...stats, judgments: { ...stats.judgments } };
+    }
+
+    recordJudgment(tier, combo = 0) {
+        const { stats } = this.data;
+        if (!(tier in stats.judgments)) return;
+        stats.judgments[tier] += 1;
+        if (tier === 'miss') {
+            stats.misses += 1;
+        } else {
+            stats.hits += 1;
+        }
+        stats.maxCombo = Math.max(stats.maxCombo, combo);
+        this.markDirty();
+    }
+
+    addPlaytime(seconds) {
+        this.data.stats.playtime += seconds;
+        this.markDirty();
+    }
+
+    // Returns true the first time an id is unlocked
+    unlock(kind, id) {
+        if (!UNLOCK_KINDS.includes(kind) || id == null || this.isUnlocked(kind, id)) return false;
+        this.data.unlocks[kind].push(id);
+        this.save();
+        this.emit('change', { type: 'unlock', kind, id });
+        return true;
+    }
+
+    isUnlocked(kind, id) {
+        return Boolean(this.data.unlocks[kind]?.includes(id));
+    }
+
+    getUnlocked(kind) {
+        return [...(this.data.unlocks[kind] || [])];
+    }
+
+    getSettings() {
+        return { ...this.data.settings };
+    }
+
+    updateSettings(patch) {
+        this.data.settings = { ...this.data.settings, ...patch };
+        this.save();
+        this.emit('change', { type: 'settings', settings: this.getSettings() });
+        return this.getSettings();
+    }
+
+    getActiveSlot() {
+        return this.slot;
+    }
+
+    // Summaries for a slot picker; empty slots have `empty: true`
+    listSlots() {
+        const slots = [];
+        for (let slot = 1; slot <= SAVE_SLOTS; slot++) {
+            let profile = slot === this.slot ? this.data : null;
+            if (!profile) {
+                try {
+                    profile = JSON.parse(this.readItem(this.getSlotKey(slot)));
+                } catch (error) {
+                    profile = null;
+                }
+            }
+            slots.push({
+                slot,
+                empty: !profile,
+                name: profile?.name || null,
+                updatedAt: profile?.updatedAt ?? null,
+                playtime: profile?.stats?.playtime ?? 0
+            });
+        }
+        return slots;
+    }
+
+    selectSlot(slot) {
+        if (!Number.isInteger(slot) || slot < 1 || slot > SAVE_SLOTS) {
+            throw new RangeError(`Save slot must be between 1 and ${SAVE_SLOTS}`);
+        }
+        this.flush();
+        this.slot = slot;
+        this.writeItem(`${this.storageKey}:active`, String(slot));
+        this.data = this.loadSlot(slot);
+        this.emit('change', { type: 'slot', slot });
+        return this.data;
+    }
+
+    deleteSlot(slot) {
+        this.removeItem(this.getSlotKey(slot));
+        if (slot === this.slot) {
+            this.data = migrateProfile({ version: 1 });
+            // Whatever kept the old profile from saving doesn't carry over to the fresh one
+            this.readOnly = false;
+            this.saveFailed = false;
+            this.dirty = false;
+            this.emit('change', { type: 'slot', slot });
+        }
+    }
+
+    renameProfile(name) {
+        this.data.name = String(name).trim() || this.data.name;
+        this.save();
+    }
+}
+
+// Upgrades a stored profile to PROFILE_VERSION and fills in anything missing
+export function migrateProfile(data) {
+    let profile = data && typeof data === 'object' ? data : { version: 1 };
+    let version = Number.isInteger(profile.version) ? profile.version : 1;
+    if (version > PROFILE_VERSION) {
+        throw new Error(`Profile version ${version} is newer than the supported version ${PROFILE_VERSION}`);
+    }
+    while (version < PROFILE_VERSION) {
+        profile = PROFILE_MIGRATIONS[version](profile);
+        version += 1;
+    }
+    const defaults = PROFILE_MIGRATIONS[1]({});
+    return {
+        ...defaults,
+        ...profile,
+        stats: { ...defaults.stats, ...profile.stats, judgments: { ...defaults.stats.judgments, ...profile.stats?.judgments } },
+        unlocks: { ...defaults.unlocks, ...profile.unlocks },
+        settings: { ...DEFAULT_SETTINGS, ...profile.settings }
+    };
+}
@@ -11,7 +11,11 @@ export const DEFAULT_LEVELS = [
         windowMs: 150,
         spawn: { pattern: 'torusLane', density: 0.8 },
         difficulty: { speed: 1.0, chaos: 0.12, gridDensity: 18 },
-        palette: { hue: 210, saturation: 0.85, intensity: 0.6 }
+        palette: { hue: 210, saturation: 0.85, intensity: 0.6 },
+        charts: {
+            easy: { spawn: { pattern: 'vertexPulse', density: 0.5 } },
+            expert: { spawn: { pattern: 'torusLane', density: 1.4 }, windowMs: 100, types: { node: 'ring' } }
+        }
     },
     {
         id: 'lvl-02-quantum-sphere',
@@ -25,7 +29,8 @@ export const DEFAULT_LEVELS = [
         windowMs: 140,
         spawn: { pattern: 'orbitalShells', density: 1.0 },
         difficulty: { speed: 1.2, chaos: 0.2, gridDensity: 20 },
-        palette: { hue: 268, saturation: 0.92, intensity: 0.72 }
+        palette: { hue: 268, saturation: 0.92, intensity: 0.72 },
+        goals: { minScore: 15000 }
     },
     {
         id: 'lvl-03-holographic-crystal',
@@ -40,5 +45,20 @@ export const DEFAULT_LEVELS = [
         spawn: { pattern: 'crystalShards', density: 1.1 },
         difficulty: { speed: 1.1, chaos: 0.18, gridDensity: 22 },
         palette: { hue: 188, saturation: 0.88, intensity: 0.66 }
+    },
+    {
+        id: 'lvl-04-boss-tesseract',
+        name: 'Tesseract Warden',
+        system: 'faceted',
+        geometryIndex: 1,
+        track: 'suno:track_042',
+        bpm: 132,
+        seed: 6061,
+        planes: ['XW', 'YW', 'ZW'],
+        windowMs: 140,
+        spawn: { pattern: 'hypercubeBelts', density: 0.6 },
+        difficulty: { speed: 1.2, chaos: 0.22, gridDensity: 24 },
+        palette: { hue: 320, saturation: 0.9, intensity: 0.7 },
+        boss: 'tesseract-warden'
     }
 ];
@@ -0,0 +1,58 @@
+// Every level plays at any of these tiers. `density` scales the procedural spawn
+// density, `lifespanScale` how long targets stay hittable, `windowScale` the
+// judgment window and `types` swaps target kinds for easier or harder ones.
+// `requires` names the tier that must be cleared on the same level first.
+export const DIFFICULTY_TIERS = {
+    easy: {
+        name: 'Easy',
+        density: 0.6,
+        lifespanScale: 1.35,
+        windowScale: 1.3,
+        telegraph: 0.9,
+        types: { shard: 'node', wave: 'node', chain: 'node', slide: 'hold', dual: 'hold' },
+        requires: null
+    },
+    normal: { name: 'Normal', density: 1, lifespanScale: 1, windowScale: 1, telegraph: 0.6, types: {}, requires: null },
+    hard: {
+        name: 'Hard',
+        density: 1.3,
+        lifespanScale: 0.85,
+        windowScale: 0.85,
+        telegraph: 0.5,
+        types: { hold: 'slide' },
+        requires: 'normal'
+    },
+    expert: {
+        name: 'Expert',
+        density: 1.6,
+        lifespanScale: 0.7,
+        windowScale: 0.7,
+        telegraph: 0.4,
+        types: { node: 'shard', hold: 'slide' },
+        requires: 'hard'
+    }
+};
+
+export const DIFFICULTY_TIER_NAMES = Object.keys(DIFFICULTY_TIERS);
+export const DEFAULT_TIER = 'normal';
+
+// Merges the tier's defaults with the level's own chart for that tier (level.charts[tier]),
+// returning the level config the game applies. An explicit chart spawn or timeline is
+// used as written instead of being scaled or having its types swapped.
+export function resolveChart(level, tierName = DEFAULT_TIER) {
+    if (!level) return level;
+    const tier = DIFFICULTY_TIERS[tierName] ? tierName : DEFAULT_TIER;
+    const defaults = DIFFICULTY_TIERS[tier];
+    const chart = level.charts?.[tier] || {};
+    return {
+        ...level,
+        tier,
+        windowMs: chart.windowMs ?? Math.round((level.windowMs || 150) * defaults.windowScale),
+        spawn: chart.spawn ? { ...chart.spawn } : level.spawn,
+        densityScale: chart.spawn ? 1 : defaults.density,
+        timeline: chart.timeline ?? level.timeline,
+        lifespanScale: chart.lifespanScale ?? defaults.lifespanScale,
+        telegraph: chart.telegraph ?? defaults.telegraph,
+        types: chart.timeline ? { ...chart.types } : { ...defaults.types, ...chart.types }
+    };
+}
@@ -0,0 +1,386 @@
+import { ParameterManager } from '../../core/Parameters.js';
+import { MODE_NAMES } from '../modes/ModeController.js';
+import { GEOMETRY_NAMES, GEOMETRY_SPAWN_PROFILES, SPAWN_PATTERNS } from '../geometry/GeometryController.js';
+import { TARGET_TYPES, TARGET_TYPE_NAMES } from '../spawn/targetTypes.js';
+import { BOSS_ATTACKS } from '../boss/bossAttacks.js';
+import { BOSS_IDS } from '../boss/bossDefinitions.js';
+import { LEVEL_MIGRATIONS } from './levelMigrations.js';
+import { DIFFICULTY_TIER_NAMES } from './difficultyTiers.js';
+import { LEVEL_GOAL_NAMES } from './levelGoals.js';
+import { STEM_GROUPS } from '../audio/stemMix.js';
+
+export const LEVEL_FORMAT = 'lattice-pulse-level';
+export const LEVEL_FORMAT_VERSION = 2;
+
+const ROTATION_PLANES = ['XY', 'XZ', 'YZ', 'XW', 'YW', 'ZW'];
+const LEVEL_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+const URL_SCHEME_PATTERN = /^[a-z][a-z0-9+.-]*:/i;
+const DEFAULT_DIFFICULTY = { speed: 1, chaos: 0.1, gridDensity: 18 };
+
+export class LevelValidationError extends Error {
+    constructor(errors) {
+        const lines = errors.map(({ path, message }) => `  ${path || '(root)'} ${message}`);
+        super(`Invalid level file:\n${lines.join('\n')}`);
+        this.name = 'LevelValidationError';
+        this.errors = errors;
+    }
+}
+
+// Upgrades any supported version to LEVEL_FORMAT_VERSION. Objects without a
+// `format` field are the flat version 1 layout.
+export function migrateLevelFile(data) {
+    if (!isObject(data)) {
+        throw new LevelValidationError([{ path: '', message: 'must be a JSON object' }]);
+    }
+    let version = data.version ?? (data.format ? null : 1);
+    if (!Number.isInteger(version) || version < 1) {
+        throw new LevelValidationError([{ path: 'version', message: 'must be a positive integer' }]);
+    }
+    if (version > LEVEL_FORMAT_VERSION) {
+        throw new LevelValidationError([{
+            path: 'version',
+            message: `${version} is newer than the supported version ${LEVEL_FORMAT_VERSION}`
+        }]);
+    }
+    let level = data;
+    while (version < LEVEL_FORMAT_VERSION) {
+        const migrate = LEVEL_MIGRATIONS[version];
+        if (!migrate) {
+            throw new LevelValidationError([{ path: 'version', message: `has no migration from version ${version}` }]);
+        }
+        level = migrate(level);
+        version += 1;
+    }
+    return level;
+}
+
+// Returns every problem found as { path, message }; an empty array means the file is valid
+export function validateLevelFile(level) {
+    const check = createChecker();
+    if (!check.object(level, '')) return check.errors;
+
+    check.keys(level, '', ['format', 'version', 'metadata', 'audio', 'visuals', 'gameplay']);
+    check.oneOf(level.format, 'format', [LEVEL_FORMAT]);
+    check.oneOf(level.version, 'version', [LEVEL_FORMAT_VERSION]);
+
+    if (check.object(level.metadata, 'metadata')) {
+        const { metadata } = level;
+        check.keys(metadata, 'metadata', ['id', 'name', 'author', 'description']);
+        check.string(metadata.id, 'metadata.id', { pattern: LEVEL_ID_PATTERN });
+        check.string(metadata.name, 'metadata.name');
+        check.string(metadata.author, 'metadata.author', { required: false });
+        check.string(metadata.description, 'metadata.description', { required: false });
+    }
+
+    if (check.object(level.audio, 'audio')) {
+        const { audio } = level;
+        check.keys(audio, 'audio', ['track', 'bpm', 'offset', 'duration', 'stems']);
+        if (audio.track !== null) {
+            check.string(audio.track, 'audio.track');
+        }
+        check.number(audio.bpm, 'audio.bpm', { min: 40, max: 300 });
+        check.number(audio.offset, 'audio.offset', { required: false, min: 0 });
+        check.number(audio.duration, 'audio.duration', { required: false, min: 0, exclusiveMin: true });
+        // Stems play in place of `track`
+        if (check.object(audio.stems, 'audio.stems', { required: false })) {
+            check.keys(audio.stems, 'audio.stems', STEM_GROUPS);
+            Object.entries(audio.stems).forEach(([group, source]) => check.string(source, `audio.stems.${group}`));
+            if (!Object.keys(audio.stems).some(group => STEM_GROUPS.includes(group) && group !== 'drift')) {
+                check.fail('audio.stems', 'must include at least one of drums, bass, melody or fx');
+            }
+        }
+    }
+
+    if (check.object(level.visuals, 'visuals')) {
+        const { visuals } = level;
+        check.keys(visuals, 'visuals', ['system', 'geometryIndex', 'planes', 'palette', 'cues']);
+        check.oneOf(visuals.system, 'visuals.system', MODE_NAMES);
+        checkGeometryIndex(check, visuals.geometryIndex, 'visuals.geometryIndex');
+        if (check.array(visuals.planes, 'visuals.planes', { required: false })) {
+            visuals.planes.forEach((plane, index) => check.oneOf(plane, `visuals.planes[${index}]`, ROTATION_PLANES));
+        }
+        checkPalette(check, visuals.palette, 'visuals.palette');
+        if (check.array(visuals.cues, 'visuals.cues', { required: false })) {
+            visuals.cues.forEach((cue, index) => checkCue(check, cue, `visuals.cues[${index}]`));
+        }
+    }
+
+    if (check.object(level.gameplay, 'gameplay')) {
+        const { gameplay } = level;
+        check.keys(gameplay, 'gameplay', ['seed', 'windowMs', 'spawn', 'difficulty', 'timeline', 'boss', 'charts', 'goals']);
+        check.number(gameplay.seed, 'gameplay.seed', { required: false, integer: true, min: 1 });
+        check.number(gameplay.windowMs, 'gameplay.windowMs', { required: false, min: 40, max: 400 });
+        checkSpawn(check, gameplay.spawn, 'gameplay.spawn');
+        if (check.object(gameplay.difficulty, 'gameplay.difficulty', { required: false })) {
+            const { difficulty } = gameplay;
+            check.keys(difficulty, 'gameplay.difficulty', ['speed', 'chaos', 'gridDensity']);
+            check.number(difficulty.speed, 'gameplay.difficulty.speed', { required: false, min: 0, exclusiveMin: true });
+            check.number(difficulty.chaos, 'gameplay.difficulty.chaos', { required: false, min: 0, max: 1 });
+            check.number(difficulty.gridDensity, 'gameplay.difficulty.gridDensity', { required: false, min: 5, max: 100 });
+        }
+        if (check.array(gameplay.timeline, 'gameplay.timeline', { required: false })) {
+            gameplay.timeline.forEach((entry, index) => checkTimelineEntry(check, entry, `gameplay.timeline[${index}]`));
+        }
+        if (gameplay.boss !== undefined) {
+            checkBoss(check, gameplay.boss, 'gameplay.boss');
+        }
+        if (check.object(gameplay.charts, 'gameplay.charts', { required: false })) {
+            check.keys(gameplay.charts, 'gameplay.charts', DIFFICULTY_TIER_NAMES);
+            Object.entries(gameplay.charts).forEach(([tier, chart]) => {
+                if (DIFFICULTY_TIER_NAMES.includes(tier)) {
+                    checkChart(check, chart, `gameplay.charts.${tier}`);
+                }
+            });
+        }
+        if (check.object(gameplay.goals, 'gameplay.goals', { required: false })) {
+            const { goals } = gameplay;
+            check.keys(goals, 'gameplay.goals', LEVEL_GOAL_NAMES);
+            check.number(goals.survive, 'gameplay.goals.survive', { required: false, min: 0, exclusiveMin: true });
+            check.number(goals.minScore, 'gameplay.goals.minScore', { required: false, integer: true, min: 0 });
+            check.oneOf(goals.noMiss, 'gameplay.goals.noMiss', [true, false], { required: false });
+        }
+    }
+
+    return check.errors;
+}
+
+// Accepts a parsed level file of any supported version and returns the flat level
+// config the game runs on; throws LevelValidationError listing every bad field.
+export function parseLevelFile(data, { baseUrl = null } = {}) {
+    const level = migrateLevelFile(data);
+    const errors = validateLevelFile(level);
+    if (errors.length) {
+        throw new LevelValidationError(errors);
+    }
+    const runtime = toRuntimeLevel(level);
+    if (baseUrl) {
+        // Audio paths inside a level file are relative to the file itself
+        const resolve = source => (URL_SCHEME_PATTERN.test(source) ? source : new URL(source, baseUrl).href);
+        if (runtime.track) runtime.track = resolve(runtime.track);
+        if (runtime.stems) {
+            runtime.stems = Object.fromEntries(Object.entries(runtime.stems).map(([group, source]) => [group, resolve(source)]));
+        }
+    }
+    return runtime;
+}
+
+export function toRuntimeLevel({ metadata, audio, visuals, gameplay }) {
+    const level = {
+        id: metadata.id,
+        name: metadata.name,
+        system: visuals.system,
+        geometryIndex: visuals.geometryIndex,
+        track: audio.track,
+        bpm: audio.bpm,
+        offset: audio.offset ?? null,
+        seed: gameplay.seed ?? 1,
+        planes: [...(visuals.planes || [])],
+        windowMs: gameplay.windowMs ?? 150,
+        spawn: { ...(gameplay.spawn || GEOMETRY_SPAWN_PROFILES[visuals.geometryIndex]) },
+        difficulty: { ...DEFAULT_DIFFICULTY, ...gameplay.difficulty },
+        palette: { ...visuals.palette },
+        timeline: (gameplay.timeline || []).map(entry => ({ ...entry })),
+        cues: (visuals.cues || []).map(cue => ({ ...cue }))
+    };
+    if (metadata.author) level.author = metadata.author;
+    if (metadata.description) level.description = metadata.description;
+    if (audio.duration) level.duration = audio.duration;
+    if (audio.stems) level.stems = { ...audio.stems };
+    if (gameplay.boss) level.boss = gameplay.boss;
+    if (gameplay.charts) level.charts = copyCharts(gameplay.charts);
+    if (gameplay.goals) level.goals = { ...gameplay.goals };
+    return level;
+}
+
+// Serializes a runtime level config back into the current file format
+export function toLevelFile(level) {
+    const { timeline, cues, duration, stems, charts, goals, ...flat } = level;
+    const file = migrateLevelFile({ ...flat, version: 1 });
+    if (typeof duration === 'number') file.audio.duration = duration;
+    if (stems) file.audio.stems = { ...stems };
+    if (charts) file.gameplay.charts = copyCharts(charts);
+    if (goals) file.gameplay.goals = { ...goals };
+    file.visuals.cues = (cues || []).map(cue => ({ ...cue }));
+    file.gameplay.timeline = (timeline || []).map(entry => ({ ...entry }));
+    return file;
+}
+
+function copyCharts(charts) {
+    return Object.fromEntries(Object.entries(charts).map(([tier, chart]) => [tier, {
+        ...chart,
+        ...(chart.spawn ? { spawn: { ...chart.spawn } } : {}),
+        ...(chart.types ? { types: { ...chart.types } } : {}),
+        ...(chart.timeline ? { timeline: chart.timeline.map(entry => ({ ...entry })) } : {})
+    }]));
+}
+
+function checkSpawn(check, spawn, path) {
+    if (!check.object(spawn, path, { required: false })) return;
+    check.keys(spawn, path, ['pattern', 'density']);
+    check.oneOf(spawn.pattern, `${path}.pattern`, SPAWN_PATTERNS);
+    check.number(spawn.density, `${path}.density`, { min: 0, exclusiveMin: true, max: 5 });
+}
+
+// A chart overrides how one difficulty tier plays; anything left out falls back to the tier defaults
+function checkChart(check, chart, path) {
+    if (!check.object(chart, path)) return;
+    check.keys(chart, path, ['windowMs', 'spawn', 'timeline', 'lifespanScale', 'telegraph', 'types']);
+    check.number(chart.windowMs, `${path}.windowMs`, { required: false, min: 40, max: 400 });
+    checkSpawn(check, chart.spawn, `${path}.spawn`);
+    if (check.array(chart.timeline, `${path}.timeline`, { required: false })) {
+        chart.timeline.forEach((entry, index) => checkTimelineEntry(check, entry, `${path}.timeline[${index}]`));
+    }
+    check.number(chart.lifespanScale, `${path}.lifespanScale`, { required: false, min: 0, exclusiveMin: true, max: 4 });
+    check.number(chart.telegraph, `${path}.telegraph`, { required: false, min: 0, max: 4 });
+    if (check.object(chart.types, `${path}.types`, { required: false })) {
+        check.keys(chart.types, `${path}.types`, TARGET_TYPE_NAMES);
+        Object.entries(chart.types).forEach(([from, to]) => check.oneOf(to, `${path}.types.${from}`, TARGET_TYPE_NAMES));
+    }
+}
+
+function checkGeometryIndex(check, value, path, options) {
+    check.number(value, path, { integer: true, min: 0, max: GEOMETRY_NAMES.length - 1, ...options });
+}
+
+function checkPalette(check, palette, path, { required = true } = {}) {
+    if (!check.object(palette, path, { required })) return;
+    check.keys(palette, path, ['hue', 'saturation', 'intensity']);
+    check.number(palette.hue, `${path}.hue`, { required, min: 0, max: 360 });
+    check.number(palette.saturation, `${path}.saturation`, { required, min: 0, max: 1 });
+    check.number(palette.intensity, `${path}.intensity`, { required, min: 0, max: 1 });
+}
+
+function checkCue(check, cue, path) {
+    if (!check.object(cue, path)) return;
+    check.keys(cue, path, ['beat', 'system', 'geometryIndex', 'palette', 'parameters']);
+    check.number(cue.beat, `${path}.beat`, { integer: true, min: 0 });
+    check.oneOf(cue.system, `${path}.system`, MODE_NAMES, { required: false });
+    checkGeometryIndex(check, cue.geometryIndex, `${path}.geometryIndex`, { required: false });
+    checkPalette(check, cue.palette, `${path}.palette`, { required: false });
+    if (check.object(cue.parameters, `${path}.parameters`, { required: false })) {
+        const { parameterDefs } = new ParameterManager();
+        check.keys(cue.parameters, `${path}.parameters`, Object.keys(parameterDefs));
+        Object.entries(cue.parameters).forEach(([name, value]) => {
+            const definition = parameterDefs[name];
+            if (definition) {
+                check.number(value, `${path}.parameters.${name}`, { min: definition.min, max: definition.max });
+            }
+        });
+    }
+    if (['system', 'geometryIndex', 'palette', 'parameters'].every(key => cue[key] === undefined)) {
+        check.fail(path, 'must change at least one of system, geometryIndex, palette or parameters');
+    }
+}
+
+function checkTimelineEntry(check, entry, path) {
+    if (!check.object(entry, path)) return;
+    check.number(entry.beat, `${path}.beat`, { integer: true, min: 0 });
+    if (!check.oneOf(entry.type, `${path}.type`, TARGET_TYPE_NAMES)) return;
+    const { defaults } = TARGET_TYPES[entry.type];
+    check.keys(entry, path, ['beat', 'type', 'x', 'y', ...Object.keys(defaults)]);
+    check.number(entry.x, `${path}.x`, { min: 0, max: 1 });
+    check.number(entry.y, `${path}.y`, { min: 0, max: 1 });
+    check.number(entry.radius, `${path}.radius`, { required: false, min: 0, exclusiveMin: true, max: 0.5 });
+    check.number(entry.lifespan, `${path}.lifespan`, { required: false, min: 0, exclusiveMin: true });
+    Object.keys(defaults)
+        .filter(key => key !== 'radius' && key !== 'lifespan')
+        .forEach(key => check.number(entry[key], `${path}.${key}`, { required: false }));
+}
+
+function checkBoss(check, boss, path) {
+    if (typeof boss === 'string') {
+        check.oneOf(boss, path, BOSS_IDS);
+        return;
+    }
+    if (!check.object(boss, path)) return;
+    check.keys(boss, path, ['id', 'name', 'health', 'phases']);
+    check.string(boss.id, `${path}.id`, { required: false });
+    check.string(boss.name, `${path}.name`);
+    check.number(boss.health, `${path}.health`, { min: 0, exclusiveMin: true });
+    if (!check.array(boss.phases, `${path}.phases`)) return;
+    if (!boss.phases.length) {
+        check.fail(`${path}.phases`, 'must contain at least one phase');
+    }
+    boss.phases.forEach((phase, index) => {
+        const phasePath = `${path}.phases[${index}]`;
+        if (!check.object(phase, phasePath)) return;
+        check.keys(phase, phasePath, ['threshold', 'name', 'system', 'geometryIndex', 'spawn', 'attacks']);
+        check.number(phase.threshold, `${phasePath}.threshold`, { min: 0, max: 1 });
+        check.string(phase.name, `${phasePath}.name`, { required: false });
+        check.oneOf(phase.system, `${phasePath}.system`, MODE_NAMES, { required: false });
+        checkGeometryIndex(check, phase.geometryIndex, `${phasePath}.geometryIndex`, { required: false });
+        if (check.object(phase.spawn, `${phasePath}.spawn`, { required: false })) {
+            check.oneOf(phase.spawn.pattern, `${phasePath}.spawn.pattern`, SPAWN_PATTERNS);
+        }
+        if (check.array(phase.attacks, `${phasePath}.attacks`, { required: false })) {
+            phase.attacks.forEach((attack, attackIndex) => {
+                const attackPath = `${phasePath}.attacks[${attackIndex}]`;
+                if (!check.object(attack, attackPath)) return;
+                check.keys(attack, attackPath, ['pattern', 'every', 'offset', 'damage', 'options']);
+                check.oneOf(attack.pattern, `${attackPath}.pattern`, Object.keys(BOSS_ATTACKS));
+                check.number(attack.every, `${attackPath}.every`, { required: false, integer: true, min: 1 });
+                check.number(attack.offset, `${attackPath}.offset`, { required: false, integer: true, min: 0 });
+                check.number(attack.damage, `${attackPath}.damage`, { required: false, min: 0, max: 1 });
+                check.object(attack.options, `${attackPath}.options`, { required: false });
+            });
+        }
+    });
+}
+
+function createChecker() {
+    const errors = [];
+    const fail = (path, message) => {
+        errors.push({ path, message });
+        return false;
+    };
+    const missing = (value, path, required) => {
+        if (value !== undefined) return false;
+        if (required) fail(path, 'is required');
+        return true;
+    };
+
+    return {
+        errors,
+        fail,
+        object(value, path, { required = true } = {}) {
+            if (missing(value, path, required)) return false;
+            return isObject(value) || fail(path, 'must be an object');
+        },
+        array(value, path, { required = true } = {}) {
+            if (missing(value, path, required)) return false;
+            return Array.isArray(value) || fail(path, 'must be an array');
+        },
+        string(value, path, { required = true, pattern = null } = {}) {
+            if (missing(value, path, required)) return false;
+            if (typeof value !== 'string' || !value.trim()) return fail(path, 'must be a non-empty string');
+            if (pattern && !pattern.test(value)) return fail(path, `must match ${pattern}`);
+            return true;
+        },
+        number(value, path, { required = true, integer = false, min = -Infinity, max = Infinity, exclusiveMin = false } = {}) {
+            if (missing(value, path, required)) return false;
+            if (typeof value !== 'number' || !Number.isFinite(value)) return fail(path, 'must be a number');
+            if (integer && !Number.isInteger(value)) return fail(path, 'must be an integer');
+            if (exclusiveMin ? value <= min : value < min) {
+                return fail(path, `must be ${exclusiveMin ? 'greater than' : 'at least'} ${min}`);
+            }
+            if (value > max) return fail(path, `must be at most ${max}`);
+            return true;
+        },
+        oneOf(value, path, options, { required = true } = {}) {
+            if (missing(value, path, required)) return false;
+            return options.includes(value) || fail(path, `must be one of ${options.map(option => JSON.stringify(option)).join(', ')}`);
+        },
+        // Unknown keys are reported so typos don't silently fall back to defaults
+        keys(value, path, allowed) {
+            Object.keys(value).forEach(key => {
+                if (!allowed.includes(key)) {
+                    fail(path ? `${path}.${key}` : key, 'is not a recognised field');
+                }
+            });
+        }
+    };
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,28 @@
+// A level is cleared when its track (or declared duration) ends with health left and
+// every goal here is met. `survive` (seconds) also ends the level early once reached,
+// which gives tracks without a natural end a finish line. `minScore` is checked at
+// the end; with `noMiss` the first miss fails the level on the spot.
+export const DEFAULT_GOALS = { survive: null, minScore: 0, noMiss: false };
+
+export const LEVEL_GOAL_NAMES = Object.keys(DEFAULT_GOALS);
+
+export function resolveGoals(goals) {
+    return { ...DEFAULT_GOALS, ...goals };
+}
+
+// One entry per goal that applies to the level, each with whether it was met
+export function evaluateGoals(goals, { health = 0, score = 0, misses = 0, time = 0 } = {}) {
+    const { survive, minScore, noMiss } = resolveGoals(goals);
+    const results = [{
+        id: 'survive',
+        label: survive ? `Survive ${Math.round(survive)}s` : 'Survive',
+        met: health > 0 && (!survive || time >= survive)
+    }];
+    if (minScore > 0) {
+        results.push({ id: 'minScore', label: `Score ${minScore.toLocaleString()}`, met: score >= minScore });
+    }
+    if (noMiss) {
+        results.push({ id: 'noMiss', label: 'No Misses', met: misses === 0 });
+    }
+    return results;
+}
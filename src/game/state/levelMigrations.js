@@ -0,0 +1,35 @@
+// LEVEL_MIGRATIONS[n] upgrades a level file from version n to n + 1. Add an entry
+// here (and bump LEVEL_FORMAT_VERSION) whenever the file layout changes.
+export const LEVEL_MIGRATIONS = {
+    // Version 1 was the flat object used by defaultLevels.js
+    1: level => ({
+        format: 'lattice-pulse-level',
+        version: 2,
+        metadata: {
+            id: level.id,
+            name: level.name,
+            ...(level.author ? { author: level.author } : {}),
+            ...(level.description ? { description: level.description } : {})
+        },
+        audio: {
+            track: level.track ?? null,
+            bpm: level.bpm,
+            ...(typeof level.offset === 'number' ? { offset: level.offset } : {})
+        },
+        visuals: {
+            system: level.system,
+            geometryIndex: level.geometryIndex,
+            planes: level.planes || [],
+            palette: level.palette,
+            cues: []
+        },
+        gameplay: {
+            seed: level.seed ?? 1,
+            windowMs: level.windowMs,
+            spawn: level.spawn,
+            difficulty: level.difficulty,
+            timeline: [],
+            ...(level.boss ? { boss: level.boss } : {})
+        }
+    })
+};
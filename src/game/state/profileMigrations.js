@@ -0,0 +1,22 @@
+// PROFILE_MIGRATIONS[n] upgrades a saved profile from version n to n + 1. Add an
+// entry here (and bump PROFILE_VERSION) whenever the profile layout changes.
+export const PROFILE_MIGRATIONS = {
+    // Version 1 is what LevelManager kept on its own: per-level progress and calibration
+    1: profile => ({
+        version: 2,
+        name: profile.name || 'Player',
+        createdAt: profile.createdAt ?? Date.now(),
+        updatedAt: profile.updatedAt ?? Date.now(),
+        progress: profile.progress || {},
+        calibration: { audioOffset: 0, inputOffset: 0, ...profile.calibration },
+        stats: {
+            hits: 0,
+            misses: 0,
+            maxCombo: 0,
+            judgments: { perfect: 0, great: 0, good: 0, miss: 0 },
+            playtime: 0
+        },
+        unlocks: { systems: ['faceted'], geometries: [0], relics: [] },
+        settings: {}
+    })
+};
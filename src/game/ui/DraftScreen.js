@@ -0,0 +1,60 @@
+export class DraftScreen {
+    constructor(container) {
+        this.container = container;
+        this.root = null;
+    }
+
+    show(choices, onPick) {
+        this.hide();
+        if (!this.container || typeof document === 'undefined') return;
+
+        const root = document.createElement('div');
+        root.className = 'overlay active relic-draft';
+        const title = document.createElement('h2');
+        title.textContent = 'Choose a Relic';
+        root.appendChild(title);
+
+        const list = document.createElement('div');
+        list.className = 'relic-choices';
+        choices.forEach(choice => {
+            const card = document.createElement('button');
+            card.className = `relic-card rarity-${choice.rarity}`;
+            const name = document.createElement('span');
+            name.className = 'relic-name';
+            name.textContent = choice.stacks ? `${choice.name} ${choice.stacks + 1}/${choice.maxStacks}` : choice.name;
+            const description = document.createElement('span');
+            description.className = 'relic-description';
+            description.textContent = choice.description;
+            card.append(name, description);
+            card.addEventListener('click', () => {
+                this.hide();
+                onPick(choice.id);
+            });
+            list.appendChild(card);
+        });
+        root.appendChild(list);
+
+        const skip = document.createElement('button');
+        skip.className = 'relic-skip';
+        skip.textContent = 'Skip';
+        skip.addEventListener('click', () => {
+            this.hide();
+            onPick(null);
+        });
+        root.appendChild(skip);
+
+        this.container.appendChild(root);
+        this.root = root;
+    }
+
+    hide() {
+        if (this.root) {
+            this.root.remove();
+            this.root = null;
+        }
+    }
+
+    isOpen() {
+        return Boolean(this.root);
+    }
+}
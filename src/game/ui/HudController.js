@@ -1,17 +1,23 @@
 export class HudController {
     constructor(root) {
         this.root = root;
+        const query = key => root?.querySelector(`[data-hud="${key}"]`) || null;
         this.elements = {
-            score: root.querySelector('[data-hud="score"]'),
-            combo: root.querySelector('[data-hud="combo"]'),
-            mode: root.querySelector('[data-hud="mode"]'),
-            geometry: root.querySelector('[data-hud="geometry"]'),
-            level: root.querySelector('[data-hud="level"]'),
-            bpm: root.querySelector('[data-hud="bpm"]'),
-            fps: root.querySelector('[data-hud="fps"]'),
-            pulse: root.querySelector('[data-hud="pulse"]'),
-            shield: root.querySelector('[data-hud="shield"]'),
-            toast: root.querySelector('[data-hud="toast"]')
+            score: query('score'),
+            combo: query('combo'),
+            mode: query('mode'),
+            geometry: query('geometry'),
+            level: query('level'),
+            bpm: query('bpm'),
+            fps: query('fps'),
+            pulse: query('pulse'),
+            shield: query('shield'),
+            judgment: query('judgment'),
+            boss: query('boss'),
+            bossName: query('boss-name'),
+            countdown: query('countdown'),
+            error: query('error'),
+            toast: query('toast')
         };
     }
 
@@ -70,6 +76,44 @@ export class HudController {
         }
     }
 
+    setJudgment(tier) {
+        if (!this.elements.judgment) return;
+        this.elements.judgment.textContent = tier.toUpperCase();
+        this.elements.judgment.dataset.tier = tier;
+    }
+
+    setBossHealth(fraction, name) {
+        if (!this.elements.boss) return;
+        const visible = fraction != null;
+        this.elements.boss.hidden = !visible;
+        if (!visible) return;
+        this.elements.boss.style.setProperty('--boss-level', Math.max(0, Math.min(1, fraction)));
+        if (this.elements.bossName && name) {
+            this.elements.bossName.textContent = name.toUpperCase();
+        }
+    }
+
+    // null hides the count-in
+    setCountdown(count) {
+        if (!this.elements.countdown) return;
+        this.elements.countdown.hidden = count == null;
+        this.elements.countdown.textContent = count == null ? '' : String(count);
+    }
+
+    // Stays up until cleared with null, unlike a toast
+    setError(message) {
+        if (!this.elements.error) return;
+        this.elements.error.hidden = message == null;
+        this.elements.error.textContent = message ?? '';
+    }
+
+    // Exposed as data-state on the HUD root so styles can dim or hide parts per state
+    setGameState(state) {
+        if (this.root) {
+            this.root.dataset.state = state;
+        }
+    }
+
     showToast(message, duration = 1200) {
         if (!this.elements.toast) return;
         this.elements.toast.textContent = message;
@@ -0,0 +1,126 @@
+import { JUDGMENT_NAMES } from '../judgment/JudgmentSystem.js';
+
+// End-of-level overlay for both cleared and failed attempts. Buttons whose handler
+// is missing (no next level, nothing recorded to replay) are left out.
+export class ResultsScreen {
+    constructor(container) {
+        this.container = container;
+        this.root = null;
+    }
+
+    show(results, { onRetry, onNext, onReplay } = {}) {
+        this.hide();
+        if (!this.container || typeof document === 'undefined') return;
+
+        const element = (tag, className, text) => {
+            const node = document.createElement(tag);
+            if (className) node.className = className;
+            if (text != null) node.textContent = text;
+            return node;
+        };
+
+        const root = element('div', `overlay active results-screen ${results.cleared ? 'cleared' : 'failed'}`);
+        root.appendChild(element('h2', null, results.cleared ? 'Level Cleared' : 'Grid Collapsed'));
+        if (results.levelName) {
+            root.appendChild(element('div', 'results-level', `${results.levelName} · ${results.tierName}`));
+        }
+
+        const headline = element('div', 'results-headline');
+        headline.append(
+            element('span', 'results-grade', results.grade),
+            element('span', 'results-score', results.score.toLocaleString())
+        );
+        root.appendChild(headline);
+
+        const best = results.best;
+        let bestText = 'No personal best yet';
+        if (best.isNew) {
+            bestText = best.previous > 0 ? `New best! +${(results.score - best.previous).toLocaleString()}` : 'New best!';
+        } else if (best.previous > 0) {
+            bestText = `Best ${best.previous.toLocaleString()} (−${(best.previous - results.score).toLocaleString()})`;
+        }
+        root.appendChild(element('div', `results-best${best.isNew ? ' new' : ''}`, bestText));
+
+        if (results.goals?.length) {
+            const goals = element('div', 'results-goals');
+            results.goals.forEach(goal => {
+                const item = element('span', 'results-goal', `${goal.met ? '✓' : '✗'} ${goal.label}`);
+                item.dataset.met = String(goal.met);
+                goals.appendChild(item);
+            });
+            root.appendChild(goals);
+        }
+
+        const stats = element('div', 'results-stats');
+        stats.appendChild(element('span', null, `Accuracy ${(results.accuracy * 100).toFixed(1)}%`));
+        stats.appendChild(element('span', null, `Max Combo ${results.maxCombo}x`));
+        root.appendChild(stats);
+
+        const counts = element('div', 'results-counts');
+        JUDGMENT_NAMES.forEach(tier => {
+            const row = element('span', 'results-count');
+            row.dataset.tier = tier;
+            row.textContent = `${tier.toUpperCase()} ${results.counts[tier]}`;
+            counts.appendChild(row);
+        });
+        root.appendChild(counts);
+
+        root.appendChild(this.createHistogram(results.histogram, element));
+
+        const types = Object.entries(results.types);
+        if (types.length) {
+            const list = element('div', 'results-types');
+            types.forEach(([type, { total, accuracy }]) => {
+                list.appendChild(element('span', 'results-type', `${type} ${Math.round(accuracy * 100)}% (${total})`));
+            });
+            root.appendChild(list);
+        }
+
+        const actions = element('div', 'results-actions');
+        [['Retry', onRetry], ['Next', onNext], ['Replay', onReplay]].forEach(([label, handler]) => {
+            if (!handler) return;
+            const button = element('button', 'results-button', label);
+            button.addEventListener('click', () => {
+                this.hide();
+                handler();
+            });
+            actions.appendChild(button);
+        });
+        root.appendChild(actions);
+
+        this.container.appendChild(root);
+        this.root = root;
+    }
+
+    // One bar per offset bin, early on the left; bar heights are relative to the fullest bin
+    createHistogram(histogram, element) {
+        const wrapper = element('div', 'results-histogram');
+        const bars = element('div', 'results-histogram-bars');
+        const peak = Math.max(1, ...histogram.bins);
+        histogram.bins.forEach(count => {
+            const bar = element('span', 'results-histogram-bar');
+            bar.style.setProperty('--height', count / peak);
+            bar.title = String(count);
+            bars.appendChild(bar);
+        });
+        wrapper.appendChild(bars);
+        const mean = histogram.meanOffsetMs == null ? '—' : `${Math.round(histogram.meanOffsetMs)}ms`;
+        wrapper.appendChild(element(
+            'div',
+            'results-histogram-labels',
+            `Early ${histogram.early} · Mean ${mean} · Late ${histogram.late}`
+        ));
+        return wrapper;
+    }
+
+    hide() {
+        if (this.root) {
+            this.root.remove();
+            this.root = null;
+        }
+    }
+
+    isOpen() {
+        return Boolean(this.root);
+    }
+}
@@ -9,6 +9,7 @@
 import { LatticePulseGame } from './game/LatticePulseGame.js';
 import { ParameterManager } from './core/Parameters.js';
 import { AudioService } from './game/audio/AudioService.js';
+import { SoundEffects } from './game/audio/SoundEffects.js';
 import { GameUI } from './ui/GameUI.js';
 import { VisualizerEngine } from './core/VisualizerEngine.js';
 
@@ -21,7 +22,7 @@ class VIB34DRhythmGame {
         // Core systems
         this.parameterManager = new ParameterManager();
         this.audioService = new AudioService();
-        this.gameUI = new GameUI();
+        this.gameUI = new GameUI({ soundEffects: new SoundEffects({ audioService: this.audioService }) });
         this.visualizer = new VisualizerEngine(this.gameCanvas);
 
         // Game state
@@ -5,7 +5,9 @@
  */
 
 export class GameUI {
-    constructor() {
+    // `soundEffects` is a SoundEffects sharing the music's AudioService context
+    constructor({ soundEffects = null } = {}) {
+        this.soundEffects = soundEffects;
         this.elements = {
             score: document.getElementById('score'),
             combo: document.getElementById('combo'),
@@ -108,15 +110,9 @@ export class GameUI {
     }
 
     initializeAudioFeedback() {
-        // Create audio context for satisfying UI sounds
-        try {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            this.canPlayAudio = true;
-            console.log('🔊 AUDIO FEEDBACK SYSTEM ONLINE!');
-        } catch (e) {
-            this.canPlayAudio = false;
-            console.log('🔇 Silent mode - Visual feedback only');
-        }
+        // UI sounds go out on the game's SFX bus, on the same clock as the music
+        this.canPlayAudio = Boolean(this.soundEffects);
+        console.log(this.canPlayAudio ? '🔊 AUDIO FEEDBACK SYSTEM ONLINE!' : '🔇 Silent mode - Visual feedback only');
     }
 
     startSatisfactionLoop() {
@@ -473,39 +469,9 @@ export class GameUI {
 
     playTactileSound(soundType, volume = 0.5) {
         if (!this.canPlayAudio) return;
-
-        try {
-            // Generate satisfying UI sounds procedurally
-            const sounds = {
-                scoreChime: { freq: 880, type: 'sine', duration: 0.3, decay: 0.8 },
-                comboBlast: { freq: 440, type: 'sawtooth', duration: 0.2, decay: 0.5 },
-                perfectHit: { freq: 1320, type: 'triangle', duration: 0.4, decay: 0.9 },
-                transcendence: { freq: 660, type: 'sine', duration: 0.6, decay: 1.2 },
-                beatPunch: { freq: 220, type: 'square', duration: 0.1, decay: 0.3 },
-                powerUp: { freq: 1760, type: 'sine', duration: 0.8, decay: 1.5 },
-                damage: { freq: 110, type: 'sawtooth', duration: 0.3, decay: 0.4 }
-            };
-
-            const sound = sounds[soundType] || sounds.beatPunch;
-
-            const oscillator = this.audioContext.createOscillator();
-            const gainNode = this.audioContext.createGain();
-
-            oscillator.connect(gainNode);
-            gainNode.connect(this.audioContext.destination);
-
-            oscillator.frequency.setValueAtTime(sound.freq, this.audioContext.currentTime);
-            oscillator.type = sound.type;
-
-            gainNode.gain.setValueAtTime(volume * 0.1, this.audioContext.currentTime);
-            gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + sound.duration);
-
-            oscillator.start(this.audioContext.currentTime);
-            oscillator.stop(this.audioContext.currentTime + sound.duration);
-
-        } catch (error) {
-            console.log('🔇 Audio context error:', error.message);
-        }
+        // Unknown sound types fall back to the beat punch, as they always have
+        const sound = this.soundEffects.has(soundType) ? soundType : 'beatPunch';
+        this.soundEffects.play(sound, { volume });
     }
 
     // 🎵💥 ULTRA BOMBASTIC BEAT INDICATOR WITH MAXIMUM SATISFACTION 💥🎵
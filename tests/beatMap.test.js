@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BeatMapAnalyzer } from '../src/game/audio/BeatMapAnalyzer.js';
+import { HeadlessSimulation } from '../src/game/headless/HeadlessSimulation.js';
+
+// A mono AudioBuffer stand-in holding short noise clicks on a fixed grid, every
+// `accentEvery`th one louder so the analyzer has bars to find
+function createClickTrack({ bpm, offset, duration, sampleRate = 22050, accentEvery = 4 }) {
+    const length = Math.round(duration * sampleRate);
+    const data = new Float32Array(length);
+    let seed = 1;
+    const noise = () => {
+        seed = (seed * 1664525 + 1013904223) >>> 0;
+        return seed / 2 ** 31 - 1;
+    };
+    for (let index = 0, time = offset; time < duration; time += 60 / bpm, index++) {
+        const start = Math.round(time * sampleRate);
+        const gain = index % accentEvery === 0 ? 1 : 0.5;
+        for (let i = 0; i < sampleRate * 0.03 && start + i < length; i++) {
+            data[start + i] += gain * noise() * Math.exp(-i / (sampleRate * 0.008));
+        }
+    }
+    return { sampleRate, length, duration, numberOfChannels: 1, getChannelData: () => data };
+}
+
+test('the tempo and grid of a click track are recovered', () => {
+    const beatMap = new BeatMapAnalyzer().analyze(createClickTrack({ bpm: 128, offset: 0.3, duration: 12 }));
+    assert.ok(Math.abs(beatMap.bpm - 128) < 0.5, `bpm ${beatMap.bpm}`);
+    assert.ok(Math.abs(beatMap.offset - 0.3) < 0.02, `offset ${beatMap.offset}`);
+    assert.equal(beatMap.beats.length, 25);
+    beatMap.beats.forEach((beat, index) => {
+        assert.equal(beat.index, index);
+        assert.ok(Math.abs(beat.time - (0.3 + index * 60 / 128)) < 0.02);
+    });
+    assert.equal(beatMap.onsets.length, 25);
+});
+
+test('bars start on the accented beats', () => {
+    const { beats } = new BeatMapAnalyzer().analyze(createClickTrack({ bpm: 128, offset: 0.3, duration: 12 }));
+    assert.deepEqual(beats.filter(beat => beat.downbeat).map(beat => beat.index), [0, 4, 8, 12, 16, 20, 24]);
+    assert.deepEqual(beats.slice(0, 5).map(beat => beat.beatInBar), [0, 1, 2, 3, 0]);
+});
+
+test('an authored grid is used as given', () => {
+    const beatMap = new BeatMapAnalyzer().analyze(createClickTrack({ bpm: 128, offset: 0.3, duration: 12 }), { bpmHint: 100, offset: 0.1 });
+    assert.equal(beatMap.bpm, 100);
+    assert.equal(beatMap.offset, 0.1);
+    assert.equal(beatMap.beats[1].time, 0.7);
+});
+
+test('mapped beats spawn early enough to peak on the beat', async () => {
+    const sim = new HeadlessSimulation({ bpm: 120, duration: 30 });
+    await sim.start();
+    const beatMap = { bpm: 120, beats: Array.from({ length: 40 }, (_, i) => ({ time: 0.75 + i * 0.5, index: i })) };
+    sim.beatSource.beatMap = beatMap;
+    sim.game.spawnSystem.setBeatMap(beatMap);
+    sim.game.retry({ countIn: false });
+
+    const spawns = [];
+    sim.game.spawnSystem.on('spawn', target => spawns.push({ at: sim.time, approach: target.approach, beatTime: target.beatTime }));
+    sim.runFor(8, ({ game }) => {
+        game.health = 1;
+    });
+    assert.ok(spawns.length > 0);
+    spawns.forEach(({ at, approach, beatTime }) => {
+        assert.ok(approach > 0);
+        assert.ok(Math.abs(at + approach - beatTime) <= sim.fixedStep + 1e-9);
+    });
+    // Only mapped times spawn; the synthetic grid's own beats are ignored
+    assert.ok(spawns.every(({ beatTime }) => beatMap.beats.some(beat => beat.time === beatTime)));
+});
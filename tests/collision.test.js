@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CollisionSystem } from '../src/game/collision/CollisionSystem.js';
+import { TARGET_TYPES } from '../src/game/spawn/targetTypes.js';
+
+let nextId = 1;
+
+function createTarget(type, placement) {
+    return { ...TARGET_TYPES[type].defaults, type, id: nextId++, ...placement };
+}
+
+function query(targets, pulse) {
+    const collision = new CollisionSystem({});
+    collision.rebuild(targets);
+    return collision.queryCircle(pulse);
+}
+
+test('a node is hit when the pulse reaches its radius', () => {
+    const node = createTarget('node', { x: 0.5, y: 0.5, radius: 0.05 });
+    assert.deepEqual(query([node], { x: 0.6, y: 0.5, radius: 0.051 }), [node]);
+    assert.deepEqual(query([node], { x: 0.6, y: 0.5, radius: 0.049 }), []);
+});
+
+test('a belt is a capsule along its length', () => {
+    const belt = createTarget('belt', { x: 0.5, y: 0.5, radius: 0.02, length: 0.3 });
+    // Past the radius of the centre point, but on the belt
+    assert.deepEqual(query([belt], { x: 0.64, y: 0.5, radius: 0.01 }), [belt]);
+    assert.deepEqual(query([belt], { x: 0.5, y: 0.54, radius: 0.01 }), []);
+    assert.deepEqual(query([belt], { x: 0.68, y: 0.5, radius: 0.01 }), []);
+});
+
+test('chain links are joined by the segment between them', () => {
+    const first = createTarget('chain', { x: 0.3, y: 0.5, radius: 0.02, group: 4 });
+    const second = createTarget('chain', { x: 0.7, y: 0.5, radius: 0.02, group: 4 });
+    assert.deepEqual(query([first, second], { x: 0.5, y: 0.5, radius: 0.01 }), [first]);
+    // Links from different beats are not joined
+    const loose = createTarget('chain', { x: 0.7, y: 0.5, radius: 0.02, group: 5 });
+    assert.deepEqual(query([first, loose], { x: 0.5, y: 0.5, radius: 0.01 }), []);
+});
+
+test('a shard is a kite pointing along its travel', () => {
+    const shard = createTarget('shard', { x: 0.5, y: 0.5, radius: 0.05, speed: 0.5, direction: 1 });
+    // Travelling right and up (speed * direction, -speed / 2): the tip is 1.8 radii ahead
+    const length = Math.hypot(0.5, 0.25);
+    const along = { x: 0.5 / length, y: -0.25 / length };
+    const at = distance => ({ x: 0.5 + along.x * distance, y: 0.5 + along.y * distance, radius: 0.001 });
+    const aside = distance => ({ x: 0.5 - along.y * distance, y: 0.5 + along.x * distance, radius: 0.001 });
+    assert.deepEqual(query([shard], at(0.08)), [shard]);
+    assert.deepEqual(query([shard], at(0.1)), []);
+    assert.deepEqual(query([shard], aside(0.035)), [shard]);
+    assert.deepEqual(query([shard], aside(0.08)), []);
+});
+
+test('a target that moved through the pulse in one step is still hit', () => {
+    const node = createTarget('node', { x: 0.6, y: 0.5, prevX: 0.4, prevY: 0.5, radius: 0.01 });
+    assert.deepEqual(query([node], { x: 0.5, y: 0.5, radius: 0.02 }), [node]);
+
+    const unswept = createTarget('node', { x: 0.6, y: 0.5, radius: 0.01 });
+    assert.deepEqual(query([unswept], { x: 0.5, y: 0.5, radius: 0.02 }), []);
+});
+
+test('queries of any radius find targets across the whole grid', () => {
+    const far = createTarget('node', { x: 0.9, y: 0.9, radius: 0.02 });
+    const near = createTarget('node', { x: 0.12, y: 0.1, radius: 0.02 });
+    assert.deepEqual(query([far, near], { x: 0.1, y: 0.1, radius: 0.01 }), [near]);
+    assert.deepEqual(new Set(query([far, near], { x: 0.1, y: 0.1, radius: 1.5 })), new Set([far, near]));
+    // A pulse centred off the grid still reaches into it
+    assert.deepEqual(query([far], { x: 1.2, y: 0.9, radius: 0.3 }), [far]);
+});
+
+test('each target is reported once however many cells it covers', () => {
+    const belt = createTarget('belt', { x: 0.5, y: 0.5, radius: 0.05, length: 0.6 });
+    assert.deepEqual(query([belt], { x: 0.5, y: 0.5, radius: 0.4 }), [belt]);
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessSimulation } from '../src/game/headless/HeadlessSimulation.js';
+import { DEFAULT_LEVELS } from '../src/game/state/defaultLevels.js';
+import { getDualPoints, getSlidePoint } from '../src/game/spawn/targetTypes.js';
+
+// A level charting a single gesture target on beat 2
+async function playChart(placement) {
+    const level = { ...DEFAULT_LEVELS[0], timeline: [{ beat: 2, x: 0.5, y: 0.5, ...placement }] };
+    const sim = new HeadlessSimulation({ bpm: 120, levels: [level] });
+    await sim.start();
+    const resolved = [];
+    const missed = [];
+    sim.game.spawnSystem.on('resolve', target => resolved.push(target));
+    sim.game.spawnSystem.on('miss', target => missed.push(target));
+    let target = null;
+    while (!target) {
+        sim.step(1);
+        target = sim.getTargets().find(candidate => candidate.type === placement.type && candidate.approach <= 0);
+    }
+    // Inputs are timed from the beat the target peaks on
+    const beatOffsetMs = (sim.time - sim.beatSource.getNearestBeatTime(sim.time)) * 1000;
+    return { sim, target, resolved, missed, onBeat: { offsetMs: -beatOffsetMs } };
+}
+
+test('a hold held for its whole duration keeps the press tier', async () => {
+    const { sim, target, resolved, onBeat } = await playChart({ type: 'hold' });
+    sim.touch('down', 1, target.x, target.y, onBeat);
+    sim.step(Math.ceil(target.holdDuration * 60) + 2);
+    assert.equal(resolved.length, 1);
+    assert.equal(resolved[0].judgment.tier, 'perfect');
+    assert.ok(resolved[0].judgment.completion >= 1 - 1e-6);
+});
+
+test('letting go of a hold early lowers the tier or misses it', async () => {
+    const late = await playChart({ type: 'hold' });
+    late.sim.touch('down', 1, late.target.x, late.target.y, late.onBeat);
+    late.sim.step(Math.round(late.target.holdDuration * 60 * 0.8));
+    late.sim.touch('up', 1, late.target.x, late.target.y);
+    late.sim.step(1);
+    assert.equal(late.resolved[0].judgment.tier, 'great');
+
+    const early = await playChart({ type: 'hold' });
+    early.sim.touch('down', 1, early.target.x, early.target.y, early.onBeat);
+    early.sim.step(10);
+    early.sim.touch('up', 1, early.target.x, early.target.y);
+    early.sim.step(1);
+    assert.equal(early.resolved.length, 0);
+    assert.equal(early.missed.length, 1);
+});
+
+test('a slide is scored by how closely the pointer follows its path', async () => {
+    const { sim, target, resolved, onBeat } = await playChart({ type: 'slide', curve: 0.2 });
+    sim.touch('down', 1, target.x, target.y, onBeat);
+    const steps = Math.ceil(target.slideDuration * 60) + 2;
+    for (let i = 1; i <= steps; i++) {
+        const point = getSlidePoint(target, i / (target.slideDuration * 60));
+        sim.touch('move', 1, point.x, point.y);
+        sim.step(1);
+    }
+    assert.equal(resolved.length, 1);
+    assert.equal(resolved[0].judgment.tier, 'perfect');
+    assert.ok(resolved[0].judgment.completion >= 0.9);
+});
+
+test('a slide left where it started is missed', async () => {
+    const { sim, target, resolved, missed, onBeat } = await playChart({ type: 'slide' });
+    sim.touch('down', 1, target.x, target.y, onBeat);
+    sim.step(Math.ceil(target.slideDuration * 60) + 2);
+    assert.equal(resolved.length, 0);
+    assert.equal(missed.length, 1);
+});
+
+test('a dual target needs both pads pressed together', async () => {
+    const { sim, target, resolved, onBeat } = await playChart({ type: 'dual' });
+    const [left, right] = getDualPoints(target);
+    sim.touch('down', 1, left.x, left.y, onBeat);
+    sim.touch('down', 2, right.x, right.y, { offsetMs: onBeat.offsetMs + 40 });
+    sim.step(1);
+    assert.equal(resolved.length, 1);
+    assert.equal(resolved[0].judgment.tier, 'perfect');
+    assert.ok(Math.abs(resolved[0].judgment.offsetMs - 20) < 1e-6);
+
+    const apart = await playChart({ type: 'dual' });
+    const pads = getDualPoints(apart.target);
+    apart.sim.touch('down', 1, pads[0].x, pads[0].y, apart.onBeat);
+    apart.sim.step(12);
+    apart.sim.touch('down', 2, pads[1].x, pads[1].y);
+    apart.sim.step(1);
+    assert.equal(apart.resolved.length, 0);
+});
+
+test('a pinch resolves a dimension target only at its spread', async () => {
+    const { sim, target, resolved, onBeat } = await playChart({ type: 'dimension' });
+    sim.pinch(target.x, target.y, target.spread + 0.2, onBeat);
+    sim.step(1);
+    assert.equal(resolved.length, 0);
+
+    sim.pinch(target.x, target.y, target.spread + 0.02, onBeat);
+    sim.step(1);
+    assert.equal(resolved.length, 1);
+    assert.equal(resolved[0].id, target.id);
+});
+
+test('gesture targets ignore tap pulses', async () => {
+    const { sim, target, resolved, onBeat } = await playChart({ type: 'hold' });
+    sim.pulseTarget(target, onBeat);
+    sim.step(5);
+    assert.equal(resolved.length, 0);
+    assert.equal(target.captured, false);
+});
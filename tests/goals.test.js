@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessSimulation } from '../src/game/headless/HeadlessSimulation.js';
+import { DEFAULT_LEVELS } from '../src/game/state/defaultLevels.js';
+import { evaluateGoals, resolveGoals } from '../src/game/state/levelGoals.js';
+import { hitEveryTarget } from './helpers.js';
+
+const [firstLevel] = DEFAULT_LEVELS;
+
+async function play({ goals, duration, trackDuration, seconds = 12, policy = hitEveryTarget } = {}) {
+    const level = { ...firstLevel, ...(duration && { duration }), ...(goals && { goals }) };
+    const sim = new HeadlessSimulation({ bpm: 120, duration: trackDuration, levels: [level] });
+    await sim.start();
+    const state = sim.runFor(seconds, policy);
+    return { sim, state, results: sim.game.lastResults };
+}
+
+const goalIds = results => results.goals.map(({ id, met }) => `${id}:${met}`);
+
+test('goals default to surviving the level', () => {
+    assert.deepEqual(resolveGoals(undefined), { survive: null, minScore: 0, noMiss: false });
+    assert.deepEqual(evaluateGoals({}, { health: 1 }), [{ id: 'survive', label: 'Survive', met: true }]);
+    assert.equal(evaluateGoals({}, { health: 0 })[0].met, false);
+});
+
+test('each declared goal is evaluated', () => {
+    const goals = { survive: 30, minScore: 5000, noMiss: true };
+    const met = evaluateGoals(goals, { health: 0.5, score: 5000, misses: 0, time: 30 });
+    assert.deepEqual(met.map(goal => [goal.id, goal.met]), [['survive', true], ['minScore', true], ['noMiss', true]]);
+    assert.equal(met[0].label, 'Survive 30s');
+
+    const missed = evaluateGoals(goals, { health: 0.5, score: 4999, misses: 1, time: 29 });
+    assert.deepEqual(missed.map(goal => goal.met), [false, false, false]);
+});
+
+test('the level is cleared when the track ends with health left', async () => {
+    const { sim, state, results } = await play({ trackDuration: 5 });
+    assert.equal(state.state, 'results');
+    assert.equal(results.cleared, true);
+    assert.deepEqual(goalIds(results), ['survive:true']);
+    assert.equal(results.best.isNew, true);
+
+    const { levelManager } = sim.game;
+    assert.equal(levelManager.isLevelCleared(firstLevel.id), true);
+    assert.deepEqual(levelManager.getTierProgress(firstLevel.id, 'normal'), { best: results.score, attempts: 1, cleared: true });
+    // Clearing normal opens hard on the same level
+    assert.ok(levelManager.getUnlockedTiers(firstLevel.id).includes('hard'));
+});
+
+test('a declared duration ends the level on tracks without an end', async () => {
+    const { state, results } = await play({ duration: 6 });
+    assert.equal(state.state, 'results');
+    assert.ok(state.time >= 6 && state.time < 6.5);
+    assert.equal(results.cleared, true);
+});
+
+test('missing the score goal fails the level', async () => {
+    const { sim, results } = await play({ trackDuration: 6, goals: { minScore: 10_000_000 } });
+    assert.equal(results.cleared, false);
+    assert.deepEqual(goalIds(results), ['survive:true', 'minScore:false']);
+    assert.equal(sim.game.levelManager.isLevelCleared(firstLevel.id), false);
+    // The attempt still counts
+    assert.equal(sim.game.levelManager.getTierProgress(firstLevel.id, 'normal').attempts, 1);
+});
+
+test('a survive goal ends the level once reached', async () => {
+    const { state, results } = await play({ goals: { survive: 5 } });
+    assert.equal(state.state, 'results');
+    assert.ok(state.time >= 5 && state.time < 5.5);
+    assert.equal(results.cleared, true);
+});
+
+test('with no misses allowed the first miss ends the level', async () => {
+    const { state, results } = await play({ goals: { noMiss: true }, policy: null });
+    assert.equal(state.state, 'results');
+    assert.ok(state.time < 5);
+    assert.equal(results.cleared, false);
+    assert.deepEqual(goalIds(results), ['survive:true', 'noMiss:false']);
+});
+
+test('a collapse ends the level once, uncleared', async () => {
+    const { sim, state, results } = await play({ seconds: 40, policy: null });
+    assert.equal(state.state, 'results');
+    assert.equal(state.health <= 0, true);
+    assert.equal(results.cleared, false);
+    assert.equal(sim.game.levelManager.getTierProgress(firstLevel.id, 'normal').attempts, 1);
+    assert.ok(sim.game.lastReplay);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessSimulation } from '../src/game/headless/HeadlessSimulation.js';
+import { hitEveryTarget } from './helpers.js';
+
+async function play(seconds, options = {}) {
+    const sim = new HeadlessSimulation({ bpm: 120, ...options });
+    await sim.start();
+    return { sim, state: sim.runFor(seconds, hitEveryTarget) };
+}
+
+test('the same inputs give the same game, step for step', async () => {
+    const first = await play(10);
+    const second = await play(10);
+    assert.deepEqual(first.state, second.state);
+    assert.ok(first.state.score > 0);
+});
+
+test('steps advance the synthetic clock by the fixed step', async () => {
+    const { sim, state } = await play(2);
+    assert.equal(state.step, 120);
+    assert.ok(Math.abs(state.time - 2) < 1e-9);
+    assert.equal(sim.step(30).step, 150);
+    assert.equal(state.state, 'playing');
+});
+
+test('synthetic beats arrive on the tempo grid, tagged by band in turn', async () => {
+    const sim = new HeadlessSimulation({ bands: ['kick', 'hihat'] });
+    await sim.start();
+    const beats = [];
+    sim.beatSource.onBeat(beat => beats.push(beat));
+    sim.runFor(3);
+    const interval = 60 / sim.beatSource.bpm;
+    assert.ok(beats.length >= 5);
+    beats.forEach(beat => {
+        assert.ok(Math.abs(beat.time - beat.index * interval) < 1e-9);
+        assert.equal(beat.band, beat.index % 2 ? 'hihat' : 'kick');
+    });
+});
+
+test('unknown levels are refused', () => {
+    const sim = new HeadlessSimulation();
+    assert.throws(() => sim.loadLevel('no-such-level'), /Unknown level: no-such-level/);
+});
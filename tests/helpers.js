@@ -0,0 +1,30 @@
+// Shared fixtures for the Node test suite (run with `node --test tests/`)
+
+// HeadlessSimulation policy that taps every target on the frame it becomes hittable
+export function hitEveryTarget(sim) {
+    sim.getTargets().forEach(target => {
+        if (target.approach > 0 || target.tapped) return;
+        target.tapped = true;
+        sim.pulseTarget(target);
+    });
+}
+
+// localStorage stand-in; `failWrites` makes every setItem throw like a full quota
+export function createMemoryStorage(entries = {}, { failWrites = false } = {}) {
+    const items = new Map(Object.entries(entries));
+    return {
+        items,
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem(key, value) {
+            if (failWrites) {
+                throw new Error('QuotaExceededError');
+            }
+            items.set(key, String(value));
+        },
+        removeItem: key => items.delete(key)
+    };
+}
+
+export function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
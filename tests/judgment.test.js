@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JudgmentSystem } from '../src/game/judgment/JudgmentSystem.js';
+import { HeadlessSimulation } from '../src/game/headless/HeadlessSimulation.js';
+import { SyntheticBeatSource } from '../src/game/headless/SyntheticBeatSource.js';
+
+// Pulse times are milliseconds on the synthetic clock, so a beat at 1s is a tap at 1000
+function judgeAt(timeMs, { windowMs = 150, latency } = {}) {
+    const audioService = new SyntheticBeatSource({ bpm: 120 });
+    if (latency) {
+        audioService.setLatency(latency);
+    }
+    return new JudgmentSystem({ audioService, windowMs }).judgePulse({ time: timeMs });
+}
+
+test('taps are tiered by their distance from the nearest beat', () => {
+    assert.equal(judgeAt(1000).tier, 'perfect');
+    assert.equal(judgeAt(1052).tier, 'perfect');
+    assert.equal(judgeAt(946).tier, 'great');
+    assert.equal(judgeAt(1105).tier, 'great');
+    assert.equal(judgeAt(1150).tier, 'good');
+    assert.equal(judgeAt(849).tier, 'miss');
+    assert.equal(judgeAt(1250).tier, 'miss');
+});
+
+test('the offset is signed and measured to the nearest beat', () => {
+    const early = judgeAt(1480);
+    assert.equal(early.beatTime, 1.5);
+    assert.ok(Math.abs(early.offsetMs + 20) < 1e-9);
+    const late = judgeAt(1040);
+    assert.equal(late.beatTime, 1);
+    assert.ok(Math.abs(late.offsetMs - 40) < 1e-9);
+});
+
+test('the window scales every tier', () => {
+    assert.equal(judgeAt(1040, { windowMs: 100 }).tier, 'great');
+    assert.equal(judgeAt(1090, { windowMs: 100 }).tier, 'good');
+    assert.equal(judgeAt(1090, { windowMs: 300 }).tier, 'perfect');
+});
+
+test('calibrated latency is taken off before judging', () => {
+    const judgment = judgeAt(1120, { latency: { output: 0.08, input: 0.04 } });
+    assert.equal(judgment.tier, 'perfect');
+    assert.ok(Math.abs(judgment.offsetMs) < 1e-9);
+});
+
+test('without a beat reference every tap is accepted untimed', () => {
+    const system = new JudgmentSystem({ audioService: null });
+    assert.deepEqual(system.judgePulse({ time: 1234 }), { tier: 'good', offsetMs: null, beatTime: null });
+    system.setWindow(0);
+    assert.equal(system.windowMs, 150);
+});
+
+// Steps to the first target that can be hit, then taps it `offsetMs` from its beat
+async function tapFirstTarget(offsetMs) {
+    const sim = new HeadlessSimulation({ bpm: 120 });
+    await sim.start();
+    let target = null;
+    while (!target) {
+        sim.step(1);
+        target = sim.getTargets().find(candidate => candidate.approach <= 0);
+    }
+    const beatOffsetMs = (sim.time - sim.beatSource.getNearestBeatTime(sim.time)) * 1000;
+    sim.pulseTarget(target, { offsetMs: offsetMs - beatOffsetMs });
+    sim.step(1);
+    return { sim, target };
+}
+
+for (const [offsetMs, tier] of [[0, 'perfect'], [-75, 'great'], [130, 'good']]) {
+    test(`a hit ${offsetMs}ms from the beat scores ${tier}`, async () => {
+        const { sim, target } = await tapFirstTarget(offsetMs);
+        assert.equal(sim.game.judgmentSystem.windowMs, 150);
+        assert.equal(target.captured, true);
+        assert.equal(target.judgment.tier, tier);
+        assert.ok(Math.abs(target.judgment.offsetMs - offsetMs) < 1e-6);
+        assert.equal(sim.getState().judgments[tier], 1);
+        // First hit of the attempt: combo 1 adds 10%
+        assert.equal(sim.getState().score, Math.round(sim.game.judgmentSystem.getScore(tier) * 1.1));
+    });
+}
+
+test('an off-beat pulse is a miss that breaks the combo and captures nothing', async () => {
+    const { sim, target } = await tapFirstTarget(200);
+    assert.equal(target.captured, false);
+    assert.equal(sim.getState().judgments.miss, 1);
+    assert.equal(sim.getState().combo, 0);
+    assert.equal(sim.getState().score, 0);
+    assert.equal(sim.game.pulseJudgment.tier, 'miss');
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    LEVEL_FORMAT_VERSION,
+    LevelValidationError,
+    parseLevelFile,
+    toLevelFile,
+    validateLevelFile
+} from '../src/game/state/levelFormat.js';
+import { DEFAULT_LEVELS } from '../src/game/state/defaultLevels.js';
+import { clone } from './helpers.js';
+
+function errorPaths(data) {
+    try {
+        parseLevelFile(data);
+    } catch (error) {
+        assert.ok(error instanceof LevelValidationError);
+        return error.errors.map(({ path }) => path);
+    }
+    assert.fail('expected a LevelValidationError');
+}
+
+test('every default level survives a save and load round trip', () => {
+    DEFAULT_LEVELS.forEach(level => {
+        const file = clone(toLevelFile(level));
+        assert.deepEqual(validateLevelFile(file), [], level.id);
+        assert.deepEqual(toLevelFile(parseLevelFile(file)), file, level.id);
+    });
+});
+
+test('flat version 1 levels are migrated', () => {
+    const level = parseLevelFile(clone(DEFAULT_LEVELS[0]));
+    assert.equal(level.id, DEFAULT_LEVELS[0].id);
+    assert.equal(toLevelFile(level).version, LEVEL_FORMAT_VERSION);
+});
+
+test('relative audio paths resolve against the file URL', () => {
+    const file = toLevelFile({ ...DEFAULT_LEVELS[0], track: 'audio/song.ogg' });
+    const level = parseLevelFile(file, { baseUrl: 'https://example.com/levels/one.json' });
+    assert.equal(level.track, 'https://example.com/levels/audio/song.ogg');
+});
+
+test('every bad field is reported by path', () => {
+    const file = toLevelFile(DEFAULT_LEVELS[0]);
+    assert.deepEqual(errorPaths({ ...file, metadata: { ...file.metadata, id: 'has spaces', extra: 1 } }).sort(), [
+        'metadata.extra',
+        'metadata.id'
+    ]);
+    assert.deepEqual(errorPaths({
+        ...file,
+        gameplay: { ...file.gameplay, goals: { noMiss: 'yes', minScore: 1.5 } }
+    }).sort(), ['gameplay.goals.minScore', 'gameplay.goals.noMiss']);
+});
+
+test('unsupported versions and non-objects are rejected', () => {
+    const file = toLevelFile(DEFAULT_LEVELS[0]);
+    assert.deepEqual(errorPaths({ ...file, version: LEVEL_FORMAT_VERSION + 1 }), ['version']);
+    assert.deepEqual(errorPaths({ ...file, version: 0 }), ['version']);
+    assert.deepEqual(errorPaths('level'), ['']);
+});
+
+test('the error message lists each field on its own line', () => {
+    const error = new LevelValidationError([
+        { path: 'metadata.id', message: 'is required' },
+        { path: '', message: 'must be a JSON object' }
+    ]);
+    assert.equal(error.message, 'Invalid level file:\n  metadata.id is required\n  (root) must be a JSON object');
+});
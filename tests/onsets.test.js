@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AudioService } from '../src/game/audio/AudioService.js';
+import { ONSET_BANDS, OnsetDetector } from '../src/game/audio/OnsetDetector.js';
+import { HeadlessSimulation } from '../src/game/headless/HeadlessSimulation.js';
+import { clone, hitEveryTarget } from './helpers.js';
+
+const SAMPLE_RATE = 48000;
+const FFT_SIZE = 2048;
+const BIN_HZ = SAMPLE_RATE / FFT_SIZE;
+
+// Analyser dB data: silence, with the named bands played loud
+function spectrum(...bands) {
+    const data = new Float32Array(FFT_SIZE / 2).fill(-100);
+    bands.forEach(band => {
+        const { low, high } = ONSET_BANDS[band];
+        for (let i = Math.floor(low / BIN_HZ); i <= Math.ceil(high / BIN_HZ); i++) {
+            data[i] = -10;
+        }
+    });
+    return data;
+}
+
+// An AudioService fed frame by frame from `frames` in place of a live analyser
+function createFedAudio() {
+    const audio = new AudioService();
+    let frame = spectrum();
+    audio.context = { currentTime: 0, sampleRate: SAMPLE_RATE };
+    audio.analyser = { getFloatFrequencyData: data => data.set(frame), getFloatTimeDomainData() {} };
+    audio.frequencyData = new Float32Array(FFT_SIZE / 2);
+    audio.timeDomainData = new Float32Array(FFT_SIZE);
+    audio.metronomeEnabled = false;
+    return {
+        audio,
+        play(time, ...bands) {
+            frame = spectrum(...bands);
+            audio.context.currentTime = time;
+            audio.update(1 / 60);
+        }
+    };
+}
+
+test('each band detector fires only on a hit in its own range', () => {
+    const detector = new OnsetDetector();
+    const process = (time, ...bands) => detector.process(spectrum(...bands), { sampleRate: SAMPLE_RATE, fftSize: FFT_SIZE, time });
+    for (let i = 0; i < 10; i++) {
+        assert.deepEqual(process(i / 60), []);
+    }
+    const kick = process(0.2, 'kick');
+    assert.deepEqual(kick.map(onset => onset.band), ['kick']);
+    assert.ok(kick[0].strength > 0 && kick[0].confidence > 0);
+    process(0.3);
+    assert.deepEqual(process(0.4, 'hihat').map(onset => onset.band), ['hihat']);
+});
+
+test('a hat inside half a beat of a kick is its own onset, not a second beat', () => {
+    const { audio, play } = createFedAudio();
+    const beats = [];
+    const onsets = [];
+    audio.onBeat(beat => beats.push(beat));
+    audio.onOnset(onset => onsets.push(onset));
+    for (let i = 1; i <= 60; i++) {
+        play(i / 60);
+    }
+    play(1.05, 'kick');
+    play(1.1);
+    play(1.15, 'hihat');
+
+    assert.equal(beats.length, 1);
+    assert.equal(beats[0].band, 'kick');
+    assert.deepEqual(onsets.map(({ band, withBeat }) => ({ band, withBeat })), [
+        { band: 'kick', withBeat: true },
+        { band: 'hihat', withBeat: false }
+    ]);
+    assert.equal(onsets[1].time, 1.15);
+});
+
+test('onsets are delayed by the output latency along with the beats', () => {
+    const { audio, play } = createFedAudio();
+    const onsets = [];
+    audio.setLatency({ output: 0.1, input: 0 });
+    audio.onOnset(onset => onsets.push(onset));
+    for (let i = 1; i <= 60; i++) {
+        play(i / 60);
+    }
+    play(1.05, 'hihat');
+    assert.equal(onsets.length, 0);
+    play(1.2);
+    assert.equal(onsets.length, 1);
+    assert.ok(Math.abs(onsets[0].time - 1.15) < 1e-9);
+    assert.equal(onsets[0].detectedTime, 1.05);
+});
+
+test('hats between kicks spawn targets of the hat type', async () => {
+    const sim = new HeadlessSimulation({ bpm: 120, bands: ['kick'], offbeat: 'hihat' });
+    await sim.start();
+    const spawned = [];
+    sim.game.spawnSystem.on('spawn', target => spawned.push(target));
+    sim.runFor(4);
+
+    const interval = 60 / sim.beatSource.bpm;
+    const hats = spawned.filter(target => target.metadata?.band === 'hihat');
+    assert.ok(hats.length >= 6);
+    hats.forEach(target => {
+        assert.equal(target.type, 'shard');
+        assert.equal(target.group, null);
+        // Halfway between two beats of the grid
+        const offset = (target.beatTime / interval) % 1;
+        assert.ok(Math.abs(offset - 0.5) < 1e-9);
+    });
+    assert.ok(spawned.filter(target => !target.metadata?.band).every(target => target.type === 'node'));
+});
+
+test('the band to type map decides what an onset spawns', async () => {
+    const sim = new HeadlessSimulation({ bpm: 120, bands: ['kick'], offbeat: 'hihat' });
+    await sim.start();
+    sim.game.spawnSystem.configure({ bandTypes: { hihat: 'orb' } });
+    const spawned = [];
+    sim.game.spawnSystem.on('spawn', target => spawned.push(target));
+    sim.runFor(2);
+    const hats = spawned.filter(target => target.metadata?.band === 'hihat');
+    assert.ok(hats.length > 0);
+    assert.ok(hats.every(target => target.type === 'orb'));
+});
+
+test('onsets a beat stands for and repeats within one beat spawn nothing more', async () => {
+    const sim = new HeadlessSimulation({ bpm: 120 });
+    await sim.start();
+    const spawnSystem = sim.game.spawnSystem;
+    const count = () => spawnSystem.getTargets().length;
+    const before = count();
+    assert.equal(spawnSystem.handleOnset({ band: 'kick', time: 0.1, withBeat: true }), null);
+    assert.ok(spawnSystem.handleOnset({ band: 'hihat', time: 0.1 }));
+    assert.equal(spawnSystem.handleOnset({ band: 'hihat', time: 0.15 }), null);
+    assert.equal(spawnSystem.handleOnset({ band: 'cowbell', time: 0.15 }), null);
+    assert.equal(count(), before + 1);
+    spawnSystem.handleBeat({ time: 0.25 });
+    assert.ok(spawnSystem.handleOnset({ band: 'hihat', time: 0.3 }));
+});
+
+test('a replay with offbeat onsets verifies to the same score', async () => {
+    const sim = new HeadlessSimulation({ bpm: 120, bands: ['kick', 'snare'], offbeat: 'hihat' });
+    await sim.start();
+    sim.runFor(12, hitEveryTarget);
+    const replay = sim.game.stopRecording() ?? sim.game.lastReplay;
+    assert.ok(replay.onsets.some(entry => !entry.onset.withBeat));
+    const result = sim.game.verifyReplay(clone(replay));
+    assert.deepEqual(result, { score: replay.finalScore, expectedScore: replay.finalScore, matches: true });
+});
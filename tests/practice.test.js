@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessSimulation } from '../src/game/headless/HeadlessSimulation.js';
+
+const LOOP = { startBeat: 8, endBeat: 16 };
+
+const signature = target => `${target.group}:${target.type}:${target.x.toFixed(4)}:${target.y.toFixed(4)}`;
+
+async function startLevel({ beatMap = false } = {}) {
+    const sim = new HeadlessSimulation({ bpm: 120, duration: 60 });
+    await sim.start();
+    if (beatMap) {
+        const map = { bpm: 120, beats: Array.from({ length: 100 }, (_, i) => ({ time: 0.5 + i * 0.5, energy: 1 })) };
+        sim.beatSource.beatMap = map;
+        sim.game.spawnSystem.setBeatMap(map);
+        sim.game.retry({ countIn: false });
+    }
+    return sim;
+}
+
+// Spawns of the looped beats in normal play, with health pinned so the attempt can't end
+function recordReference(sim) {
+    const spawns = [];
+    // Signed on spawn: targets drift once they are on the grid
+    const off = sim.game.spawnSystem.on('spawn', target => spawns.push({ group: target.group, signature: signature(target) }));
+    sim.runFor(12, ({ game }) => {
+        game.health = 1;
+    });
+    off();
+    return spawns.filter(({ group }) => group >= LOOP.startBeat && group < LOOP.endBeat).map(spawn => spawn.signature);
+}
+
+function recordPasses(sim, passes) {
+    const { game } = sim;
+    const spawns = [];
+    const off = game.spawnSystem.on('spawn', target => {
+        (spawns[game.practice.iteration] ||= []).push(signature(target));
+    });
+    while (game.practice.iteration < passes) {
+        game.health = 1;
+        sim.step(1);
+    }
+    off();
+    return spawns.slice(0, passes);
+}
+
+for (const beatMap of [false, true]) {
+    test(`every practice pass spawns the targets normal play does (${beatMap ? 'beat map' : 'tempo grid'})`, async () => {
+        const sim = await startLevel({ beatMap });
+        const { game } = sim;
+        const reference = recordReference(sim);
+        assert.ok(reference.length > 0);
+
+        const practice = game.startPractice({ ...LOOP, rate: 0.75, countIn: false });
+        assert.ok(practice);
+        assert.equal(practice.rate, 0.75);
+        assert.equal(game.playbackRate, 0.75);
+
+        const passes = recordPasses(sim, 3);
+        assert.equal(passes.length, 3);
+        passes.forEach(pass => assert.deepEqual(pass, reference));
+        assert.equal(game.state.state, 'playing');
+    });
+}
+
+test('practice does not record scores or replays', async () => {
+    const sim = await startLevel();
+    const { game } = sim;
+    const levelId = game.currentLevel.id;
+    const before = game.levelManager.getTierProgress(levelId, 'normal');
+
+    game.startPractice({ ...LOOP, countIn: false });
+    recordPasses(sim, 2);
+    assert.deepEqual(game.levelManager.getTierProgress(levelId, 'normal'), before);
+    assert.equal(game.replayRecorder, null);
+});
+
+test('a collapse restarts the loop instead of ending the level', async () => {
+    const sim = await startLevel();
+    const { game } = sim;
+    game.startPractice({ ...LOOP, countIn: false });
+    game.health = 0;
+    sim.step(1);
+    assert.equal(game.state.state, 'playing');
+    assert.ok(game.health > 0);
+    assert.ok(game.practice);
+});
+
+test('the practice rate is clamped and can change mid-loop', async () => {
+    const sim = await startLevel();
+    const { game } = sim;
+    game.startPractice({ ...LOOP, rate: 3, countIn: false });
+    assert.equal(game.practice.rate, 1);
+
+    assert.equal(game.setPracticeRate(0.2), true);
+    assert.equal(game.practice.rate, 0.5);
+    assert.equal(game.playbackRate, 0.5);
+    assert.equal(sim.beatSource.loop.rate, 0.5);
+});
+
+test('stopping practice restores normal play', async () => {
+    const sim = await startLevel();
+    const { game } = sim;
+    game.startPractice({ ...LOOP, rate: 0.75, countIn: false });
+    sim.step(30);
+
+    game.stopPractice({ countIn: false });
+    assert.equal(game.practice, null);
+    assert.equal(game.playbackRate, 1);
+    assert.equal(game.spawnSystem.beatLimit, Infinity);
+    assert.equal(sim.beatSource.loop, null);
+    assert.equal(game.state.state, 'playing');
+    assert.equal(game.spawnSystem.beatCount, 0);
+    assert.equal(game.setPracticeRate(0.75), false);
+});
+
+test('invalid loops and runs refuse practice', async () => {
+    const sim = await startLevel();
+    const { game } = sim;
+    assert.equal(game.startPractice({ startBeat: 8, endBeat: 8 }), false);
+    assert.equal(game.startPractice({ startBeat: -1, endBeat: 4 }), false);
+    assert.equal(game.startPractice({ startBeat: 1.5, endBeat: 4 }), false);
+
+    game.startRun(7);
+    assert.equal(game.startPractice({ ...LOOP, countIn: false }), false);
+    assert.equal(game.practice, null);
+});
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROFILE_VERSION, ProfileManager, migrateProfile } from '../src/game/state/ProfileManager.js';
+import { createMemoryStorage } from './helpers.js';
+
+test('version 1 progress is migrated with defaults filled in', () => {
+    const progress = { 'lvl-01': { best: 1200, attempts: 3 } };
+    const profile = migrateProfile({ version: 1, progress, calibration: { audioOffset: 0.02 } });
+    assert.equal(profile.version, PROFILE_VERSION);
+    assert.deepEqual(profile.progress, progress);
+    assert.deepEqual(profile.calibration, { audioOffset: 0.02, inputOffset: 0 });
+    assert.deepEqual(profile.stats.judgments, { perfect: 0, great: 0, good: 0, miss: 0 });
+    assert.deepEqual(profile.unlocks, { systems: ['faceted'], geometries: [0], relics: [] });
+    assert.equal(profile.settings.tier, 'normal');
+});
+
+test('missing fields in a current profile are filled in', () => {
+    const profile = migrateProfile({ version: PROFILE_VERSION, name: 'Ada', stats: { hits: 4, judgments: { perfect: 4 } } });
+    assert.equal(profile.name, 'Ada');
+    assert.equal(profile.stats.hits, 4);
+    assert.equal(profile.stats.misses, 0);
+    assert.deepEqual(profile.stats.judgments, { perfect: 4, great: 0, good: 0, miss: 0 });
+});
+
+test('profiles from a newer version are rejected', () => {
+    assert.throws(() => migrateProfile({ version: PROFILE_VERSION + 1 }), /newer than the supported version/);
+});
+
+test('progress saved before profiles existed becomes slot 1', () => {
+    const storage = createMemoryStorage({
+        latticePulseProgress: JSON.stringify({ 'lvl-01': { best: 900, attempts: 2 } }),
+        latticePulseProgressCalibration: JSON.stringify({ audioOffset: 0.05, inputOffset: -0.01 })
+    });
+    const profile = new ProfileManager({ storage });
+    assert.equal(profile.getActiveSlot(), 1);
+    assert.deepEqual(profile.getProfile().progress, { 'lvl-01': { best: 900, attempts: 2 } });
+    assert.deepEqual(profile.getProfile().calibration, { audioOffset: 0.05, inputOffset: -0.01 });
+
+    assert.equal(profile.save(), true);
+    assert.equal(JSON.parse(storage.getItem('latticePulseProfile:1')).version, PROFILE_VERSION);
+});
+
+test('a failing store keeps the profile in memory and reports the error', t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const storage = createMemoryStorage({}, { failWrites: true });
+    const profile = new ProfileManager({ storage });
+    const errors = [];
+    profile.on('error', error => errors.push(error));
+
+    profile.recordJudgment('perfect', 1);
+    assert.equal(profile.save(), false);
+    assert.equal(profile.saveFailed, true);
+    assert.equal(profile.isPersistent(), false);
+    assert.equal(errors.length, 1);
+    assert.equal(profile.getStats().hits, 1);
+    assert.equal(storage.items.size, 0);
+    assert.equal(warn.mock.callCount(), 1);
+});
+
+test('saving again after the store recovers clears the failure', t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const storage = createMemoryStorage({}, { failWrites: true });
+    const profile = new ProfileManager({ storage });
+    assert.equal(profile.save(), false);
+
+    const working = createMemoryStorage();
+    profile.storage = working;
+    assert.equal(profile.save(), true);
+    assert.equal(profile.isPersistent(), true);
+    assert.ok(working.getItem('latticePulseProfile:1'));
+    assert.equal(warn.mock.callCount(), 1);
+});
+
+test('an unreadable slot is backed up and replaced with a fresh profile', t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const storage = createMemoryStorage({ 'latticePulseProfile:1': '{not json' });
+    const profile = new ProfileManager({ storage });
+    assert.equal(storage.getItem('latticePulseProfile:1:backup'), '{not json');
+    assert.deepEqual(profile.getProfile().progress, {});
+    assert.equal(profile.readOnly, false);
+    assert.match(String(warn.mock.calls[0].arguments[0]), /Profile load failed/);
+});
+
+test('a slot written by a newer build is never overwritten', t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const newer = JSON.stringify({ version: PROFILE_VERSION + 1, name: 'Future' });
+    const storage = createMemoryStorage({ 'latticePulseProfile:1': newer });
+    const profile = new ProfileManager({ storage });
+    assert.equal(profile.readOnly, true);
+    assert.equal(profile.isPersistent(), false);
+    assert.equal(profile.save(), false);
+    assert.equal(storage.getItem('latticePulseProfile:1'), newer);
+    assert.match(warn.mock.calls[0].arguments[0], /newer than the supported version/);
+});
+
+test('slots are chosen by number and remembered', () => {
+    const storage = createMemoryStorage();
+    const profile = new ProfileManager({ storage });
+    assert.throws(() => profile.selectSlot(0), RangeError);
+    assert.throws(() => profile.selectSlot(4), RangeError);
+
+    profile.selectSlot(2);
+    assert.equal(storage.getItem('latticePulseProfile:active'), '2');
+    assert.equal(new ProfileManager({ storage }).getActiveSlot(), 2);
+});
+
+test('deleting a slot from a newer build frees it for a fresh profile', t => {
+    t.mock.method(console, 'warn', () => {});
+    const storage = createMemoryStorage({ 'latticePulseProfile:1': JSON.stringify({ version: PROFILE_VERSION + 1 }) });
+    const profile = new ProfileManager({ storage });
+    assert.equal(profile.readOnly, true);
+
+    profile.deleteSlot(1);
+    assert.equal(profile.readOnly, false);
+    assert.equal(profile.isPersistent(), true);
+    assert.equal(profile.save(), true);
+    assert.equal(JSON.parse(storage.getItem('latticePulseProfile:1')).version, PROFILE_VERSION);
+});
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessSimulation } from '../src/game/headless/HeadlessSimulation.js';
+import { clone, hitEveryTarget } from './helpers.js';
+
+async function recordAttempt(seconds = 20, policy = hitEveryTarget) {
+    const sim = new HeadlessSimulation({ bpm: 120 });
+    await sim.start();
+    sim.runFor(seconds, policy);
+    // The attempt may already have ended (and stopped recording) inside the window
+    const replay = sim.game.stopRecording() ?? sim.game.lastReplay;
+    return { sim, replay };
+}
+
+test('a recorded attempt verifies to the same score', async () => {
+    const { sim, replay } = await recordAttempt();
+    assert.ok(replay.finalScore > 0);
+    assert.ok(replay.beats.length > 0 && replay.inputs.length > 0);
+    const result = sim.game.verifyReplay(clone(replay));
+    assert.deepEqual(result, { score: replay.finalScore, expectedScore: replay.finalScore, matches: true });
+});
+
+test('verifying twice gives the same result', async () => {
+    const { sim, replay } = await recordAttempt(10);
+    const first = sim.game.verifyReplay(clone(replay));
+    const second = sim.game.verifyReplay(clone(replay));
+    assert.deepEqual(first, second);
+});
+
+test('a tampered final score fails verification', async () => {
+    const { sim, replay } = await recordAttempt(10);
+    const result = sim.game.verifyReplay({ ...clone(replay), finalScore: replay.finalScore + 100 });
+    assert.equal(result.matches, false);
+    assert.equal(result.score, replay.finalScore);
+});
+
+// Taps every target 70ms late, which scores great rather than perfect
+function hitEveryTargetLate(sim) {
+    sim.getTargets().forEach(target => {
+        if (target.approach > 0 || target.tapped) return;
+        target.tapped = true;
+        const beatOffsetMs = (sim.time - sim.beatSource.getNearestBeatTime(sim.time)) * 1000;
+        sim.pulseTarget(target, { offsetMs: 70 - beatOffsetMs });
+    });
+}
+
+test('recorded inputs carry their time but no verdict', async () => {
+    const { replay } = await recordAttempt(5);
+    const pulses = replay.inputs.filter(input => input.type === 'pulse');
+    assert.ok(pulses.length > 0);
+    pulses.forEach(({ payload }) => {
+        assert.equal(typeof payload.time, 'number');
+        assert.equal('judgment' in payload, false);
+    });
+});
+
+test('judgments written into a replay are judged again', async () => {
+    const { sim, replay } = await recordAttempt(10, hitEveryTargetLate);
+    assert.ok(sim.getState().judgments.great > 0);
+    const forged = clone(replay);
+    forged.inputs.forEach(({ payload }) => {
+        if (payload) {
+            payload.judgment = { tier: 'perfect', offsetMs: 0, beatTime: payload.time / 1000 };
+        }
+    });
+    assert.deepEqual(sim.game.verifyReplay(clone(forged)), {
+        score: replay.finalScore,
+        expectedScore: replay.finalScore,
+        matches: true
+    });
+
+    // Claiming the score those perfects would have earned fails
+    const perfectScore = Math.round(replay.finalScore * 300 / 200);
+    const result = sim.game.verifyReplay({ ...forged, finalScore: perfectScore });
+    assert.equal(result.matches, false);
+    assert.equal(result.score, replay.finalScore);
+});
+
+test('moving input times changes the verified score', async () => {
+    const { sim, replay } = await recordAttempt(10);
+    const shifted = clone(replay);
+    shifted.inputs.forEach(({ payload }) => {
+        if (payload) {
+            payload.time += 70;
+        }
+    });
+    const result = sim.game.verifyReplay(shifted);
+    assert.equal(result.matches, false);
+    assert.ok(result.score < replay.finalScore);
+});
+
+test('verification leaves the live game untouched', async () => {
+    const { sim, replay } = await recordAttempt(10);
+    const { game } = sim;
+    const before = {
+        state: game.state.state,
+        score: game.score,
+        health: game.health,
+        tier: game.levelManager.getCurrentTier(),
+        relics: game.relics.serialize()
+    };
+    game.verifyReplay(clone(replay));
+    assert.deepEqual({
+        state: game.state.state,
+        score: game.score,
+        health: game.health,
+        tier: game.levelManager.getCurrentTier(),
+        relics: game.relics.serialize()
+    }, before);
+});
+
+test('replays of another version are rejected', async () => {
+    const { sim, replay } = await recordAttempt(2);
+    assert.throws(() => sim.game.verifyReplay({ ...clone(replay), version: 99 }), /Unsupported replay version/);
+});
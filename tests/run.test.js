@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BOSS_IDS } from '../src/game/boss/bossDefinitions.js';
+import { HeadlessSimulation } from '../src/game/headless/HeadlessSimulation.js';
+import { clone, hitEveryTarget } from './helpers.js';
+
+// Starts seed 7's first combat node without a count-in
+async function enterFirstNode() {
+    const sim = new HeadlessSimulation();
+    await sim.start();
+    const { game } = sim;
+    const run = game.startRun(7);
+    const node = run.getAvailableNodes().find(candidate => candidate.level);
+    game.enterRunNode(node.id);
+    // The node's track loads asynchronously before the level restarts
+    await new Promise(resolve => setImmediate(resolve));
+    game.retry({ countIn: false });
+    return { sim, game, run, node };
+}
+
+test('replays of run levels carry the generated level', async () => {
+    const { sim, game, node } = await enterFirstNode();
+    sim.runFor(15, hitEveryTarget);
+    const replay = game.stopRecording() ?? game.lastReplay;
+    assert.equal(replay.levelId, node.level.id);
+    assert.deepEqual(replay.level, clone(node.level));
+    assert.ok(replay.finalScore > 0);
+
+    // Verified on a game that has never seen the run
+    const result = new HeadlessSimulation().game.verifyReplay(clone(replay));
+    assert.deepEqual(result, { score: replay.finalScore, expectedScore: replay.finalScore, matches: true });
+});
+
+test('a failed run attempt can be watched back', async () => {
+    const { sim, game, run } = await enterFirstNode();
+    sim.runFor(60);
+    assert.equal(run.status, 'lost');
+    assert.ok(game.lastReplay);
+    game.watchReplay(game.lastReplay);
+    assert.ok(game.replayPlayer);
+    sim.runFor(60);
+    assert.equal(game.replayPlayer, null);
+    assert.equal(game.state.state, 'results');
+});
+
+test('replays of loaded levels refer to them by id', async () => {
+    const sim = new HeadlessSimulation();
+    await sim.start();
+    sim.runFor(2, hitEveryTarget);
+    const replay = sim.game.stopRecording();
+    assert.equal(replay.level, null);
+    assert.equal(replay.levelId, sim.game.currentLevel.id);
+});
+
+test('a failure starting a node is shown instead of going unhandled', async t => {
+    const sim = new HeadlessSimulation();
+    await sim.start();
+    const { game } = sim;
+    const run = game.startRun(7);
+    const node = run.getAvailableNodes().find(candidate => candidate.level);
+    t.mock.method(game, 'retry', () => {
+        throw new Error('Level failed to start');
+    });
+    game.enterRunNode(node.id);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(game.trackError.message, 'Level failed to start');
+    assert.equal(game.state.state, 'loading');
+});
+
+test('a failure moving on to the next level is shown too', async t => {
+    const sim = new HeadlessSimulation({ bpm: 120, duration: 5 });
+    await sim.start();
+    const { game } = sim;
+    sim.runFor(6, hitEveryTarget);
+    assert.equal(game.lastResults.cleared, true);
+    t.mock.method(game, 'retry', () => {
+        throw new Error('Level failed to start');
+    });
+    await game.playNextLevel();
+    assert.equal(game.trackError.message, 'Level failed to start');
+    assert.equal(game.state.state, 'loading');
+});
+
+test('defeating a boss in a run clears the node and stops the level', async () => {
+    const sim = new HeadlessSimulation();
+    await sim.start();
+    const { game } = sim;
+    const run = game.startRun(7);
+    const node = run.getAvailableNodes().find(candidate => candidate.level);
+    node.level.boss = BOSS_IDS[0];
+    game.enterRunNode(node.id);
+    await new Promise(resolve => setImmediate(resolve));
+    game.retry({ countIn: false });
+    sim.runFor(2, hitEveryTarget);
+
+    game.boss.damage(game.boss.health);
+    assert.equal(game.state.state, 'cleared');
+    assert.equal(sim.beatSource.isPlaying, false);
+    assert.equal(run.nodeActive, false);
+    assert.ok(game.pendingDraft);
+
+    game.chooseRelic(game.pendingDraft.choices[0].id);
+    const beatCount = game.spawnSystem.beatCount;
+    sim.runFor(10);
+    assert.equal(game.spawnSystem.beatCount, beatCount);
+    assert.equal(game.state.state, 'cleared');
+    assert.equal(run.status, 'active');
+    assert.ok(run.getAvailableNodes().length > 0);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    SECTION_TYPES,
+    composeSoundtrack,
+    getProceduralSeed,
+    isProceduralTrackId,
+    renderSoundtrack
+} from '../src/game/audio/ProceduralSoundtrack.js';
+import { HeadlessSimulation } from '../src/game/headless/HeadlessSimulation.js';
+
+test('the same seed and tempo always compose the same song', () => {
+    assert.deepEqual(composeSoundtrack({ seed: 42, bpm: 128 }), composeSoundtrack({ seed: 42, bpm: 128 }));
+    const other = composeSoundtrack({ seed: 43, bpm: 128 });
+    assert.notDeepEqual(other.notes, composeSoundtrack({ seed: 42, bpm: 128 }).notes);
+});
+
+test('sections follow each other bar by bar and fill the song', () => {
+    const song = composeSoundtrack({ seed: 7, bpm: 120 });
+    const barTime = (60 / 120) * 4;
+    let bar = 0;
+    song.sections.forEach(section => {
+        assert.equal(section.startBar, bar);
+        assert.equal(section.bars, SECTION_TYPES[section.name].bars);
+        bar += section.bars;
+    });
+    assert.equal(song.duration, bar * barTime);
+    assert.equal(song.sections[0].name, 'intro');
+    assert.equal(song.sections.at(-1).name, 'outro');
+    assert.ok(song.notes.every(note => note.time >= 0 && note.time < song.duration));
+    assert.ok(song.notes.every((note, i) => i === 0 || song.notes[i - 1].time <= note.time));
+});
+
+test('the beat map matches the composed grid and drums', () => {
+    const song = composeSoundtrack({ seed: 7, bpm: 120 });
+    const { beatMap } = song;
+    assert.equal(beatMap.bpm, 120);
+    assert.equal(beatMap.offset, 0);
+    assert.equal(beatMap.beats.length, Math.round(song.duration * 2));
+    beatMap.beats.forEach((beat, index) => {
+        assert.equal(beat.time, index * 0.5);
+        assert.equal(beat.downbeat, index % 4 === 0);
+    });
+    assert.deepEqual(beatMap.sections.map(section => section.name), song.sections.map(section => section.name));
+
+    // Verses put the kick on every beat and the snare on two and four, which wins the tie
+    const verse = song.sections.find(section => section.name === 'verse');
+    const bar = beatMap.beats.filter(beat => beat.bar === verse.startBar);
+    assert.deepEqual(bar.map(beat => beat.band), ['kick', 'snare', 'kick', 'snare']);
+    const drums = song.notes.filter(note => ['kick', 'snare', 'hat'].includes(note.voice));
+    assert.equal(beatMap.onsets.length, drums.length);
+});
+
+test('procedural track ids can pin a seed', () => {
+    assert.equal(isProceduralTrackId('procedural'), true);
+    assert.equal(isProceduralTrackId('procedural:42'), true);
+    assert.equal(isProceduralTrackId('procedurally.mp3'), false);
+    assert.equal(isProceduralTrackId(null), false);
+    assert.equal(getProceduralSeed('procedural:42'), 42);
+    assert.equal(getProceduralSeed('procedural'), null);
+});
+
+test('rendering needs an OfflineAudioContext', async () => {
+    await assert.rejects(
+        renderSoundtrack(composeSoundtrack({ seed: 1 }), { OfflineContext: null }),
+        /OfflineAudioContext is not available/
+    );
+});
+
+test('run levels play the song composed from their seed', async () => {
+    const sim = new HeadlessSimulation();
+    await sim.start();
+    const { game } = sim;
+    const run = game.startRun(7);
+    const node = run.getAvailableNodes().find(candidate => candidate.level);
+    game.enterRunNode(node.id);
+    // The track loads asynchronously before the level restarts
+    await new Promise(resolve => setImmediate(resolve));
+
+    const { level } = node;
+    assert.equal(level.track, 'procedural');
+    const song = composeSoundtrack({ seed: level.seed, bpm: level.bpm });
+    assert.equal(sim.beatSource.bpm, level.bpm);
+    assert.equal(sim.beatSource.duration, song.duration);
+    assert.equal(game.currentLevel, level);
+    // Run levels open with a count-in
+    assert.equal(game.state.state, 'countdown');
+});
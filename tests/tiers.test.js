@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LevelManager } from '../src/game/state/LevelManager.js';
+import { DEFAULT_LEVELS } from '../src/game/state/defaultLevels.js';
+import { clone } from './helpers.js';
+
+const [first, second] = DEFAULT_LEVELS.map(level => level.id);
+
+function createManager() {
+    const manager = new LevelManager({ storage: null });
+    manager.setLevels(clone(DEFAULT_LEVELS));
+    return manager;
+}
+
+test('harder tiers open one at a time as the tier below is cleared', () => {
+    const manager = createManager();
+    assert.deepEqual(manager.getUnlockedTiers(first), ['easy', 'normal']);
+    assert.equal(manager.selectTier('hard'), false);
+    assert.equal(manager.getCurrentTier(), 'normal');
+
+    manager.recordScore(first, 1000, { tier: 'normal', cleared: true });
+    assert.deepEqual(manager.getUnlockedTiers(first), ['easy', 'normal', 'hard']);
+    assert.equal(manager.selectTier('expert'), false);
+    assert.equal(manager.selectTier('hard'), true);
+    assert.equal(manager.getCurrentTier(), 'hard');
+
+    manager.recordScore(first, 2000, { cleared: true });
+    assert.equal(manager.selectTier('expert'), true);
+});
+
+test('unknown tiers are refused', () => {
+    const manager = createManager();
+    assert.equal(manager.selectTier('nightmare'), false);
+    assert.equal(manager.getCurrentTier(), 'normal');
+});
+
+test('scores are kept per tier and across tiers', () => {
+    const manager = createManager();
+    manager.recordScore(first, 500, { tier: 'easy' });
+    manager.recordScore(first, 300, { tier: 'normal', cleared: true });
+    manager.recordScore(first, 200, { tier: 'normal' });
+
+    const progress = manager.getLevelProgress(first);
+    assert.equal(progress.best, 500);
+    assert.equal(progress.attempts, 3);
+    assert.deepEqual(manager.getTierProgress(first, 'easy'), { best: 500, attempts: 1, cleared: false });
+    // A later failed attempt does not take the clear away
+    assert.deepEqual(manager.getTierProgress(first, 'normal'), { best: 300, attempts: 2, cleared: true });
+    assert.deepEqual(manager.getTierProgress(first, 'hard'), { best: 0, attempts: 0, cleared: false });
+});
+
+test('the next level opens once the previous one is cleared on any tier', () => {
+    const manager = createManager();
+    assert.equal(manager.isLevelUnlocked(first), true);
+    assert.equal(manager.isLevelUnlocked(second), false);
+    assert.deepEqual(manager.getUnlockedTiers(second), []);
+
+    manager.recordScore(first, 100, { tier: 'easy' });
+    assert.equal(manager.isLevelUnlocked(second), false);
+
+    manager.recordScore(first, 100, { tier: 'easy', cleared: true });
+    assert.equal(manager.isLevelCleared(first), true);
+    assert.equal(manager.isLevelUnlocked(second), true);
+    // Tier unlocks are per level, so the new level starts back at normal
+    assert.deepEqual(manager.getUnlockedTiers(second), ['easy', 'normal']);
+});
+
+test('progress is written to the profile', () => {
+    const manager = createManager();
+    manager.recordScore(first, 750, { tier: 'normal', cleared: true });
+    assert.deepEqual(manager.profile.getProfile().progress[first], {
+        best: 750,
+        attempts: 1,
+        tiers: { normal: { best: 750, attempts: 1, cleared: true } }
+    });
+});